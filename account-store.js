@@ -0,0 +1,609 @@
+// IndexedDB storage for the data of an account, the myData global in app.js
+//   Each account has its own database named username_netid, the same as the localStorage key it replaces.
+//   myData is split into records so a save only writes the records that changed since the last save:
+//     state    - 'main' is myData without the parts below; 'lock' is the app lock header when records are encrypted
+//     contacts - one record per contact address, without the messages
+//     messages - one record per message, keyed by the contact address and the txid of the message, address/txid;
+//                messages without a txid use their timestamp
+//     ratchets - the forward secrecy session with one contact, keyed by the contact address; only the leader tab
+//                changes sessions, so the other tabs always take the stored one
+//     history  - one record per wallet history entry, keyed by txid
+//     pending  - one record per pending transaction, keyed by its position and txid
+//     outbox   - one record per transaction waiting to be sent when the app is online again, keyed like pending
+//   Values are strings from stringify so bigints survive; with the app lock they are encrypted with its key and the
+//   store and key of the record as associated data, so records can't be swapped
+//   Contacts, messages, sessions and history entries are only written after the app marks them with the mark
+//   functions below where it changes them; state, pending and outbox are small and compared with the last write.
+//   When several tabs have the same account open, mergeAccountData brings in the records another tab wrote
+
+import { stringify, parse } from './external/stringify-shardus.js';
+import { encryptChacha, decryptChacha } from './crypto.js';
+
+const dbVersion = 3; // 2 added the outbox store, 3 the ratchets store
+const recordStores = ['state', 'contacts', 'messages', 'ratchets', 'history', 'pending', 'outbox'];
+// Stores that hold the entries of an array in order
+const listStores = ['pending', 'outbox'];
+// Stores that are compared with the last write instead of being marked
+const comparedStores = ['state', ...listStores];
+
+const openDbs = new Map(); // name -> Promise of IDBDatabase
+// What was last written or read, by database name: the account data object it belongs to and the plaintext of the
+// records of comparedStores; used to find the records that changed
+const savedRecords = new Map(); // name -> { data, lockKey, records: Map of 'store/key' -> string }
+// The records the app marked as changed since the last write, by account data object
+//   data -> { contacts, chats, ratchets: Sets of addresses; messages: Map of address -> Set of message ids;
+//             history: Set of keys }
+const marks = new WeakMap();
+// Writes are queued so they are applied in order and reads see all earlier writes
+let writeQueue = Promise.resolve();
+
+function openAccountDb(name) {
+    if (!openDbs.has(name)) {
+        const promise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(name, dbVersion);
+            request.onupgradeneeded = () => {
+                for (const store of recordStores) {
+                    if (!request.result.objectStoreNames.contains(store)) { request.result.createObjectStore(store); }
+                }
+            };
+            request.onsuccess = () => {
+                const db = request.result;
+                // another tab deletes or upgrades the database; let it go ahead, the next use opens it again
+                db.onversionchange = () => {
+                    db.close();
+                    if (openDbs.get(name) === promise) { openDbs.delete(name); }
+                };
+                resolve(db);
+            };
+            request.onerror = () => {
+                openDbs.delete(name);
+                reject(request.error);
+            };
+            request.onblocked = () => {
+                console.warn(`Opening ${name} waits until other tabs close their older version of it`);
+            };
+        });
+        openDbs.set(name, promise);
+    }
+    return openDbs.get(name);
+}
+
+function requestPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+function messageId(message) {
+    return message.txid || String(message.timestamp);
+}
+
+function historyKey(entry) {
+    return entry.txid || String(entry.timestamp);
+}
+
+// The key range of the message records of a contact
+function chatRange(address) {
+    return IDBKeyRange.bound(`${address}/`, `${address}/\uffff`);
+}
+
+function marksOf(data) {
+    if (!marks.has(data)) {
+        marks.set(data, {
+            contacts: new Set(),
+            chats: new Set(),
+            messages: new Map(),
+            ratchets: new Set(),
+            history: new Set(),
+        });
+    }
+    return marks.get(data);
+}
+
+/**
+ * Marks a contact as changed, without its messages; also when it was added or removed. Removing a contact removes its
+ * messages and session with it
+ * @param {Object} data - The account data, normally myData
+ * @param {string} address - The address of the contact
+ * @returns {void}
+ */
+export function markContactChanged(data, address) {
+    marksOf(data).contacts.add(address);
+}
+
+/**
+ * Marks a message of a contact as added, changed or removed. Mark it before and after a change of its txid
+ * @param {Object} data - The account data, normally myData
+ * @param {string} address - The address of the contact
+ * @param {Object} message - The message
+ * @returns {void}
+ */
+export function markMessageChanged(data, address, message) {
+    const changes = marksOf(data).messages;
+    if (!changes.has(address)) { changes.set(address, new Set()); }
+    changes.get(address).add(messageId(message));
+}
+
+/**
+ * Marks all messages of a contact as changed, e.g. when many of them were removed at once
+ * @param {Object} data - The account data, normally myData
+ * @param {string} address - The address of the contact
+ * @returns {void}
+ */
+export function markChatChanged(data, address) {
+    marksOf(data).chats.add(address);
+}
+
+/**
+ * Marks the forward secrecy session with a contact as changed
+ * @param {Object} data - The account data, normally myData
+ * @param {string} address - The address of the contact
+ * @returns {void}
+ */
+export function markRatchetChanged(data, address) {
+    marksOf(data).ratchets.add(address);
+}
+
+/**
+ * Marks a wallet history entry as added, changed or removed. Mark it before and after a change of its txid
+ * @param {Object} data - The account data, normally myData
+ * @param {Object} entry - The history entry
+ * @returns {void}
+ */
+export function markHistoryChanged(data, entry) {
+    marksOf(data).history.add(historyKey(entry));
+}
+
+// Splits the parts of myData that are compared with the last write into records; returns a Map of 'store/key' -> json
+function splitComparedRecords(data) {
+    const records = new Map();
+    const { contacts, pending = [], outbox = [], wallet = {}, ...main } = data;
+    const { history, ...walletMain } = wallet;
+    records.set('state/main', stringify({ ...main, wallet: walletMain }));
+    // the position keeps the order of pending and outbox transactions
+    const position = (i, item) => `${String(i).padStart(6, '0')}_${item.txid || ''}`;
+    pending.forEach((tx, i) => records.set(`pending/${position(i, tx)}`, stringify(tx)));
+    outbox.forEach((item, i) => records.set(`outbox/${position(i, item)}`, stringify(item)));
+    return records;
+}
+
+// Splits all of myData into records; returns a Map of 'store/key' -> json
+function splitAccountData(data) {
+    const records = splitComparedRecords(data);
+    for (const [address, contact] of Object.entries(data.contacts || {})) {
+        const { messages = [], ratchet, ...contactMain } = contact;
+        records.set(`contacts/${address}`, stringify(contactMain));
+        for (const message of messages) {
+            records.set(`messages/${address}/${messageId(message)}`, stringify(message));
+        }
+        if (ratchet) { records.set(`ratchets/${address}`, stringify(ratchet)); }
+    }
+    for (const entry of data.wallet?.history || []) {
+        records.set(`history/${historyKey(entry)}`, stringify(entry));
+    }
+    return records;
+}
+
+// Splits 'store/key' into its store and key; keys of messages contain a '/' themselves
+function splitId(id) {
+    const index = id.indexOf('/');
+    return [id.slice(0, index), id.slice(index + 1)];
+}
+
+function joinAccountData(records) {
+    const main = records.get('state/main');
+    const data = { ...main, contacts: {}, wallet: { ...main.wallet, history: [] }, pending: [], outbox: [] };
+    const byKey = (a, b) => (a.key < b.key ? -1 : 1);
+    const inStore = (store) => [...records.entries()]
+        .filter(([id]) => id.startsWith(`${store}/`))
+        .map(([id, value]) => ({ key: id.slice(store.length + 1), value }));
+
+    for (const { key, value } of inStore('contacts')) {
+        data.contacts[key] = { ...value, messages: [] };
+        // the session was part of the contact record before the ratchets store
+        if (records.has(`ratchets/${key}`)) { data.contacts[key].ratchet = records.get(`ratchets/${key}`); }
+    }
+    for (const { key, value } of inStore('messages')) {
+        const address = key.split('/')[0];
+        if (!data.contacts[address]) { continue; }
+        // the messages of a contact were one record before they got one record each
+        if (key === address) { data.contacts[address].messages.push(...value); }
+        else { data.contacts[address].messages.push(value); }
+    }
+    // messages and history are kept newest first
+    for (const contact of Object.values(data.contacts)) {
+        contact.messages.sort((a, b) => b.timestamp - a.timestamp);
+    }
+    data.wallet.history = inStore('history').map(({ value }) => value).sort((a, b) => b.timestamp - a.timestamp);
+    for (const store of listStores) {
+        data[store] = inStore(store).sort(byKey).map(({ value }) => value);
+    }
+    return data;
+}
+
+// Checks for records in the layout of older versions, which are replaced by writing everything again
+function hasOldRecords(ids) {
+    return [...ids].some((id) => {
+        const [store, key] = splitId(id);
+        return (store === 'messages' && !key.includes('/')) || (store === 'history' && key.endsWith('+'));
+    });
+}
+
+// Returns the app lock header { version, kdf } if the account data in the database is encrypted
+async function readLockHeader(db) {
+    const value = await requestPromise(db.transaction('state').objectStore('state').get('lock'));
+    return value ? parse(value) : null;
+}
+
+/**
+ * Reads the data of an account
+ * @param {string} name - The database name, username_netid
+ * @param {Uint8Array} [lockKey] - The app lock key if the data is encrypted
+ * @returns {Promise<Object|null>} The account data; { locked: true, lock } if it is encrypted and no key or the
+ *   wrong key was given; null if the database has no data
+ */
+export async function readAccountData(name, lockKey) {
+    await writeQueue.catch(() => {});
+    const db = await openAccountDb(name);
+    const lock = await readLockHeader(db);
+    if (lock && !lockKey) { return { locked: true, lock }; }
+
+    const plaintexts = await readRecords(db, lock, lockKey);
+    if (!plaintexts) { return { locked: true, lock }; }
+    if (!plaintexts.has('state/main')) { return null; }
+    const data = joinAccountData(new Map([...plaintexts].map(([id, json]) => [id, parse(json)])));
+    // after an update of the layout the next write replaces everything
+    if (hasOldRecords(plaintexts.keys())) {
+        savedRecords.delete(name);
+    } else {
+        const records = new Map([...plaintexts].filter(([id]) => comparedStores.includes(splitId(id)[0])));
+        savedRecords.set(name, { data, lockKey: lock ? lockKey : null, records });
+    }
+    return data;
+}
+
+// Reads the plaintext of records; returns a Map of 'store/key' -> string, or null if a record can't be decrypted
+//   queries is a list of { store, query }, where query is a key or key range; without it every record is read
+async function readRecords(db, lock, lockKey, queries = recordStores.map((store) => ({ store }))) {
+    // all requests are made before waiting so the transaction stays active
+    const tx = db.transaction(recordStores);
+    const requests = queries.map(({ store, query }) => Promise.all([
+        requestPromise(tx.objectStore(store).getAllKeys(query)),
+        requestPromise(tx.objectStore(store).getAll(query)),
+    ]));
+    const results = await Promise.all(requests);
+    const plaintexts = new Map();
+    for (const [index, { store }] of queries.entries()) {
+        const [keys, values] = results[index];
+        for (const [i, key] of keys.entries()) {
+            if (store === 'state' && key === 'lock') { continue; }
+            const id = `${store}/${key}`;
+            const json = lock ? decryptChacha(lockKey, values[i], id) : values[i];
+            if (json == null) { return null; }
+            plaintexts.set(id, json);
+        }
+    }
+    return plaintexts;
+}
+
+// Sets the fields of target to the ones of source, except the fields in keep
+function replaceFields(target, source, keep = []) {
+    for (const field of Object.keys(target)) {
+        if (!keep.includes(field) && !(field in source)) { delete target[field]; }
+    }
+    for (const [field, value] of Object.entries(source)) {
+        if (!keep.includes(field)) { target[field] = value; }
+    }
+}
+
+// Puts a message read from another tab's write into a list that is kept newest first, or removes it if value is
+//   undefined; a message that is already there is updated in place so references to it stay valid
+function replaceListItem(list, id, value, idOf) {
+    const index = list.findIndex((item) => idOf(item) === id);
+    if (index !== -1 && value) {
+        replaceFields(list[index], value);
+    } else if (index !== -1) {
+        list.splice(index, 1);
+    } else if (value) {
+        const before = list.findIndex((item) => item.timestamp < value.timestamp);
+        list.splice(before === -1 ? list.length : before, 0, value);
+    }
+}
+
+/**
+ * Merges the records another tab wrote for the same account into data. Records that were also changed in data since
+ * its last read or write are kept as they are, since the next write of data stores them. Objects of data are updated
+ * in place where possible so references to them, like data.account, stay valid
+ * @param {string} name - The database name, username_netid
+ * @param {Object} data - The account data in memory; it is changed in place
+ * @param {Uint8Array} [lockKey] - The app lock key if the data is encrypted
+ * @param {Array<string>|null} [ids] - The records the other tab wrote, as returned by writeAccountData; null if it
+ *   wrote everything
+ * @returns {Promise<boolean>} True if data was changed
+ */
+export async function mergeAccountData(name, data, lockKey, ids = null) {
+    await writeQueue.catch(() => {});
+    const saved = savedRecords.get(name);
+    if (!saved || saved.data !== data) { return false; }
+    const db = await openAccountDb(name);
+    const lock = await readLockHeader(db);
+    if (lock && !lockKey) { return false; }
+
+    // without ids everything is read; otherwise the records in ids, where 'messages/<address>' stands for all messages
+    //   of a contact, and the stores of comparedStores they belong to as a whole
+    const chats = ids ? ids.map(splitId).filter(([store, key]) => store === 'messages' && !key.includes('/')) : null;
+    const wholeStores = ids
+        ? [...new Set(ids.map((id) => splitId(id)[0]))].filter((store) => comparedStores.includes(store))
+        : recordStores;
+    let queries;
+    if (ids) {
+        queries = wholeStores.map((store) => ({ store }));
+        for (const id of ids) {
+            const [store, key] = splitId(id);
+            if (comparedStores.includes(store)) { continue; }
+            queries.push({ store, query: store === 'messages' && !key.includes('/') ? chatRange(key) : key });
+        }
+    }
+    const stored = await readRecords(db, lock, lockKey, queries);
+    if (!stored || (!ids && !stored.has('state/main'))) { return false; }
+
+    // the records to merge are the ones that were read, and the ones this tab has where a whole store or chat was read,
+    //   since those are gone if they were not read
+    const local = splitComparedRecords(data);
+    const merged = new Set(stored.keys());
+    for (const id of [...saved.records.keys(), ...local.keys()]) {
+        if (wholeStores.includes(splitId(id)[0])) { merged.add(id); }
+    }
+    for (const address of chats ? chats.map(([, key]) => key) : Object.keys(data.contacts)) {
+        for (const message of data.contacts[address]?.messages || []) {
+            merged.add(`messages/${address}/${messageId(message)}`);
+        }
+    }
+    if (ids) {
+        for (const id of ids) {
+            if (!chats.some(([, key]) => id === `messages/${key}`)) { merged.add(id); }
+        }
+    } else {
+        for (const address of Object.keys(data.contacts)) {
+            merged.add(`contacts/${address}`);
+            merged.add(`ratchets/${address}`);
+        }
+        for (const entry of data.wallet.history) { merged.add(`history/${historyKey(entry)}`); }
+    }
+
+    // records changed here since the last write are kept
+    const changes = marksOf(data);
+    const changedHere = (store, key) => {
+        if (comparedStores.includes(store)) {
+            return local.get(`${store}/${key}`) !== saved.records.get(`${store}/${key}`);
+        }
+        if (store === 'contacts') { return changes.contacts.has(key); }
+        if (store === 'ratchets') { return changes.ratchets.has(key); }
+        if (store === 'history') { return changes.history.has(key); }
+        const address = key.split('/')[0];
+        return changes.chats.has(address) || Boolean(changes.messages.get(address)?.has(key.slice(address.length + 1)));
+    };
+    const storedValue = (id) => (stored.has(id) ? parse(stored.get(id)) : undefined);
+    // the value of a record of the marked stores in data; lists are looked up by id once per merge
+    const lookups = new Map();
+    const lookup = (name, list, idOf) => {
+        if (!lookups.has(name)) { lookups.set(name, new Map(list.map((item) => [idOf(item), item]))); }
+        return lookups.get(name);
+    };
+    const localValue = (store, key) => {
+        if (store === 'history') { return lookup('history', data.wallet.history, historyKey).get(key); }
+        const address = key.split('/')[0];
+        const contact = data.contacts[address];
+        if (!contact) { return undefined; }
+        if (store === 'ratchets') { return contact.ratchet; }
+        if (store === 'messages') {
+            return lookup(`messages/${address}`, contact.messages, messageId).get(key.slice(address.length + 1));
+        }
+        const { messages, ratchet, ...contactMain } = contact;
+        return contactMain;
+    };
+    let changed = false;
+    // pending and outbox are taken from the other tab as a whole, unless they changed here
+    for (const store of listStores.filter((item) => wholeStores.includes(item))) {
+        const inStore = (id) => splitId(id)[0] === store;
+        const storeIds = [...merged].filter(inStore);
+        if (storeIds.some((id) => changedHere(store, splitId(id)[1]))) { continue; }
+        if (storeIds.every((id) => stored.get(id) === saved.records.get(id))) { continue; }
+        for (const id of storeIds) {
+            if (stored.has(id)) { saved.records.set(id, stored.get(id)); }
+            else { saved.records.delete(id); }
+        }
+        data[store] = storeIds.filter((id) => stored.has(id)).sort().map((id) => storedValue(id));
+        changed = true;
+    }
+    // contacts come before their messages and sessions
+    const order = (id) => recordStores.indexOf(splitId(id)[0]);
+    for (const id of [...merged].sort((a, b) => order(a) - order(b))) {
+        const [store, key] = splitId(id);
+        if (listStores.includes(store) || changedHere(store, key)) { continue; }
+        if (store === 'state') {
+            if (stored.get(id) === saved.records.get(id)) { continue; }
+            saved.records.set(id, stored.get(id));
+        } else {
+            // skip the records this tab already has
+            const current = localValue(store, key);
+            if ((current === undefined ? undefined : stringify(current)) === stored.get(id)) { continue; }
+        }
+        const value = storedValue(id);
+        if (store === 'state') {
+            const { wallet, account, ...main } = value;
+            replaceFields(data, main, ['contacts', 'wallet', 'account', ...listStores]);
+            replaceFields(data.wallet, wallet, ['history']);
+            if (data.account && account) { replaceFields(data.account, account); }
+            else { data.account = account; }
+        } else if (store === 'contacts') {
+            if (!value) { delete data.contacts[key]; }
+            else if (data.contacts[key]) { replaceFields(data.contacts[key], value, ['messages', 'ratchet']); }
+            else { data.contacts[key] = { ...value, messages: [] }; }
+        } else if (store === 'messages') {
+            const address = key.split('/')[0];
+            const contact = data.contacts[address];
+            if (!contact) { continue; }
+            replaceListItem(contact.messages, key.slice(address.length + 1), value, messageId);
+        } else if (store === 'ratchets') {
+            const contact = data.contacts[key];
+            if (!contact) { continue; }
+            if (value) { contact.ratchet = value; }
+            else { delete contact.ratchet; }
+        } else if (store === 'history') {
+            replaceListItem(data.wallet.history, key, value, historyKey);
+        }
+        changed = true;
+    }
+    return changed;
+}
+
+/**
+ * Writes the records of the account data that changed since the last read or write: the ones that were marked and the
+ * ones of state, pending and outbox that differ. The changes are found right away, so later changes to data are not
+ * part of this write. The first write of a data object, e.g. after sign in or a restore, writes everything
+ * @param {string} name - The database name, username_netid
+ * @param {Object} data - The account data
+ * @param {Object|null} [lock] - The app lock { kdf, key }; the records are encrypted with its key if given
+ * @returns {Promise<Array<string>|null>} Resolves with the ids of the records that were written or removed, for
+ *   mergeAccountData in the other tabs, or null if everything was written
+ */
+export function writeAccountData(name, data, lock = null) {
+    const lockKey = lock?.key || null;
+    const saved = savedRecords.get(name);
+    const changes = marksOf(data);
+    marks.delete(data);
+    // turning the app lock on or off or changing the passphrase means every record is written again
+    const writeAll = !saved || saved.data !== data || saved.lockKey !== lockKey;
+
+    const puts = new Map(); // 'store/key' -> json
+    const deletes = []; // 'store/key' or { store, range }
+    const ids = [];
+    const compared = splitComparedRecords(data);
+    if (writeAll) {
+        for (const [id, json] of splitAccountData(data)) { puts.set(id, json); }
+    } else {
+        for (const [id, json] of compared) {
+            if (saved.records.get(id) !== json) { puts.set(id, json); }
+        }
+        for (const id of saved.records.keys()) {
+            if (!compared.has(id)) { deletes.push(id); }
+        }
+        for (const address of changes.contacts) {
+            const contact = data.contacts[address];
+            if (contact) {
+                const { messages, ratchet, ...contactMain } = contact;
+                puts.set(`contacts/${address}`, stringify(contactMain));
+            } else {
+                // the messages and session go with the contact
+                deletes.push(`contacts/${address}`, `ratchets/${address}`);
+                deletes.push({ store: 'messages', range: chatRange(address) });
+                changes.chats.delete(address);
+                changes.messages.delete(address);
+                changes.ratchets.delete(address);
+            }
+        }
+        for (const address of changes.chats) {
+            deletes.push({ store: 'messages', range: chatRange(address) });
+            for (const message of data.contacts[address]?.messages || []) {
+                puts.set(`messages/${address}/${messageId(message)}`, stringify(message));
+            }
+            ids.push(`messages/${address}`);
+        }
+        for (const [address, messageIds] of changes.messages) {
+            if (changes.chats.has(address)) { continue; }
+            const messages = new Map();
+            for (const message of data.contacts[address]?.messages || []) { messages.set(messageId(message), message); }
+            for (const id of messageIds) {
+                if (messages.has(id)) { puts.set(`messages/${address}/${id}`, stringify(messages.get(id))); }
+                else { deletes.push(`messages/${address}/${id}`); }
+            }
+        }
+        for (const address of changes.ratchets) {
+            const ratchet = data.contacts[address]?.ratchet;
+            if (ratchet) { puts.set(`ratchets/${address}`, stringify(ratchet)); }
+            else { deletes.push(`ratchets/${address}`); }
+        }
+        if (changes.history.size > 0) {
+            const entries = new Map(data.wallet.history.map((entry) => [historyKey(entry), entry]));
+            for (const key of changes.history) {
+                if (entries.has(key)) { puts.set(`history/${key}`, stringify(entries.get(key))); }
+                else { deletes.push(`history/${key}`); }
+            }
+        }
+        ids.push(...puts.keys(), ...deletes.filter((id) => typeof id === 'string'));
+    }
+    savedRecords.set(name, { data, lockKey, records: compared });
+
+    const write = async () => {
+        const db = await openAccountDb(name);
+        const tx = db.transaction(recordStores, 'readwrite');
+        if (writeAll) {
+            // the last state is unknown, so replace everything
+            for (const store of recordStores) { tx.objectStore(store).clear(); }
+        }
+        for (const item of deletes) {
+            if (typeof item === 'string') {
+                const [store, key] = splitId(item);
+                tx.objectStore(store).delete(key);
+            } else {
+                tx.objectStore(item.store).delete(item.range);
+            }
+        }
+        for (const [id, json] of puts) {
+            const [store, key] = splitId(id);
+            tx.objectStore(store).put(lockKey ? encryptChacha(lockKey, json, id) : json, key);
+        }
+        if (lock) {
+            tx.objectStore('state').put(stringify({ version: 1, kdf: lock.kdf }), 'lock');
+        } else {
+            tx.objectStore('state').delete('lock');
+        }
+        await transactionDone(tx);
+        return writeAll ? null : ids;
+    };
+    const result = writeQueue.then(write).catch((error) => {
+        // don't trust the saved records after a failed write; the next write replaces everything
+        savedRecords.delete(name);
+        throw error;
+    });
+    writeQueue = result.catch(() => {});
+    return result;
+}
+
+/**
+ * Deletes the database of an account
+ * @param {string} name - The database name, username_netid
+ * @returns {Promise<void>}
+ */
+export async function deleteAccountData(name) {
+    await writeQueue.catch(() => {});
+    forgetAccountData(name);
+    const db = openDbs.get(name);
+    openDbs.delete(name);
+    if (db) { (await db.catch(() => null))?.close(); }
+    const request = indexedDB.deleteDatabase(name);
+    // the other tabs close their connection on versionchange, then the delete goes ahead
+    request.onblocked = () => {
+        console.warn(`Deleting ${name} waits until other tabs close it`);
+    };
+    await requestPromise(request);
+}
+
+/**
+ * Forgets what was last written, e.g. when the app is locked; the next write of the account writes everything
+ * @param {string} name - The database name, username_netid
+ * @returns {void}
+ */
+export function forgetAccountData(name) {
+    savedRecords.delete(name);
+}
@@ -34,6 +34,10 @@ async function checkVersion() {
       'styles.css',
       'app.js',
       'lib.js',
+      'crypto.js',
+      'crypto-service.js',
+      'crypto-worker.js',
+      'account-store.js',
       'network.js',
       'offline.html',
     ]);
@@ -105,22 +109,50 @@ import { stringify, parse } from './external/stringify-shardus.js';
 // Import crypto functions from crypto.js
 import {
   encryptChacha,
-  encryptData,
-  decryptData,
-  decryptMessage,
+  decryptChacha,
+  decryptChachaBin,
   ecSharedKey,
   pqSharedKey,
   ethHashMessage,
   hashBytes,
   deriveDhKey,
-  generateRandomPrivateKey,
   getPublicKey,
-  signMessage,
   generatePQKeys,
   generateRandomBytes,
   generateAddress,
+  newPasswordKdf,
+  generateMnemonic,
+  isValidMnemonic,
+  mnemonicToKeys,
+  RATCHET_VERSION,
+  ratchetInitSession,
+  ratchetSend,
 } from './crypto.js';
 
+// The account data is stored in IndexedDB
+import {
+  readAccountData,
+  writeAccountData,
+  mergeAccountData,
+  deleteAccountData,
+  forgetAccountData,
+  markContactChanged,
+  markMessageChanged,
+  markChatChanged,
+  markRatchetChanged,
+  markHistoryChanged,
+} from './account-store.js';
+
+// The slow crypto functions run in a Web Worker
+import {
+  decryptMessage,
+  ratchetReceive,
+  signMessage,
+  deriveKeyFromPassword,
+  encryptData,
+  decryptData,
+} from './crypto-service.js';
+
 // Put standalone conversion function in lib.js
 import {
   normalizeUsername,
@@ -147,6 +179,8 @@ import {
   debounce,
   truncateMessage,
   normalizeUnsignedFloat,
+  formatFileSize,
+  formatTimeRemaining,
 } from './lib.js';
 
 const weiDigits = 18;
@@ -157,9 +191,108 @@ const pollIntervalChatting = 5000; // in millseconds
 //network.explorer.url = "http://test.liberdus.com:6001"   // URL of the chain explorer
 const MAX_MEMO_BYTES = 1000; // 1000 bytes for memos
 const MAX_CHAT_MESSAGE_BYTES = 1000; // 1000 bytes for chat messages
+const MAX_ATTACHMENT_BYTES = 32 * 1024; // 32KB for chat attachments; each 1000 bytes of ciphertext is sent as a message
+const ATTACHMENT_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+const ATTACHMENT_CHUNKS_MAX_AGE_MS = 24 * 60 * 60 * 1000; // chunks of an attachment that is not complete by then are dropped
+const MAX_GROUP_MEMBERS = 10; // including ourselves; every group message is sent to each member
+// Disappearing message timers in ms; 0 means messages are kept
+const MESSAGE_EXPIRY_OPTIONS = {
+  0: 'Off',
+  3600000: '1 hour',
+  86400000: '1 day',
+  604800000: '1 week',
+};
+// Version of the shape of myData made by newDataRecord. When the shape changes, increase it and add a step to
+// DATA_MIGRATIONS that upgrades data of the version before
+const DATA_SCHEMA_VERSION = 5;
+// Steps run in order by migrateMyData; each one upgrades the data of the version before it to its version
+const DATA_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'add the fields that were missing in accounts made before versioning',
+    migrate: (data) => {
+      data.contacts ??= {};
+      data.chats ??= [];
+      data.groups ??= {};
+      data.pending ??= [];
+      data.state ??= { unread: 0 };
+      data.settings ??= {};
+      data.wallet ??= {};
+      data.wallet.timestamp ??= 0;
+      data.wallet.history ??= [];
+      for (const contact of Object.values(data.contacts)) {
+        contact.messages ??= [];
+      }
+    },
+  },
+  {
+    version: 2,
+    description: 'add the auto-lock settings',
+    migrate: (data) => {
+      data.settings.autoLockMinutes ??= 0;
+      data.settings.lockOnHide ??= false;
+    },
+  },
+  {
+    version: 3,
+    description: 'add the outbox of transactions made while offline',
+    migrate: (data) => {
+      data.outbox ??= [];
+    },
+  },
+  {
+    version: 4,
+    description: 'keep only gateways the user added; the gateways were a copy of network.js before',
+    migrate: (data) => {
+      data.network = { gateways: [], defaultGatewayIndex: -1 };
+    },
+  },
+  {
+    version: 5,
+    description: 'add the setting to verify answers with several gateways',
+    migrate: (data) => {
+      data.settings.verifyGatewayAnswers ??= false;
+    },
+  },
+];
+// Backup files are a JSON envelope starting with this magic; older backups are bare JSON or bare ciphertext
+const BACKUP_MAGIC = 'liberdus-backup';
+const BACKUP_FORMAT_VERSION = 1;
+// The network only accepts a transaction while its timestamp is close to the network time; outbox transactions older
+// than this are signed again with a new timestamp before they are sent
+const OUTBOX_TX_MAX_AGE_MS = 30 * 1000;
+// When a gateway fails to take an outbox transaction while online, flushOutbox tries again after this delay, doubling
+// it after every failed attempt up to the max
+const OUTBOX_RETRY_BASE_DELAY_MS = 5 * 1000;
+const OUTBOX_RETRY_MAX_DELAY_MS = 5 * 60 * 1000;
+// How long a tab waits for the leader tab to answer a request before it does without, see TabCoordinator.request
+const TAB_REQUEST_TIMEOUT_MS = 3000;
+// Networks the user can pick besides the one of network.js, which is the default; custom networks the user added are
+// kept in localStorage 'networks' and the picked network in 'selectedNetwork'
+const BUILT_IN_NETWORKS = [
+  {
+    id: 'devnet',
+    name: 'Devnet',
+    netid: 'd684b22623d1a18322ac32f8b5b8dd1e3062fdd4a294ff43178817550ba78599',
+    gateways: [{ web: 'https://dev.liberdus.com:3030', ws: 'wss://dev.liberdus.com:3031' }],
+  },
+];
+// network.js as it was loaded; applySelectedNetwork changes the network global to the picked network
+const deployedNetwork = parse(stringify(network));
+applySelectedNetwork();
 
 let myData = null;
 let myAccount = null; // this is set to myData.account for convience
+// Set while the app lock is on: { kdf, key } where key encrypts the stored account data; only kept in memory
+let appLock = null;
+// Auto-lock choices in minutes; 0 means the app is not locked for inactivity
+const AUTO_LOCK_OPTIONS = {
+  0: 'Off',
+  1: '1 minute',
+  5: '5 minutes',
+  15: '15 minutes',
+  60: '1 hour',
+};
 let timeSkew = 0;
 let useLongPolling = true;
 let wsManager = null;
@@ -167,6 +300,9 @@ let wsManager = null;
 let updateWebSocketIndicatorIntervalId = null;
 let checkPendingTransactionsIntervalId = null;
 let getSystemNoticeIntervalId = null;
+let purgeExpiredMessagesIntervalId = null;
+let autoLockIntervalId = null;
+let lastActivityTime = Date.now(); // used by the auto-lock; not corrected for time skew since it is only local
 //let checkConnectivityIntervalId = null;
 
 // Used in getNetworkParams function
@@ -174,6 +310,20 @@ const NETWORK_ACCOUNT_UPDATE_INTERVAL_MS = 10 * 60 * 1000; // 10 minutes in mill
 const NETWORK_ACCOUNT_ID = '0000000000000000000000000000000000000000000000000000000000000000';
 const MAX_TOLL = 1_000_000; // 1M limit
 
+// Used by GatewayPool
+const GATEWAY_PROBE_INTERVAL_MS = 60 * 1000; // how often every gateway is probed
+const GATEWAY_PROBE_TIMEOUT_MS = 5000;
+const GATEWAY_REQUEST_TIMEOUT_MS = 15000; // a request that takes longer fails over to the next gateway
+const GATEWAY_MAX_FAILURES = 3; // a gateway is skipped after this many failures in a row until a probe succeeds
+const GATEWAY_MAX_ATTEMPTS = 3; // queryNetwork and injectTx try at most this many gateways
+const GATEWAY_QUORUM_SIZE = 3; // queryNetworkVerified asks this many gateways; most of them must agree
+
+// Used by WSManager
+const WS_RECONNECT_BASE_DELAY_MS = 1000; // the delay before reconnecting doubles after every failed attempt
+const WS_RECONNECT_MAX_DELAY_MS = 60 * 1000;
+const WS_HEARTBEAT_INTERVAL_MS = 20 * 1000; // the connection is stale if nothing arrives between two heartbeats
+const WS_GATEWAY_MAX_FAILURES = 3; // the socket of the next gateway is tried after this many failures in a row
+
 // TODO - get the parameters from the network
 // mock network parameters
 let parameters = {
@@ -201,9 +351,9 @@ async function checkUsernameAvailability(username, address, foundAddressObject)
   if (!isOnline) {
     console.log('Checking username availability offline');
     // When offline, check local storage only
-    const { netid } = network;
+    const { storageId } = network;
     const existingAccounts = parse(localStorage.getItem('accounts') || '{"netids":{}}');
-    const netidAccounts = existingAccounts.netids[netid];
+    const netidAccounts = existingAccounts.netids[storageId];
 
     // If we have this username locally and the address matches
     if (
@@ -224,6 +374,16 @@ async function checkUsernameAvailability(username, address, foundAddressObject)
       return 'taken';
     }
 
+    // A contact with this username, so assets can be sent to contacts while offline
+    const contact = Object.values(myData?.contacts || {}).find((c) => c.username === username);
+    if (contact) {
+      console.log('Username found in contacts');
+      if (foundAddressObject) {
+        foundAddressObject.address = contact.address;
+      }
+      return 'taken';
+    }
+
     // Username not found locally
     console.log('Username not found locally');
     return 'available';
@@ -264,16 +424,82 @@ async function checkUsernameAvailability(username, address, foundAddressObject)
 }
 
 function getAvailableUsernames() {
-  const { netid } = network;
+  const { storageId } = network;
   const accounts = parse(localStorage.getItem('accounts') || '{"netids":{}}');
-  const netidAccounts = accounts.netids[netid];
+  const netidAccounts = accounts.netids[storageId];
   if (!netidAccounts || !netidAccounts.usernames) return [];
   return Object.keys(netidAccounts.usernames);
 }
 
+/**
+ * Gets the networks the user can pick: the one of network.js, the built-in ones and the custom ones
+ * @returns {Object[]} The networks { id, name, netid, gateways, isCustom }
+ */
+function getNetworks() {
+  const defaultNetwork = {
+    id: 'default',
+    name: deployedNetwork.name,
+    netid: deployedNetwork.netid,
+    gateways: deployedNetwork.gateways,
+  };
+  // skip a built-in network that network.js already is
+  const builtInNetworks = BUILT_IN_NETWORKS.filter(
+    (builtIn) =>
+      builtIn.netid !== defaultNetwork.netid ||
+      stringify(builtIn.gateways.map((gateway) => gateway.web)) !==
+        stringify(defaultNetwork.gateways.map((gateway) => gateway.web))
+  ).map((builtIn) => ({ ...builtIn }));
+  let customNetworks = [];
+  try {
+    customNetworks = parse(localStorage.getItem('networks') || '[]').map((custom) => ({ ...custom, isCustom: true }));
+  } catch (error) {
+    console.error('Failed to read the custom networks:', error);
+  }
+  const networks = [defaultNetwork, ...builtInNetworks, ...customNetworks];
+  // networks with the same name, like a local network.js and the built-in network it is a copy of, get their host added
+  for (const candidate of networks) {
+    if (networks.filter((other) => other.name === candidate.name).length > 1) {
+      candidate.name = `${candidate.name} (${getGatewayHost(candidate.gateways[0]?.web || '')})`;
+    }
+  }
+  return networks;
+}
+
+/**
+ * Changes the network global to the network the user picked; the accounts, gateways and parameters of the app all
+ * follow network.netid and network.gateways
+ * @returns {void}
+ */
+function applySelectedNetwork() {
+  const selectedId = localStorage.getItem('selectedNetwork');
+  const selected = getNetworks().find((candidate) => candidate.id === selectedId) || getNetworks()[0];
+  network.id = selected.id;
+  network.name = selected.name;
+  network.netid = selected.netid;
+  network.gateways = selected.gateways.map((gateway) => ({ ...gateway }));
+  // the accounts and account data of a network are stored under this id, so networks with the same netid are kept
+  //   apart; the default network keeps using its netid so the accounts made before networks could be picked stay
+  network.storageId = selected.id === 'default' ? selected.netid : `${selected.id}_${selected.netid}`;
+}
+
+/**
+ * Switches to another network; the page is reloaded so nothing of the previous network is kept in memory
+ * @param {string} id - The id of the network
+ * @returns {void}
+ */
+function selectNetwork(id) {
+  if (id === 'default') {
+    localStorage.removeItem('selectedNetwork');
+  } else {
+    localStorage.setItem('selectedNetwork', id);
+  }
+  window.location.reload();
+}
+
 function newDataRecord(myAccount) {
 
   const myData = {
+    version: DATA_SCHEMA_VERSION,
     timestamp: getCorrectedTimestamp(),
     account: myAccount,
     network: {
@@ -282,6 +508,7 @@ function newDataRecord(myAccount) {
     },
     contacts: {},
     chats: [],
+    groups: {},
     wallet: {
       networth: 0.0,
       timestamp: 0, // last balance update timestamp
@@ -309,6 +536,7 @@ function newDataRecord(myAccount) {
       history: [],
     },
     pending: [], // Array to track pending transactions
+    outbox: [], // Messages and transfers made while offline; sent in order by flushOutbox
     state: {
       unread: 0,
     },
@@ -317,12 +545,39 @@ function newDataRecord(myAccount) {
       toll: parameters?.current?.defaultToll || 1n * wei,
       tollUnit: parameters?.current?.defaultTollUnit || 'LIB',
       noticets: 0,
+      autoLockMinutes: 0, // lock after this many minutes without activity while the app lock is on; 0 is off
+      lockOnHide: false, // lock when the app is hidden while the app lock is on
+      verifyGatewayAnswers: false, // check keys, balances and receipts with several gateways; see queryNetworkVerified
     },
   };
 
   return myData;
 }
 
+/**
+ * Upgrades account data from an older version of the app to DATA_SCHEMA_VERSION by running the migration steps
+ * newer than its version in order. Data without a version is from before versioning and starts at 0
+ * @param {Object} data - The account data; it is changed in place
+ * @returns {Object} The upgraded data
+ * @throws {Error} If the data is from a newer version of the app, which this version can't read safely
+ */
+function migrateMyData(data) {
+  const dataVersion = data.version || 0;
+  if (dataVersion > DATA_SCHEMA_VERSION) {
+    throw new Error(
+      `This account was saved by a newer version of the app (data version ${dataVersion}, this app supports ` +
+        `${DATA_SCHEMA_VERSION}). Update the app to use it.`
+    );
+  }
+  for (const step of DATA_MIGRATIONS) {
+    if (step.version <= dataVersion) continue;
+    console.log(`migrating account data to version ${step.version}: ${step.description}`);
+    step.migrate(data);
+    data.version = step.version;
+  }
+  return data;
+}
+
 /**
  * Handle native app subscription tokens and handle subscription
  * This is used to subscribe to push notifications for the native app
@@ -338,9 +593,9 @@ async function handleNativeAppSubscription() {
     
     try {
       // Get the user's address from localStorage if available
-      const { netid } = network;
+      const { storageId } = network;
       const existingAccounts = parse(localStorage.getItem('accounts') || '{"netids":{}}');
-      const netidAccounts = existingAccounts.netids[netid];
+      const netidAccounts = existingAccounts.netids[storageId];
       
       let addresses = [];
       if (netidAccounts?.usernames) {
@@ -393,6 +648,7 @@ async function handleNativeAppSubscription() {
 // Load saved account data and update chat list on page load
 document.addEventListener('DOMContentLoaded', async () => {
   await checkVersion(); // version needs to be checked before anything else happens
+  gatewayPool.start(); // probe the gateways so requests go to the best one
   timeDifference(); // Calculate and log time difference early
 
   setupConnectivityDetection();
@@ -400,7 +656,12 @@ document.addEventListener('DOMContentLoaded', async () => {
   // Add unload handler to save myData
   window.addEventListener('unload', handleUnload);
   window.addEventListener('beforeunload', handleBeforeUnload);
+  window.addEventListener('pagehide', handlePageHide);
   document.addEventListener('visibilitychange', handleVisibilityChange); // Keep as document
+  // any input counts as activity for the auto-lock
+  for (const eventName of ['pointerdown', 'keydown', 'wheel', 'touchstart']) {
+    document.addEventListener(eventName, () => (lastActivityTime = Date.now()), { passive: true, capture: true });
+  }
 
   // Check for native app subscription tokens and handle subscription
   handleNativeAppSubscription();
@@ -432,11 +693,15 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   // Create Account Modal
   createAccountModal.load();
+  recoveryPhraseModal.load();
 
   // Account Form Modal
   myProfileModal.load();
 
   restoreAccountModal.load();
+  appLockModal.load();
+  gatewaysModal.load();
+  networksModal.load();
 
   // Validator Modals
   validatorStakingModal.load();
@@ -461,6 +726,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   // Contact Info Modal
   contactInfoModal.load();
+  verifyContactModal.load();
 
   // Failed Message Modal
   failedMessageModal.load();
@@ -468,6 +734,10 @@ document.addEventListener('DOMContentLoaded', async () => {
   // New Chat Modal
   newChatModal.load();
 
+  // Group Modals
+  newGroupModal.load();
+  groupChatModal.load();
+
   // Send Asset Modal
   sendAssetFormModal.load();
 
@@ -514,6 +784,13 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   welcomeScreen.lastItem.focus();
 
+  // the page was reloaded by lockApp, so go straight back to signing in to the locked account
+  const lockedUsername = sessionStorage.getItem('lockedUsername');
+  if (lockedUsername) {
+    sessionStorage.removeItem('lockedUsername');
+    signInModal.open(lockedUsername);
+  }
+
   // Deprecated - do not want to encourage or confuse users with this feature since on IOS uses seperate local storage
   //setupAddToHomeScreen();
 });
@@ -529,6 +806,7 @@ function handleUnload() {
       wsManager.disconnect();
       wsManager = null;
     }
+    tabCoordinator.stop();
 
     saveState();
   }
@@ -553,6 +831,14 @@ function handleBeforeUnload(e) {
   history.pushState(null, '', window.location.href);
 }
 
+// pagehide also fires when unload does not, e.g. when a phone browser discards the page or puts it in the back/forward
+// cache; the write is started here so it can finish if the page lives long enough
+function handlePageHide() {
+  console.log('in handlePageHide');
+  if (menuModal.isSignoutExit) return; // state was already saved
+  saveState();
+}
+
 // This is for installed apps where we can't stop the back button; just save the state
 async function handleVisibilityChange() {
   console.log('in handleVisibilityChange', document.visibilityState);
@@ -571,9 +857,17 @@ async function handleVisibilityChange() {
       document.removeEventListener('visibilitychange', handleVisibilityChange);
       return;
     }
+    if (appLock && myData.settings.lockOnHide) {
+      lockApp();
+      return;
+    }
   } else if (document.visibilityState === 'visible') {
+    // timers may not have run while the app was hidden
+    if (checkAutoLock()) {
+      return;
+    }
     // Reconnect WebSocket if needed
-    if (wsManager && !wsManager.isConnected() && myAccount) {
+    if (wsManager && !wsManager.isConnected() && myAccount && tabCoordinator.isLeader) {
       wsManager.connect();
     }
     // if chatModal was opened, check if message count changed while hidden
@@ -587,12 +881,143 @@ async function handleVisibilityChange() {
   }
 }
 
+/**
+ * Saves myData. The changes are taken right away; the write to IndexedDB finishes later
+ * @returns {Promise<boolean>} Resolves when the write is done with true, or false if it failed
+ */
 function saveState() {
   console.log('in saveState');
   if (myData && myAccount && myAccount.username && myAccount.netid) {
     console.log('saving state');
-    localStorage.setItem(`${myAccount.username}_${myAccount.netid}`, stringify(myData));
+    return storeAccountData(myAccount.username, network.storageId, myData, appLock)
+      .then((ids) => {
+        tabCoordinator.notifySaved(ids);
+        return true;
+      })
+      .catch((error) => {
+        console.error('Failed to save the account data:', error);
+        return false;
+      });
+  }
+  return Promise.resolve(false);
+}
+
+/**
+ * Reads the stored data of an account from IndexedDB. Data that is still in localStorage from before the account data
+ * moved to IndexedDB is moved over the first time it is read
+ * @param {string} username - The username of the account
+ * @param {string} storageId - The storage id of the network, see applySelectedNetwork
+ * @param {Uint8Array} [lockKey] - The app lock key if the data is encrypted
+ * @returns {Promise<Object|null>} The account data, { locked: true, lock } if the app lock is on and no key or the
+ *   wrong key was given, or null if not found
+ */
+async function loadAccountData(username, storageId, lockKey) {
+  const name = `${username}_${storageId}`;
+  const storedData = await readAccountData(name, lockKey);
+  if (storedData) return storedData;
+
+  const legacyData = localStorage.getItem(name);
+  if (!legacyData) return null;
+  let data = parse(legacyData);
+  let lock = null;
+  // with the app lock on the whole data was one ciphertext with the lock header as associated data
+  if (data.lock && typeof data.data === 'string') {
+    const header = data.lock;
+    const jsonData = lockKey ? decryptChacha(lockKey, data.data, stringify(header)) : null;
+    if (jsonData == null) return { locked: true, lock: header };
+    data = parse(jsonData);
+    lock = { kdf: header.kdf, key: lockKey };
+  }
+  await writeAccountData(name, data, lock);
+  localStorage.removeItem(name);
+  console.log(`moved the data of ${name} from localStorage to IndexedDB`);
+  return data;
+}
+
+/**
+ * Checks if stored account data is encrypted by the app lock
+ * @param {Object|null} storedData - The result of loadAccountData
+ * @returns {boolean}
+ */
+function isAccountDataLocked(storedData) {
+  return Boolean(storedData?.locked);
+}
+
+/**
+ * Decrypts locked account data with the app lock passphrase
+ * @param {string} username - The username of the account
+ * @param {string} storageId - The storage id of the network, see applySelectedNetwork
+ * @param {Object} storedData - The locked account data from loadAccountData
+ * @param {string} passphrase - The app lock passphrase
+ * @returns {Promise<Object|null>} { data, lock } where lock is the app lock to keep in memory, or null if the
+ *   passphrase is wrong
+ */
+async function unlockAccountData(username, storageId, storedData, passphrase) {
+  const key = await deriveKeyFromPassword(passphrase, storedData.lock.kdf);
+  const data = await loadAccountData(username, storageId, key);
+  if (!data || isAccountDataLocked(data)) return null;
+  return { data, lock: { kdf: storedData.lock.kdf, key } };
+}
+
+/**
+ * Writes the data of an account to IndexedDB; only the parts that changed since the last write are written
+ * @param {string} username - The username of the account
+ * @param {string} storageId - The storage id of the network, see applySelectedNetwork
+ * @param {Object} data - The account data
+ * @param {Object|null} [lock] - The app lock; if given the data is encrypted with its key
+ * @returns {Promise<Array<string>|null>} Resolves with the ids of the records written, null if all were written
+ */
+function storeAccountData(username, storageId, data, lock = null) {
+  return writeAccountData(`${username}_${storageId}`, data, lock);
+}
+
+/**
+ * Removes the stored data of an account
+ * @param {string} username - The username of the account
+ * @param {string} storageId - The storage id of the network, see applySelectedNetwork
+ * @returns {Promise<void>}
+ */
+async function removeAccountData(username, storageId) {
+  localStorage.removeItem(`${username}_${storageId}`);
+  await deleteAccountData(`${username}_${storageId}`);
+}
+
+/**
+ * Locks the app while the app lock is on. The account data is saved, the decrypted data is wiped from memory and
+ * SignInModal asks for the passphrase again
+ * @returns {Promise<void>|undefined} Resolves when the data is saved, before the page reloads
+ */
+function lockApp() {
+  if (!appLock || !myAccount) return;
+  console.log('locking the app');
+  const username = myAccount.username;
+  forgetAccountData(`${username}_${network.storageId}`);
+  // handleSignOut saves the state and reloads the page when online once the save is done; SignInModal is opened again
+  // after the reload. The save takes the changes right away, so the data can be wiped below
+  sessionStorage.setItem('lockedUsername', username);
+  document.querySelectorAll('.modal.active').forEach((modal) => modal.classList.remove('active'));
+  const signedOut = menuModal.handleSignOut();
+  myData = null;
+  myAccount = null;
+  appLock = null;
+  if (!navigator.onLine) {
+    sessionStorage.removeItem('lockedUsername');
+    signInModal.open(username);
+  }
+  return signedOut;
+}
+
+/**
+ * Locks the app if there was no activity for the auto-lock time of the account
+ * @returns {boolean} True if the app was locked
+ */
+function checkAutoLock() {
+  const minutes = Number(myData?.settings?.autoLockMinutes || 0);
+  if (!appLock || !minutes || Date.now() - lastActivityTime < minutes * 60 * 1000) {
+    return false;
   }
+  lockApp();
+  return true;
 }
 
 class WelcomeScreen {
@@ -613,8 +1038,10 @@ class WelcomeScreen {
     
     this.versionDisplay.textContent = myVersion + ' ' + version;
     this.networkNameDisplay.textContent = network.name;
+    this.changeNetworkButton = document.getElementById('changeNetworkButton');
     
     this.signInButton.addEventListener('click', () => signInModal.open());
+    this.changeNetworkButton.addEventListener('click', () => networksModal.open());
     this.createAccountButton.addEventListener('click', () => createAccountModal.openWithReset());
     this.importAccountButton.addEventListener('click', () => restoreAccountModal.open());
 
@@ -671,6 +1098,11 @@ class Header {
     this.text = this.header.querySelector('.app-name');
     this.logoLink = this.header.querySelector('.logo-link');
     this.menuButton = document.getElementById('toggleMenu');
+    this.networkBadge = document.getElementById('networkBadge');
+
+    // always show which network is used
+    this.networkBadge.textContent = network.name;
+    this.networkBadge.title = `${network.name} (${getGatewayHost(network.gateways[0]?.web || '')})`;
 
     this.logoLink.addEventListener('keydown', ignoreShiftTabKey); // add event listener for first-item to prevent shift+tab
     this.menuButton.addEventListener('click', () => menuModal.open());
@@ -876,7 +1308,8 @@ class ChatsScreen {
  */
   async updateChatData() {
     let gotChats = 0;
-    if (myAccount && myAccount.keys) {
+    // other tabs get the chats the leader tab fetched when it saves
+    if (myAccount && myAccount.keys && tabCoordinator.isLeader) {
       try {
         let retryCount = 0;
         const maxRetries = 2;
@@ -924,6 +1357,9 @@ class ChatsScreen {
 
     const chatElements = await Promise.all(
       chats.map(async (chat) => {
+        if (chat.groupId) {
+          return this.createGroupChatItem(chat);
+        }
         const identicon = await generateIdenticon(chat.address);
         const contact = contacts[chat.address];
 
@@ -952,10 +1388,10 @@ class ChatsScreen {
             previewHTML += ` <span class="memo-preview"> | ${truncateMessage(escapeHtml(latestActivity.message), 25)}</span>`;
           }
         } else {
-          // Latest item is a regular message
-          const messageText = escapeHtml(latestActivity.message);
+          // Latest item is a regular message, an attachment or a deleted message
+          const messageText = escapeHtml(getMessagePreviewText(latestActivity));
           // Add "You:" prefix for sent messages
-          const prefix = latestActivity.my ? 'You: ' : '';
+          const prefix = latestActivity.my && !latestActivity.event ? 'You: ' : '';
           previewHTML = `${prefix}${truncateMessage(messageText, 50)}`; // Truncate for preview
         }
 
@@ -997,6 +1433,39 @@ class ChatsScreen {
       }
     });
   }
+
+  /**
+   * Creates the chat list item of a group conversation
+   * @param {Object} chat - The chat entry with the groupId and timestamp
+   * @returns {Promise<HTMLElement|null>} The list item or null if the group has no messages
+   */
+  async createGroupChatItem(chat) {
+    const group = myData.groups?.[chat.groupId];
+    const latestActivity = group?.messages?.[0];
+    if (!latestActivity) return null;
+
+    const identicon = await generateIdenticon(group.id);
+    const prefix = latestActivity.my ? 'You' : getGroupMemberName(group, latestActivity.from);
+    const previewText = latestActivity.event ? getGroupEventText(group, latestActivity) : `${prefix}: ${getMessagePreviewText(latestActivity)}`;
+
+    const li = document.createElement('li');
+    li.classList.add('chat-item');
+    li.innerHTML = `
+            <div class="chat-avatar">${identicon}</div>
+            <div class="chat-content">
+                <div class="chat-header">
+                    <div class="chat-name">${escapeHtml(group.name)}</div>
+                    <div class="chat-time">${formatTime(latestActivity.timestamp)} <span class="chat-time-chevron"></span></div>
+                </div>
+                <div class="chat-message">
+                    ${group.unread ? `<span class="chat-unread">${group.unread}</span>` : ''}
+                    ${truncateMessage(escapeHtml(previewText), 50)}
+                </div>
+            </div>
+        `;
+    li.onclick = () => groupChatModal.open(group.id);
+    return li;
+  }
 }
 
 const chatsScreen = new ChatsScreen();
@@ -1146,6 +1615,10 @@ class MenuModal {
     this.tollButton.addEventListener('click', () => tollModal.open());
     this.backupButton = document.getElementById('openExportForm');
     this.backupButton.addEventListener('click', () => backupAccountModal.open());
+    this.appLockButton = document.getElementById('openAppLock');
+    this.appLockButton.addEventListener('click', () => appLockModal.open());
+    this.gatewaysButton = document.getElementById('openGateways');
+    this.gatewaysButton.addEventListener('click', () => gatewaysModal.open());
     this.validatorButton = document.getElementById('openValidator');
     this.validatorButton.addEventListener('click', () => validatorStakingModal.open());
     this.inviteButton = document.getElementById('openInvite');
@@ -1178,7 +1651,7 @@ class MenuModal {
     return this.modal.classList.contains('active');
   }
   
-  handleSignOut() {
+  async handleSignOut() {
     // Clear intervals
     if (updateWebSocketIndicatorIntervalId && wsManager) {
       clearInterval(updateWebSocketIndicatorIntervalId);
@@ -1192,6 +1665,14 @@ class MenuModal {
       clearInterval(getSystemNoticeIntervalId);
       getSystemNoticeIntervalId = null;
     }
+    if (purgeExpiredMessagesIntervalId) {
+      clearInterval(purgeExpiredMessagesIntervalId);
+      purgeExpiredMessagesIntervalId = null;
+    }
+    if (autoLockIntervalId) {
+      clearInterval(autoLockIntervalId);
+      autoLockIntervalId = null;
+    }
     // Stop camera if it's running
     if (typeof scanQRModal !== 'undefined' && scanQRModal.camera.scanInterval) {
       scanQRModal.stopCamera();
@@ -1206,8 +1687,8 @@ class MenuModal {
       wsManager = null;
     }
 
-    // Save myData to localStorage if it exists
-    saveState();
+    // Save myData; the reload below waits for the write to finish
+    const saved = saveState();
     /*
       if (myData && myAccount) {
           localStorage.setItem(`${myAccount.username}_${myAccount.netid}`, stringify(myData));
@@ -1242,7 +1723,8 @@ class MenuModal {
       return;
     }
 
-    // Only reload if online
+    // Only reload if online; a reload before the write is done would lose the latest changes
+    await saved;
     window.location.reload();
   }
 }
@@ -1259,6 +1741,7 @@ class WalletScreen {
     this.screen = document.getElementById('walletScreen');
     // balance elements
     this.totalBalance = document.getElementById('walletTotalBalance');
+    this.balanceStatus = document.getElementById('walletBalanceStatus');
     this.refreshBalanceButton = document.getElementById('refreshBalance');
     // assets list
     this.assetsList = document.getElementById('assetsList');
@@ -1354,9 +1837,6 @@ class WalletScreen {
     }
     await updateAssetPricesIfNeeded();
     const now = getCorrectedTimestamp();
-    if (!myData.wallet.timestamp) {
-      myData.wallet.timestamp = 0;
-    }
     if (now - myData.wallet.timestamp < 5000) {
       return;
     }
@@ -1364,6 +1844,7 @@ class WalletScreen {
     // TODO - first update the asset prices from a public API
 
     let totalWalletNetworth = 0.0;
+    let balanceStatus = '';
 
     // Update balances for each asset and address
     for (const asset of myData.wallet.assets) {
@@ -1373,8 +1854,16 @@ class WalletScreen {
       for (const addr of asset.addresses) {
         try {
           const address = longAddress(addr.address);
-          const data = await queryNetwork(`/account/${address}/balance`);
+          const data = await queryNetworkVerified(`/account/${address}/balance`, (answer) => answer?.balance);
           console.log('balance', data);
+          if (!data) {
+            // keep the last known balance
+            balanceStatus = myData.settings.verifyGatewayAnswers
+              ? 'The balance could not be verified with several gateways; showing the last known balance'
+              : 'The balance could not be updated; showing the last known balance';
+            assetTotalBalance += addr.balance || 0n;
+            continue;
+          }
           // Update address balance
           addr.balance = data.balance || 0n;
 
@@ -1394,6 +1883,7 @@ class WalletScreen {
     // Update total wallet balance
     myData.wallet.networth = totalWalletNetworth;
     myData.wallet.timestamp = now;
+    this.balanceStatus.textContent = balanceStatus;
   }
 }
 
@@ -1423,6 +1913,189 @@ function createNewContact(addr, username, friendStatus = 1) {
   c.tollRequiredToReceive = 1;
   c.tollRequiredToSend = 1;
   c.friend = friendStatus;
+  markContactChanged(myData, address);
+}
+
+/**
+ * Checks that a public key hashes to the given address
+ * @param {string} publicKey - The uncompressed secp256k1 public key as hex
+ * @param {string} address - The address of the account
+ * @returns {boolean} True if the public key belongs to the address
+ */
+function isPublicKeyOfAddress(publicKey, address) {
+  try {
+    const publicKeyBytes = hex2bin(publicKey);
+    return publicKeyBytes.length === 65 && bin2hex(generateAddress(publicKeyBytes)) === normalizeAddress(address);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Gets the public and post-quantum public keys of an account from the contact or queries the network for them.
+ * Keys are only used if the public key hashes to the address; if a gateway returns a key that does not, the key is
+ * rejected, the pinned keys stay in use and the contact is flagged as compromised so ContactInfoModal can warn about
+ * it until a fetched key verifies again
+ * @param {string} address - The address of the account
+ * @param {boolean} [refresh] - Query the network even if the contact already has keys, e.g. to notice key changes
+ * @returns {Promise<Object|null>} An object with public and pqPublic keys, or null if no verified keys were found
+ */
+async function getVerifiedPublicKeys(address, refresh = false) {
+  const contact = myData.contacts[address];
+  if (!refresh && contact?.public && contact?.pqPublic && isPublicKeyOfAddress(contact.public, address)) {
+    if (!contact.pinnedKeys) {
+      contact.pinnedKeys = { public: contact.public, pqPublic: contact.pqPublic, timestamp: getCorrectedTimestamp() };
+      markContactChanged(myData, address);
+    }
+    return { public: contact.public, pqPublic: contact.pqPublic };
+  }
+
+  const accountInfo = await queryNetworkVerified(`/account/${longAddress(address)}`, (answer) =>
+    answer?.account?.publicKey ? [answer.account.publicKey, answer.account.pqPublicKey] : null
+  );
+  const publicKey = accountInfo?.account?.publicKey;
+  if (!publicKey) {
+    console.log(`no public key found for ${address}`);
+    return null;
+  }
+  if (!isPublicKeyOfAddress(publicKey, address)) {
+    console.error(`Public key from the network does not match address ${address}`);
+    // warn once per contact and not on every poll; the flag is cleared when a fetched key verifies again
+    if (!contact?.compromised) {
+      showToast('The public key of this contact could not be verified', 0, 'error');
+    }
+    if (!contact) {
+      return null;
+    }
+    if (!contact.compromised) {
+      contact.compromised = true;
+      markContactChanged(myData, address);
+    }
+    // the pinned keys hash to the address, so one bad answer doesn't take away the keys we already verified
+    const pinned = contact.pinnedKeys;
+    if (pinned?.public && pinned?.pqPublic && isPublicKeyOfAddress(pinned.public, address)) {
+      return { public: pinned.public, pqPublic: pinned.pqPublic };
+    }
+    return null;
+  }
+  const pqPublicKey = accountInfo.account.pqPublicKey;
+  if (contact) {
+    markContactChanged(myData, address);
+    delete contact.compromised;
+    // pin the keys the first time we see them and compare later fetches to the pinned keys
+    if (!contact.pinnedKeys) {
+      contact.pinnedKeys = {
+        public: contact.public && contact.pqPublic ? contact.public : publicKey,
+        pqPublic: contact.public && contact.pqPublic ? contact.pqPublic : pqPublicKey,
+        timestamp: getCorrectedTimestamp(),
+      };
+    }
+    if (contact.pinnedKeys.public !== publicKey || contact.pinnedKeys.pqPublic !== pqPublicKey) {
+      recordContactKeyChange(contact, publicKey, pqPublicKey);
+      // the pinned keys stay in use until the user accepts the new ones with acceptContactKeyChange
+      contact.public = contact.pinnedKeys.public;
+      contact.pqPublic = contact.pinnedKeys.pqPublic;
+      return { public: contact.public, pqPublic: contact.pqPublic };
+    }
+    // the keys went back to the pinned keys before the change was accepted
+    delete contact.keyChange;
+    contact.public = publicKey;
+    contact.pqPublic = pqPublicKey;
+  }
+  return { public: publicKey, pqPublic: pqPublicKey };
+}
+
+/**
+ * Records that the keys of a contact are different from the pinned keys. Sending to the contact is blocked until
+ * the user accepts the new keys with acceptContactKeyChange, and the change is added to the chat as an event
+ * @param {Object} contact - The contact
+ * @param {string} publicKey - The new secp256k1 public key as hex
+ * @param {string} pqPublicKey - The new ML-KEM public key as base64
+ * @returns {void}
+ */
+function recordContactKeyChange(contact, publicKey, pqPublicKey) {
+  if (contact.keyChange?.public === publicKey && contact.keyChange?.pqPublic === pqPublicKey) {
+    return;
+  }
+  console.warn(`Keys of ${contact.address} changed`);
+  const timestamp = getCorrectedTimestamp();
+  contact.keyChange = { public: publicKey, pqPublic: pqPublicKey, timestamp };
+  // the ratchet session was started with the old keys
+  delete contact.ratchet;
+  const event = { event: 'keyChange', my: false, timestamp };
+  insertSorted(contact.messages, event, 'timestamp');
+  markContactChanged(myData, contact.address);
+  markRatchetChanged(myData, contact.address);
+  markMessageChanged(myData, contact.address, event);
+  if (chatModal.isActive() && chatModal.address === contact.address) {
+    chatModal.appendChatModal();
+    chatModal.updateKeyChangeWarning();
+  }
+}
+
+/**
+ * Pins the new keys of a contact after the user accepted the key change, which allows sending to the contact again
+ * @param {Object} contact - The contact with a pending key change
+ * @returns {void}
+ */
+function acceptContactKeyChange(contact) {
+  if (!contact.keyChange) return;
+  const timestamp = getCorrectedTimestamp();
+  contact.pinnedKeys = { public: contact.keyChange.public, pqPublic: contact.keyChange.pqPublic, timestamp };
+  contact.public = contact.keyChange.public;
+  contact.pqPublic = contact.keyChange.pqPublic;
+  delete contact.keyChange;
+  const event = { event: 'keyAccepted', my: true, timestamp };
+  insertSorted(contact.messages, event, 'timestamp');
+  markContactChanged(myData, contact.address);
+  markMessageChanged(myData, contact.address, event);
+}
+
+/**
+ * Returns a fingerprint of the classical and post-quantum public keys of an account
+ * @param {string} address - The address of the account
+ * @param {string} publicKey - The secp256k1 public key as hex
+ * @param {string} pqPublicKey - The ML-KEM public key as base64
+ * @returns {string} The fingerprint as hex
+ */
+function getKeyFingerprint(address, publicKey, pqPublicKey) {
+  return hashBytes(`${normalizeAddress(address)}:${publicKey}:${pqPublicKey}`);
+}
+
+/**
+ * Returns the safety number of the chat with a contact. It is made from the key fingerprints of both sides, so we
+ * and the contact only see the same number if each of us has the right keys for the other
+ * @param {Object} contact - The contact; must have the public and pqPublic keys
+ * @returns {string} 60 digits in groups of 5 separated by spaces
+ */
+function getSafetyNumber(contact) {
+  const myPqPublic = bin2base64(generatePQKeys(myAccount.keys.pqSeed).publicKey);
+  const sides = [
+    {
+      address: normalizeAddress(myAccount.keys.address),
+      fingerprint: getKeyFingerprint(myAccount.keys.address, myAccount.keys.public, myPqPublic),
+    },
+    { address: contact.address, fingerprint: getKeyFingerprint(contact.address, contact.public, contact.pqPublic) },
+  ].sort((a, b) => (a.address < b.address ? -1 : 1));
+
+  // 6 groups of 5 digits from the first 30 bytes of each fingerprint
+  const groups = [];
+  for (const { fingerprint } of sides) {
+    for (let i = 0; i < 6; i++) {
+      const chunk = parseInt(fingerprint.slice(i * 10, i * 10 + 10), 16);
+      groups.push(String(chunk % 100000).padStart(5, '0'));
+    }
+  }
+  return groups.join(' ');
+}
+
+/**
+ * Checks if the keys of a verified contact are different from the keys that were verified
+ * @param {Object} contact - The contact
+ * @returns {boolean} True if the contact was verified and the keys changed since
+ */
+function hasContactKeyChanged(contact) {
+  return Boolean(contact?.verified) && contact.verified !== getKeyFingerprint(contact.address, contact.public, contact.pqPublic);
 }
 
 /**
@@ -1440,13 +2113,10 @@ function updateTollAmountUI(address) {
   const decimals = 18;
   const mainIsUSD = tollUnit === 'USD';
   const mainValue = parseFloat(big2str(toll, decimals));
-  // Conversion factor (USD/LIB)
-  const scaleMul = parameters.current.stabilityScaleMul || 1;
-  const scaleDiv = parameters.current.stabilityScaleDiv || 1;
-  const factor = scaleDiv !== 0 ? scaleMul / scaleDiv : 1;
+  const factor = getStabilityFactor();
   let mainString, otherString;
   if (mainIsUSD) {
-    toll = bigxnum2big(toll, (1.0 / factor).toString());
+    toll = getTollInLib(contact.toll || 0n, tollUnit);
     mainString = mainValue.toFixed(6) + ' USD';
     const libValue = mainValue / factor;
     otherString = libValue.toFixed(6) + ' LIB';
@@ -1472,6 +2142,29 @@ function updateTollAmountUI(address) {
   chatModal.tollUnit = tollUnit;
 }
 
+/**
+ * Returns the USD/LIB conversion factor from the network parameters
+ * @returns {number} The number of USD for one LIB
+ */
+function getStabilityFactor() {
+  const scaleMul = parameters.current.stabilityScaleMul || 1;
+  const scaleDiv = parameters.current.stabilityScaleDiv || 1;
+  return scaleDiv !== 0 ? scaleMul / scaleDiv : 1;
+}
+
+/**
+ * Converts a toll to LIB if it was set in USD
+ * @param {bigint} toll - The toll in wei of the toll unit
+ * @param {string} tollUnit - 'LIB' or 'USD'
+ * @returns {bigint} The toll in LIB wei
+ */
+function getTollInLib(toll, tollUnit) {
+  if (tollUnit !== 'USD') {
+    return toll;
+  }
+  return bigxnum2big(toll, (1.0 / getStabilityFactor()).toString());
+}
+
 /**
  * updateTollRequired queries contact object and updates the tollRequiredByMe and tollRequiredByOther fields
  * @param {string} address - the address of the contact
@@ -1502,6 +2195,7 @@ async function updateTollRequired(address) {
     const localContact = myData.contacts[address];
     localContact.tollRequiredToSend = contactAccountData.toll.required[toIndex];
     localContact.tollRequiredToReceive = contactAccountData.toll.required[myIndex];
+    markContactChanged(myData, address);
 
     if (chatModal.isActive() && chatModal.address === address) {
       updateTollAmountUI(address);
@@ -1530,6 +2224,7 @@ async function updateTollValue(address) {
   if (myData.contacts[address].toll != queriedToll || myData.contacts[address].tollUnit != queriedTollUnit) {
     myData.contacts[address].toll = queriedToll;
     myData.contacts[address].tollUnit = queriedTollUnit;
+    markContactChanged(myData, address);
     // if correct modal is open for this address, update the toll value
     if (chatModal.isActive() && chatModal.address === address) {
       updateTollAmountUI(address);
@@ -1791,6 +2486,13 @@ class SignInModal {
     this.notFoundMessage = document.getElementById('usernameNotFound');
     this.signInModalLastItem = document.getElementById('signInModalLastItem');
     this.backButton = document.getElementById('closeSignInModal');
+    this.passphraseGroup = document.getElementById('signInPassphraseGroup');
+    this.passphraseInput = document.getElementById('signInPassphrase');
+    this.networkName = document.getElementById('signInNetworkName');
+    this.changeNetworkButton = document.getElementById('signInChangeNetwork');
+
+    this.networkName.textContent = network.name;
+    this.changeNetworkButton.addEventListener('click', () => networksModal.open());
 
     // Sign in form submission
     document.getElementById('signInForm').addEventListener('submit', (event) => this.handleSignIn(event));
@@ -1807,9 +2509,9 @@ class SignInModal {
 
   async open(preselectedUsername_) {
     // Get existing accounts
-    const { netid } = network;
+    const { storageId } = network;
     const existingAccounts = parse(localStorage.getItem('accounts') || '{"netids":{}}');
-    const netidAccounts = existingAccounts.netids[netid];
+    const netidAccounts = existingAccounts.netids[storageId];
     const usernames = netidAccounts?.usernames ? Object.keys(netidAccounts.usernames) : [];
     this.preselectedUsername = preselectedUsername_;
 
@@ -1875,11 +2577,50 @@ class SignInModal {
     this.submitButton.style.display = 'inline';
     this.removeButton.style.display = 'none';
     this.notFoundMessage.style.display = 'none';
+    this.passphraseInput.value = '';
+    this.passphraseGroup.style.display = 'none';
     
     this.modal.classList.remove('active');
     this.preselectedUsername = null;
   }
 
+  /**
+   * Unlocks account data that is encrypted by the app lock. Asks for the passphrase first if it was not entered yet
+   * @param {string} username - The username of the account
+   * @param {string} storageId - The storage id of the network, see applySelectedNetwork
+   * @param {Object} storedData - The locked account data from loadAccountData
+   * @returns {Promise<Object|null>} The unlocked data and app lock, or null if the account is still locked
+   */
+  async unlock(username, storageId, storedData) {
+    const passphrase = this.passphraseInput.value;
+    if (!passphrase) {
+      this.passphraseGroup.style.display = 'block';
+      this.submitButton.disabled = false;
+      this.submitButton.style.display = 'inline';
+      this.passphraseInput.focus();
+      return null;
+    }
+
+    const buttonText = this.submitButton.textContent;
+    this.submitButton.disabled = true;
+    this.submitButton.textContent = 'Unlocking...';
+    let unlocked = null;
+    try {
+      unlocked = await unlockAccountData(username, storageId, storedData, passphrase);
+    } catch (error) {
+      console.error('Unlock failed:', error);
+    }
+    this.submitButton.disabled = false;
+    this.submitButton.textContent = buttonText;
+    if (!unlocked) {
+      showToast('Wrong passphrase', 3000, 'error');
+      this.passphraseInput.value = '';
+      this.passphraseInput.focus();
+      return null;
+    }
+    return unlocked;
+  }
+
   async handleSignIn(event) {
     if (event) {
       event.preventDefault();
@@ -1890,21 +2631,51 @@ class SignInModal {
     const username = this.usernameSelect.value;
 
     // Get network ID from network.js
-    const { netid } = network;
+    const { storageId } = network;
 
     // Get existing accounts
     const existingAccounts = parse(localStorage.getItem('accounts') || '{"netids":{}}');
 
     // Check if username exists
-    if (!existingAccounts.netids[netid]?.usernames?.[username]) {
+    if (!existingAccounts.netids[storageId]?.usernames?.[username]) {
       console.error('Account not found');
       return;
     }
 
+    let storedData = await loadAccountData(username, storageId);
+    if (!storedData) {
+      console.log('Account data not found');
+      return;
+    }
+    // the app lock is on, so the data has to be decrypted with the passphrase first
+    let lock = null;
+    if (isAccountDataLocked(storedData)) {
+      const unlocked = await this.unlock(username, storageId, storedData);
+      if (!unlocked) return;
+      storedData = unlocked.data;
+      lock = unlocked.lock;
+    }
+    try {
+      const dataVersion = storedData.version;
+      migrateMyData(storedData);
+      // the migration may have changed any part of the data, so the next save writes all of it
+      if (storedData.version !== dataVersion) {
+        forgetAccountData(`${username}_${storageId}`);
+      }
+    } catch (error) {
+      console.error('Account data migration failed:', error);
+      showToast(error.message, 0, 'error');
+      return;
+    }
+
     // Check if the button text is 'Recreate'
     if (this.submitButton.textContent === 'Recreate') {
-      const myData = parse(localStorage.getItem(`${username}_${netid}`));
-      const privateKey = myData.account.keys.secret;
+      const privateKey = storedData.account.keys.secret;
+      // keep the unlocked data so creating the account does not replace it
+      if (lock) {
+        myData = storedData;
+        appLock = lock;
+      }
       createAccountModal.usernameInput.value = username;
 
       createAccountModal.privateKeyInput.value = privateKey;
@@ -1915,17 +2686,14 @@ class SignInModal {
       return;
     }
 
-    myData = parse(localStorage.getItem(`${username}_${netid}`));
-    if (!myData) {
-      console.log('Account data not found');
-      return;
-    }
+    // the decrypted data only lives in memory; saveState encrypts it again while appLock is set
+    myData = storedData;
     myAccount = myData.account;
+    appLock = lock;
 
     /* requestNotificationPermission(); */
-    if (useLongPolling) {
-      setTimeout(longPoll(), 10);
-    }
+    // the leader tab starts polling or the WebSocket
+    tabCoordinator.start(myAccount.username, network.storageId);
     // Start intervals now that user is signed in
     if (!updateWebSocketIndicatorIntervalId && wsManager) {
       updateWebSocketIndicatorIntervalId = setInterval(updateWebSocketIndicator, 5000);
@@ -1936,6 +2704,14 @@ class SignInModal {
     if (!getSystemNoticeIntervalId) {
       getSystemNoticeIntervalId = setInterval(getSystemNotice, 15000);
     }
+    if (!purgeExpiredMessagesIntervalId) {
+      purgeExpiredMessages();
+      purgeExpiredMessagesIntervalId = setInterval(purgeExpiredMessages, 10000);
+    }
+    lastActivityTime = Date.now();
+    if (!autoLockIntervalId) {
+      autoLockIntervalId = setInterval(checkAutoLock, 15000);
+    }
     // Close modal and proceed to app
     this.close();
     welcomeScreen.close();
@@ -1945,12 +2721,14 @@ class SignInModal {
   async handleUsernameChange() {
     console.log('in handleUsernameChange');
     // Get existing accounts
-    const { netid } = network;
+    const { storageId } = network;
     const existingAccounts = parse(localStorage.getItem('accounts') || '{"netids":{}}');
-    const netidAccounts = existingAccounts.netids[netid];
+    const netidAccounts = existingAccounts.netids[storageId];
     const usernames = netidAccounts?.usernames ? Object.keys(netidAccounts.usernames) : [];
     // Enable submit button when an account is selected
     const username = this.usernameSelect.value;
+    this.passphraseInput.value = '';
+    this.passphraseGroup.style.display = 'none';
     if (!username) {
       this.submitButton.disabled = true;
       this.notFoundMessage.style.display = 'none';
@@ -2027,6 +2805,10 @@ class ContactInfoModal {
     this.nameDiv = this.avatarSection.querySelector('.name');
     this.subtitleDiv = this.avatarSection.querySelector('.subtitle');
     this.usernameDiv = document.getElementById('contactInfoUsername');
+    this.expirySelect = document.getElementById('contactInfoExpiry');
+    this.compromisedWarning = document.getElementById('contactInfoCompromised');
+    this.verifiedStatus = document.getElementById('contactInfoVerifiedStatus');
+    this.verifyButton = document.getElementById('contactInfoVerifyButton');
 
     // Back button
     this.backButton.addEventListener('click', () => this.close());
@@ -2054,21 +2836,77 @@ class ContactInfoModal {
       if (!this.currentContactAddress) return;
       friendModal.open();
     });
-  }
 
-  // Update contact info values
-  async updateContactInfo(displayInfo) {
-    // Generate identicon for the contact
-    const identicon = await generateIdenticon(displayInfo.address, 96);
+    this.expirySelect.addEventListener('change', () => this.handleExpiryChange());
 
-    // Update the avatar section
-    this.avatarDiv.innerHTML = identicon;
-    this.nameDiv.textContent = displayInfo.name !== 'Not Entered' ? displayInfo.name : displayInfo.username;
-    this.subtitleDiv.textContent = displayInfo.address;
+    this.verifyButton.addEventListener('click', () => {
+      if (!this.currentContactAddress) return;
+      verifyContactModal.open(this.currentContactAddress);
+    });
+  }
 
-    const fields = {
-      Username: 'contactInfoUsername',
-      Name: 'contactInfoName',
+  /**
+   * Shows if the keys of the contact were verified with the safety number
+   * @returns {void}
+   */
+  updateVerifiedStatus() {
+    const contact = myData.contacts[this.currentContactAddress];
+    if (hasContactKeyChanged(contact)) {
+      this.verifiedStatus.textContent = 'Keys changed since you verified them';
+    } else {
+      this.verifiedStatus.textContent = contact?.verified ? 'Verified' : 'Not verified';
+    }
+  }
+
+  /**
+   * Changes the disappearing message timer of the chat; the contact gets the new timer in a message without text
+   * @returns {Promise<void>}
+   */
+  async handleExpiryChange() {
+    const address = this.currentContactAddress;
+    const contact = myData.contacts[address];
+    if (!contact) return;
+    const expiry = Number(this.expirySelect.value);
+    const previous = { expiry: contact.expiry, expiryTimestamp: contact.expiryTimestamp, messages: contact.messages };
+
+    this.expirySelect.disabled = true;
+    // the toll may not be known yet if the chat was never opened
+    await updateTollValue(address);
+    await updateTollRequired(address);
+    const timestamp = getCorrectedTimestamp();
+    const sent = await chatModal.sendControlMessage(
+      address,
+      '',
+      { expiry, expiryTimestamp: timestamp },
+      () => {
+        contact.messages = [...contact.messages];
+        applyContactExpiry(contact, expiry, true, timestamp);
+      },
+      () => {
+        Object.assign(contact, previous);
+        markContactChanged(myData, address);
+        markChatChanged(myData, address);
+      }
+    );
+    this.expirySelect.disabled = false;
+    if (!sent) {
+      this.expirySelect.value = String(contact.expiry || 0);
+    }
+  }
+
+  // Update contact info values
+  async updateContactInfo(displayInfo) {
+    // Generate identicon for the contact
+    const identicon = await generateIdenticon(displayInfo.address, 96);
+
+    // Update the avatar section
+    this.avatarDiv.innerHTML = identicon;
+    this.nameDiv.textContent = displayInfo.name !== 'Not Entered' ? displayInfo.name : displayInfo.username;
+    this.subtitleDiv.textContent = displayInfo.address;
+
+    const fields = {
+      Username: 'contactInfoUsername',
+      Name: 'contactInfoName',
       ProvidedName: 'contactInfoProvidedName',
       Email: 'contactInfoEmail',
       Phone: 'contactInfoPhone',
@@ -2134,6 +2972,11 @@ class ContactInfoModal {
     if (contact) {
       friendModal.updateFriendButton(contact, 'addFriendButtonContactInfo');
     }
+    this.compromisedWarning.classList.toggle('show', Boolean(contact?.compromised));
+    this.expirySelect.value = String(contact?.expiry || 0);
+    this.expirySelect.parentElement.style.display = contact ? 'block' : 'none';
+    this.verifyButton.parentElement.style.display = contact ? 'block' : 'none';
+    this.updateVerifiedStatus();
 
     this.modal.classList.add('active');
   }
@@ -2162,6 +3005,152 @@ class ContactInfoModal {
 // Create a singleton instance
 const contactInfoModal = new ContactInfoModal();
 
+/**
+ * Verify Contact Modal
+ * @description Shows the safety number of a chat as digits and as a QR code. The contact is verified by scanning
+ * the code on the contact's device or by comparing the digits and marking the contact as verified
+ * @class VerifyContactModal
+ */
+class VerifyContactModal {
+  constructor() {
+    this.address = null;
+    this.safetyNumber = '';
+  }
+
+  load() {
+    this.modal = document.getElementById('verifyContactModal');
+    this.closeButton = document.getElementById('closeVerifyContactModal');
+    this.safetyNumberDiv = document.getElementById('safetyNumber');
+    this.qrContainer = document.getElementById('verifyContactQR');
+    this.statusDiv = document.getElementById('verifyContactStatus');
+    this.scanButton = document.getElementById('scanVerifyContactButton');
+    this.toggleVerifiedButton = document.getElementById('toggleContactVerifiedButton');
+
+    this.closeButton.addEventListener('click', () => this.close());
+    this.scanButton.addEventListener('click', () => {
+      scanQRModal.fillFunction = this.fillFromQR.bind(this);
+      scanQRModal.open();
+    });
+    this.toggleVerifiedButton.addEventListener('click', () => {
+      this.setVerified(!this.isVerified());
+    });
+  }
+
+  /**
+   * Opens the modal for a contact with the latest keys from the network
+   * @param {string} address - The address of the contact
+   * @returns {Promise<void>}
+   */
+  async open(address) {
+    if (!(await getVerifiedPublicKeys(address, true))) {
+      showToast('Could not get the keys of this contact', 0, 'error');
+      return;
+    }
+    this.address = address;
+    this.safetyNumber = getSafetyNumber(myData.contacts[address]);
+    this.safetyNumberDiv.innerHTML = this.safetyNumber
+      .split(' ')
+      .map((group) => `<span>${group}</span>`)
+      .join('');
+
+    // the code has our address so the scanner knows whose safety number it is
+    const qrData = { a: myAccount.keys.address, s: this.safetyNumber };
+    const qrText = `liberdus-verify://${bin2base64(utf82bin(JSON.stringify(qrData)))}`;
+    const gifBytes = qr.encodeQR(qrText, 'gif', { scale: 4 });
+    const img = document.createElement('img');
+    img.src = 'data:image/gif;base64,' + bin2base64(new Uint8Array(gifBytes));
+    this.qrContainer.innerHTML = '';
+    this.qrContainer.appendChild(img);
+
+    this.updateStatus();
+    this.modal.classList.add('active');
+  }
+
+  close() {
+    this.modal.classList.remove('active');
+    this.address = null;
+  }
+
+  isActive() {
+    return this.modal.classList.contains('active');
+  }
+
+  /**
+   * Checks if the contact was verified with the keys the safety number is made from
+   * @returns {boolean}
+   */
+  isVerified() {
+    const contact = myData.contacts[this.address];
+    return Boolean(contact?.verified) && !hasContactKeyChanged(contact);
+  }
+
+  updateStatus() {
+    const verified = this.isVerified();
+    this.statusDiv.textContent = verified ? '✓ Verified' : 'Not verified';
+    this.statusDiv.classList.toggle('verified', verified);
+    this.toggleVerifiedButton.textContent = verified ? 'Clear Verification' : 'Mark as Verified';
+  }
+
+  /**
+   * Marks the contact as verified by storing the fingerprint of the current keys, or clears the verification
+   * @param {boolean} verified - True to mark the contact as verified
+   * @returns {void}
+   */
+  setVerified(verified) {
+    const contact = myData.contacts[this.address];
+    if (!contact) return;
+    if (verified) {
+      contact.verified = getKeyFingerprint(contact.address, contact.public, contact.pqPublic);
+    } else {
+      delete contact.verified;
+    }
+    markContactChanged(myData, this.address);
+    saveState();
+    this.updateStatus();
+    if (contactInfoModal.isActive()) {
+      contactInfoModal.updateVerifiedStatus();
+    }
+    if (chatModal.isActive()) {
+      chatModal.updateKeyChangeWarning();
+    }
+  }
+
+  /**
+   * Handles a scanned verification code; the contact is verified if the code is from the contact and has our safety number
+   * @param {string} data - The text of the scanned QR code
+   * @returns {void}
+   */
+  fillFromQR(data) {
+    const prefix = 'liberdus-verify://';
+    let scanned = null;
+    try {
+      if (data.startsWith(prefix)) {
+        scanned = JSON.parse(bin2utf8(base642bin(data.slice(prefix.length))));
+        scanned.a = normalizeAddress(scanned.a);
+      }
+    } catch (error) {
+      console.error('Error parsing verification code:', error);
+      scanned = null;
+    }
+    if (!scanned?.a || typeof scanned.s !== 'string') {
+      showToast('This is not a contact verification code', 0, 'error');
+      return;
+    }
+    if (scanned.a !== this.address) {
+      showToast('This code is for a different contact', 0, 'error');
+      return;
+    }
+    if (scanned.s !== this.safetyNumber) {
+      showToast('The safety numbers do not match. Your chat with this contact may not be secure.', 0, 'error');
+      return;
+    }
+    this.setVerified(true);
+    showToast('Contact verified', 3000, 'success');
+  }
+}
+
+const verifyContactModal = new VerifyContactModal();
+
 /**
  * Friend Modal
  * Frontend: 0 = blocked, 1 = Other, 2 = Acquaintance, 3 = Friend
@@ -2257,6 +3246,7 @@ class FriendModal {
 
     // Update friend status based on selected value
     contact.friend = Number(selectedStatus);
+    markContactChanged(myData, this.currentContactAddress);
 
     // Show appropriate toast message depending value 0,1,2,3
     showToast(
@@ -2464,6 +3454,7 @@ class EditContactModal {
     const contact = myData.contacts[this.currentContactAddress];
     if (contact) {
       contact.name = newName;
+      markContactChanged(myData, this.currentContactAddress);
       contactInfoModal.needsContactListUpdate = true;
     }
 
@@ -2689,15 +3680,10 @@ async function queryNetwork(url) {
     //alert('not online')
     return null;
   }
-  const selectedGateway = getGatewayForRequest();
-  if (!selectedGateway) {
-    console.error('No gateway available for network query');
-    return null;
-  }
-
   try {
-    const response = await fetch(`${selectedGateway.web}${url}`);
-    console.log('query', `${selectedGateway.web}${url}`);
+    // tries the next gateway if one fails
+    const response = await fetchFromGateway(url);
+    console.log('query', response.url);
     const data = parse(await response.text());
     console.log('response', data);
     return data;
@@ -2707,6 +3693,107 @@ async function queryNetwork(url) {
   }
 }
 
+/**
+ * Like queryNetwork, but when verifyGatewayAnswers is on the same url is queried from up to GATEWAY_QUORUM_SIZE
+ * healthy gateways and the answer is only trusted if most of them agree on the part of it that pick returns. This way
+ * a single gateway can't forge keys, balances or receipts. Gateways that are outvoted are recorded in gatewayPool.
+ * With fewer than two working gateways nothing can be verified, so no answer is trusted
+ * @param {string} url - The path to query
+ * @param {Function} pick - Gets the part of an answer to compare; null or undefined means the gateway has no answer yet
+ * @returns {Promise<Object|null>} The answer of the majority, or null if it could not be verified
+ */
+async function queryNetworkVerified(url, pick) {
+  if (!myData?.settings?.verifyGatewayAnswers) {
+    return queryNetwork(url);
+  }
+  const gateways = gatewayPool
+    .rank()
+    .filter((gateway) => gatewayPool.isHealthy(gateway))
+    .slice(0, GATEWAY_QUORUM_SIZE);
+  if (gateways.length < 2) {
+    console.warn(`Only ${gateways.length} gateway working; ${url} can't be verified`);
+    // pending transactions are checked every few seconds; don't repeat the warning for each of them
+    if (Date.now() - queryNetworkVerified.lastWarning > 60 * 1000) {
+      queryNetworkVerified.lastWarning = Date.now();
+      showToast('Answers can only be verified with at least two working gateways', 5000, 'warning');
+    }
+    return null;
+  }
+  if (!(await checkOnlineStatus())) {
+    console.warn('not online');
+    return null;
+  }
+
+  const answers = await Promise.all(
+    gateways.map(async (gateway) => {
+      // a gateway that never answers counts as a failed one instead of holding up the others
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), GATEWAY_REQUEST_TIMEOUT_MS);
+      try {
+        const response = await fetch(`${gateway.web}${url}`, { signal: controller.signal });
+        if (response.status >= 500) {
+          throw new Error(`${gateway.web} responded with status ${response.status}`);
+        }
+        const data = parse(await response.text());
+        gatewayPool.recordSuccess(gateway);
+        return { gateway, data };
+      } catch (error) {
+        console.warn(`Request to ${gateway.web}${url} failed:`, error.name === 'AbortError' ? 'timeout' : error);
+        gatewayPool.recordFailure(gateway);
+        return { gateway, data: null };
+      } finally {
+        clearTimeout(timeoutId);
+      }
+    })
+  );
+
+  // group the gateways by the picked part of their answer
+  const groups = new Map(); // stringified picked value -> answers
+  for (const answer of answers) {
+    const value = answer.data === null ? undefined : pick(answer.data);
+    if (value === undefined || value === null) continue;
+    const key = stringify(value);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(answer);
+  }
+  const ordered = [...groups.values()].sort((a, b) => b.length - a.length);
+  const majority = ordered[0] || [];
+  const hasQuorum = majority.length > gateways.length / 2;
+
+  if (ordered.length > 1) {
+    console.warn(
+      `Gateways disagree on ${url}:`,
+      ordered.map((group) => ({ gateways: group.map((answer) => answer.gateway.web), value: pick(group[0].data) }))
+    );
+    if (hasQuorum) {
+      for (const answer of ordered.slice(1).flat()) {
+        gatewayPool.recordDisagreement(answer.gateway);
+      }
+    }
+    showToast('Gateways gave different answers. Some of them may not be trustworthy.', 5000, 'warning');
+  }
+  if (!hasQuorum) {
+    console.warn(`No quorum of gateways for ${url}`);
+    return null;
+  }
+  return majority[0].data;
+}
+queryNetworkVerified.lastWarning = 0;
+
+/**
+ * Looks up the receipt of a transaction. When verifyGatewayAnswers is on, the gateways must agree on the outcome,
+ * including that there is no receipt
+ * @param {string} url - /transaction/<txid> or the collector path of the receipt
+ * @returns {Promise<Object|null>} The answer with the receipt in transaction, or null if it could not be looked up
+ */
+async function queryTransactionReceipt(url) {
+  return queryNetworkVerified(url, (answer) => {
+    if (!answer || !('transaction' in answer)) return undefined;
+    const { transaction } = answer;
+    return transaction && Object.keys(transaction).length > 0 ? Boolean(transaction.success) : 'none';
+  });
+}
+
 async function pollChatInterval(milliseconds) {
   pollChats.nextPoll = milliseconds;
   pollChats();
@@ -2853,6 +3940,7 @@ async function getChats(keys, retry = 1) {
   if (chatModal.address) {
     // clear the unread count of address for open chat modal
     myData.contacts[chatModal.address].unread = 0;
+    markContactChanged(myData, chatModal.address);
   }
   return chatCount;
 }
@@ -2897,6 +3985,8 @@ async function processChats(chats, keys) {
         createNewContact(from);
       }
       const contact = myData.contacts[from];
+      // new messages change fields of the contact like unread and senderInfo
+      markContactChanged(myData, from);
       //            contact.address = from        // not needed since createNewContact does this
       let added = 0;
       let hasNewTransfer = false;
@@ -2917,24 +4007,36 @@ async function processChats(chats, keys) {
           } // skip if the message is from us
           const payload = tx.xmessage; // changed to use .message
           if (payload.encrypted) {
-            let senderPublic = myData.contacts[from]?.public;
-            if (!senderPublic) {
-              const senderInfo = await queryNetwork(`/account/${longAddress(from)}`);
-              // TODO for security, make sure hash of public key is same as from address; needs to be in other similar situations
-              //console.log('senderInfo.account', senderInfo.account)
-              if (!senderInfo?.account?.publicKey) {
-                console.log(`no public key found for sender ${sender}`);
-                continue;
-              }
-              senderPublic = senderInfo.account.publicKey;
-              if (myData.contacts[from]) {
-                myData.contacts[from].public = senderPublic;
-              }
+            const senderKeys = await getVerifiedPublicKeys(from);
+            if (!senderKeys) {
+              console.log(`no verified public key found for sender ${sender}`);
+              continue;
             }
-            payload.public = senderPublic;
+            payload.public = senderKeys.public;
           }
           //console.log("payload", payload)
-          decryptMessage(payload, keys); // modifies the payload object
+          const ratchetHeader = payload.ratchet;
+          if (ratchetHeader) {
+            // messages in a forward secrecy session are decrypted with a key from our session with the sender
+            const received = await ratchetReceive(contact.ratchet, keys, payload, normalizeAddress(keys.address) < from);
+            markRatchetChanged(myData, from);
+            if (!received) {
+              console.error(`Could not decrypt session message from ${from}`);
+              // if our session is out of date, e.g. restored from a backup, the next message we send starts a new one
+              if (!ratchetHeader.init && !contact.ratchet?.remoteDhs.includes(ratchetHeader.dh)) {
+                delete contact.ratchet;
+              }
+              continue;
+            }
+            contact.ratchet = received.session;
+            await decryptMessage(payload, keys, received.messageKey); // modifies the payload object
+          } else {
+            await decryptMessage(payload, keys); // modifies the payload object
+          }
+          // every message says if the sender supports sessions; fall back to the static keys if they stop supporting it
+          contact.ratchetCapable = Boolean(ratchetHeader) || payload.ratchetVersion === RATCHET_VERSION;
+          delete payload.ratchet;
+          delete payload.ratchetVersion;
           if (payload.senderInfo) {
             contact.senderInfo = cleanSenderInfo(payload.senderInfo)
             delete payload.senderInfo;
@@ -2958,6 +4060,80 @@ async function processChats(chats, keys) {
               }
             }
           }
+          // group messages go into the group conversation instead of the chat with the sender
+          if (payload.group) {
+            receiveGroupMessage(from, payload, getTxid(tx));
+            continue;
+          }
+          // reactions are folded into the message they reference instead of being added as a message
+          if (payload.reaction) {
+            const target = contact.messages.find((message) => message.txid === payload.reaction.txid);
+            if (target) {
+              setMessageReaction(target, from, String(payload.reaction.emoji || '').slice(0, 16));
+              markMessageChanged(myData, from, target);
+              if (inActiveChatWithSender && document.visibilityState === 'visible') {
+                chatModal.appendChatModal();
+              }
+            }
+            continue;
+          }
+          // edits and retractions change a message the sender sent earlier instead of being added as a message
+          if (payload.edit || payload.retract) {
+            const targetTxid = (payload.edit || payload.retract).txid;
+            const target = contact.messages.find((message) => message.txid === targetTxid && !message.my);
+            if (target && payload.edit) {
+              editMessage(target, payload.message);
+              markMessageChanged(myData, from, target);
+            } else if (target) {
+              retractMessage(contact, target);
+            }
+            if (target && inActiveChatWithSender && document.visibilityState === 'visible') {
+              chatModal.appendChatModal();
+            }
+            continue;
+          }
+          // every message carries the sender's disappearing message timer and when it was set; a message without text
+          //   only changes the timer. Messages from before expiryTimestamp count as set when they were sent
+          if (payload.expiry !== undefined) {
+            const expiry = payload.expiry;
+            const expiryTimestamp =
+              typeof payload.expiryTimestamp === 'number'
+                ? Math.min(payload.expiryTimestamp, payload.sent_timestamp)
+                : payload.sent_timestamp;
+            delete payload.expiry;
+            delete payload.expiryTimestamp;
+            const expiryChanged = applyContactExpiry(contact, expiry, false, expiryTimestamp);
+            if (!payload.message && !payload.attachment) {
+              if (expiryChanged) {
+                added += 1;
+              }
+              continue;
+            }
+            if (expiry > 0 && Object.hasOwn(MESSAGE_EXPIRY_OPTIONS, expiry)) {
+              payload.expires = payload.sent_timestamp + expiry;
+              if (payload.expires <= getCorrectedTimestamp()) {
+                continue;
+              }
+            }
+          }
+          // keep only the fields we expect of a reply reference; the txid ends up in selectors and attributes, so
+          //   drop a reference whose txid is not a txid
+          if (payload.replyTo && !/^[0-9a-f]{64}$/.test(String(payload.replyTo.txid))) {
+            delete payload.replyTo;
+          }
+          if (payload.replyTo) {
+            payload.replyTo = {
+              txid: String(payload.replyTo.txid),
+              message: truncateMessage(String(payload.replyTo.message || ''), 100),
+            };
+          }
+          // attachments arrive as several chunk messages; only add the message once all chunks are here. The message
+          //   gets the txid of the first chunk like on the sender's side, so replies and reactions refer to the same one
+          let messageTxid = getTxid(tx);
+          if (payload.attachment) {
+            messageTxid = collectAttachmentChunk(contact, payload, messageTxid);
+            if (!messageTxid) continue;
+          }
           //  skip if this tx was processed before and is already in contact.messages;
           //    messages are the same if the messages[x].sent_timestamp is the same as the tx.timestamp,
           //    and messages[x].my is false and messages[x].message == payload.message
@@ -2980,9 +4156,10 @@ async function processChats(chats, keys) {
           //console.log('contact.message', contact.messages)
           payload.my = false;
           payload.timestamp = payload.sent_timestamp;
-          payload.txid = getTxid(tx);
+          payload.txid = messageTxid;
           delete payload.pqEncSharedKey; 
           insertSorted(contact.messages, payload, 'timestamp');
+          markMessageChanged(myData, from, payload);
           // if we are not in the chatModal of who sent it, playChatSound or if device visibility is hidden play sound
           if (!inActiveChatWithSender || document.visibilityState === 'hidden') {
             playChatSound(true);
@@ -2996,23 +4173,15 @@ async function processChats(chats, keys) {
           } // skip if the message is from us
           const payload = tx.xmemo;
           if (payload.encrypted) {
-            let senderPublic = myData.contacts[from]?.public;
-            if (!senderPublic) {
-              const senderInfo = await queryNetwork(`/account/${longAddress(from)}`);
-              //console.log('senderInfo.account', senderInfo.account)
-              if (!senderInfo?.account?.publicKey) {
-                console.log(`no public key found for sender ${sender}`);
-                continue;
-              }
-              senderPublic = senderInfo.account.publicKey;
-              if (myData.contacts[from]) {
-                myData.contacts[from].public = senderPublic;
-              }
+            const senderKeys = await getVerifiedPublicKeys(from);
+            if (!senderKeys) {
+              console.log(`no verified public key found for sender ${sender}`);
+              continue;
             }
-            payload.public = senderPublic;
+            payload.public = senderKeys.public;
           }
           //console.log("payload", payload)
-          decryptMessage(payload, keys); // modifies the payload object
+          await decryptMessage(payload, keys); // modifies the payload object
           delete payload.pqEncSharedKey;
           if (payload.senderInfo) {
             contact.senderInfo = cleanSenderInfo(payload.senderInfo);
@@ -3070,6 +4239,7 @@ async function processChats(chats, keys) {
             memo: payload.message,
           };
           insertSorted(history, newPayment, 'timestamp');
+          markHistoryChanged(myData, newPayment);
           // TODO: redundant but keep for now
           //  sort history array based on timestamp field in descending order
           //history.sort((a, b) => b.timestamp - a.timestamp);
@@ -3089,6 +4259,7 @@ async function processChats(chats, keys) {
           };
           // Insert the transfer message into the contact's message list, maintaining sort order
           insertSorted(contact.messages, transferMessage, 'timestamp');
+          markMessageChanged(myData, from, transferMessage);
           // --------------------------------------------------------------
 
           added += 1;
@@ -3177,80 +4348,409 @@ async function processChats(chats, keys) {
 }
 
 /**
- * Get the address of a username and return the address if it exists
- * @param {string} username - The username to check
- * @returns {Promise<string|null>} The address of the username or null if it doesn't exist
+ * Sets or removes the reaction of one participant on a message; each participant has at most one reaction per message
+ * @param {Object} message - A message from contact.messages
+ * @param {string} address - The address of the participant who reacted
+ * @param {string} emoji - The emoji of the reaction or an empty string to remove it
+ * @returns {void}
  */
-async function getUsernameAddress(username) {
-  const usernameBytes = utf82bin(normalizeUsername(username));
-  const usernameHash = hashBytes(usernameBytes);
-  const selectedGateway = getGatewayForRequest();
-  if (!selectedGateway) {
-    console.error('No gateway available for username check');
-    return null;
+function setMessageReaction(message, address, emoji) {
+  if (!message.reactions) {
+    message.reactions = {};
   }
-  try {
-    const response = await fetch(
-      `${selectedGateway.web}/address/${usernameHash}`
-    );
-    const data = await response.json();
-    // if address is not present, return null
-    if (!data || !data.address) {
-      return null;
-    }
-    return data.address;
-  } catch (error) {
-    console.log('Error checking username:', error);
-    return null;
+  if (emoji) {
+    message.reactions[address] = emoji;
+  } else {
+    delete message.reactions[address];
+  }
+  if (Object.keys(message.reactions).length === 0) {
+    delete message.reactions;
   }
 }
 
+/**
+ * Adds a received group message to its group, creating the group the first time we hear of it
+ * Only the creator of a group can change its name and members. The creator is only taken from the create event, which
+ * the creator sends with itself as creator in the metadata, and only while the group has no messages from another
+ * sender, so another member can't become the creator by sending a create event of their own later
+ * @param {string} from - The address of the sender
+ * @param {Object} payload - The decrypted payload with the group metadata in payload.group
+ * @param {string} txid - The txid of the message
+ * @returns {boolean} True if the message was added
+ */
+function receiveGroupMessage(from, payload, txid) {
+  const meta = payload.group;
+  const myAddress = myAccount.keys.address;
+  if (typeof meta.id !== 'string' || !Array.isArray(meta.members) || meta.members.length > MAX_GROUP_MEMBERS) {
+    console.error('Invalid group metadata', meta);
+    return false;
+  }
+  const members = meta.members
+    .filter((member) => typeof member?.address === 'string')
+    .map((member) => ({
+      address: normalizeAddress(member.address),
+      username: typeof member.username === 'string' ? member.username : '',
+    }));
+  if (!members.some((member) => member.address === from) || !members.some((member) => member.address === myAddress)) {
+    console.error(`Group message from ${from} does not list both the sender and us as members`);
+    return false;
+  }
 
-`
-The main difference between a chat message and an asset transfer is
-    chat message pays a toll to the recipient as determined by recipient, but message length can be long
-    asset transfer pays an amount to the recipient as determined by sender, but message (memo) length is limited
+  const isCreateEvent =
+    meta.event === 'create' && typeof meta.creator === 'string' && normalizeAddress(meta.creator) === from;
+  let group = myData.groups[meta.id];
+  if (!group) {
+    group = myData.groups[meta.id] = {
+      id: meta.id,
+      name: String(meta.name || 'Group').slice(0, 50),
+      members,
+      creator: isCreateEvent ? from : null, // unknown until the create event arrives
+      messages: [],
+      unread: 0,
+    };
+  } else if (!group.members.some((member) => member.address === from)) {
+    console.error(`${from} is not a member of group ${group.id}`);
+    return false;
+  } else if (!group.creator && isCreateEvent && group.messages.every((message) => message.from === from)) {
+    // the create event arrived after other messages of the same sender; once another member has written to the group
+    // a late create event could come from anyone, so it is ignored and the group stays without a creator
+    group.creator = from;
+    group.name = String(meta.name || group.name).slice(0, 50);
+    group.members = members;
+  } else if (group.creator && from === group.creator) {
+    group.name = String(meta.name || group.name).slice(0, 50);
+    group.members = members;
+  }
+
+  if (group.messages.some((message) => message.txid === txid)) {
+    return false;
+  }
+  const message = {
+    message: payload.message,
+    timestamp: payload.sent_timestamp,
+    sent_timestamp: payload.sent_timestamp,
+    my: false,
+    from,
+    txid,
+  };
+  if (isCreateEvent && group.creator === from) {
+    message.event = 'create';
+  }
+  insertSorted(group.messages, message, 'timestamp');
 
-    How does toll work
-    When a new contact (chatId) is being established (sending a message or payment for the first time)
-    between two users the sender must include the toll of the recipient
-        * The chatId account toll fields are setup as:
-            toll.required.initialFromAddress = 1
-            toll.required.initialToAddress = 0
-        * This means that the sender who established the chatId will have to keep paying a toll and
-          the receipient can reply or send messages to the sender without paying a toll.
-        * Either user can submit a tx to not require the other to pay a toll; setting required.otherUser to 0.
-        * Either user can submit a tx to require the other to pay a toll; the client should show the sender the required toll
-        * Either user can block message from the other; this sets the toll field of the blocked user to 2.
-        * Either user can unblock the other user if blocked; this sets the toll field of the unblocked user to 0
-        * If a payment is being sent and it includes a memo and the sender is required to pay a toll than the
-          amount being sent must be at least the toll amount required by the recipient
-    The actual toll paid by a sender is first stored in the chatId account.
-        * 50% is paid to the recipient for reading the message and 50% is paid when they reply.
-            toll.payOnRead.initialFromAddress = amount
-            toll.payOnRead.initialToAddress
-            toll.payOnReply.initialFromAddress
-            toll.payOnReply.initialToAddress
-    A sender can reclaim the tolls for messages that were not read or replied to after one week
-        * The following fields are used to track the last read and reply time for each user
-            read.initialFromAddress = millisecond timestamp of when initialFromAddress read messages
-            read.initoalToAddress
-            replied.initialFromAddress
-            replied.initialToAddress
-        * Note that the receipient has to submit a tx specifying the read time; downloading the messages does not count as read
-        * When a user sends a message it sets both the read and replied timestamps for the user
-        * If the recipient reads or replies to a message after the sender has reclaimed the toll they do not get the toll
-    A sender can retract a message if it has not been read yet and it has been less than one minute since the message was sent
-        * However, this does not gaurantee that the recipient has not already downloaded the message and may read it later
-`;
+  // move the group to the top of the chat list
+  const existingChatIndex = myData.chats.findIndex((chat) => chat.groupId === group.id);
+  if (existingChatIndex !== -1) {
+    myData.chats.splice(existingChatIndex, 1);
+  }
+  insertSorted(myData.chats, { groupId: group.id, timestamp: message.timestamp }, 'timestamp');
 
-async function postAssetTransfer(to, amount, memo, keys) {
-  const toAddr = longAddress(to);
-  const fromAddr = longAddress(keys.address);
-  await getNetworkParams();
+  if (groupChatModal.isActive() && groupChatModal.groupId === group.id && document.visibilityState === 'visible') {
+    groupChatModal.appendMessages();
+  } else {
+    group.unread = (group.unread || 0) + 1;
+    playChatSound(true);
+    if (!chatsScreen.isActive()) {
+      footer.chatButton.classList.add('has-notification');
+    }
+  }
+  return true;
+}
 
-  const tx = {
-    type: 'transfer',
+/**
+ * Returns the name to show for a member of a group; uses the contact if we have one
+ * @param {Object} group - The group
+ * @param {string} address - The address of the member
+ * @returns {string} The display name of the member
+ */
+function getGroupMemberName(group, address) {
+  const contact = myData.contacts[address];
+  if (contact?.username || contact?.name) {
+    return getContactDisplayName(contact);
+  }
+  const member = group.members.find((item) => item.address === address);
+  return member?.username || `${address.slice(0, 8)}...${address.slice(-6)}`;
+}
+
+/**
+ * Returns the text shown for a group event like the creation of the group
+ * @param {Object} group - The group
+ * @param {Object} message - The event message
+ * @returns {string} The event text
+ */
+function getGroupEventText(group, message) {
+  const name = message.my ? 'You' : getGroupMemberName(group, message.from);
+  if (message.event === 'create') {
+    return `${name} created the group`;
+  }
+  return '';
+}
+
+/**
+ * Replaces the text of a message with the edited text; only the latest text is kept
+ * @param {Object} message - A message from contact.messages
+ * @param {string} text - The new text of the message
+ * @returns {void}
+ */
+function editMessage(message, text) {
+  if (message.deleted) return;
+  message.message = text;
+  message.edited = true;
+}
+
+/**
+ * Turns a message into a tombstone that only shows that the message was deleted
+ * Quotes of the message in replies are cleared as well
+ * @param {Object} contact - The contact of the chat
+ * @param {Object} message - A message from contact.messages
+ * @returns {void}
+ */
+function retractMessage(contact, message) {
+  message.message = '';
+  message.deleted = true;
+  delete message.edited;
+  delete message.attachment;
+  delete message.replyTo;
+  delete message.reactions;
+  markMessageChanged(myData, contact.address, message);
+  for (const item of contact.messages) {
+    if (item.replyTo?.txid === message.txid) {
+      item.replyTo.message = '';
+      markMessageChanged(myData, contact.address, item);
+    }
+  }
+}
+
+/**
+ * Sets the disappearing message timer of a chat if it is newer than the current one and adds an event to the chat
+ * Both sides send their timer and the time it was set with every message, so the most recent change from either side
+ * wins
+ * @param {Object} contact - The contact of the chat
+ * @param {number} expiry - The timer in ms; must be one of MESSAGE_EXPIRY_OPTIONS
+ * @param {boolean} my - True if we changed the timer
+ * @param {number} timestamp - When the timer was changed
+ * @returns {boolean} True if the timer of the chat was changed
+ */
+function applyContactExpiry(contact, expiry, my, timestamp) {
+  if (typeof expiry !== 'number' || !Object.hasOwn(MESSAGE_EXPIRY_OPTIONS, expiry) || timestamp <= (contact.expiryTimestamp || 0)) {
+    return false;
+  }
+  contact.expiryTimestamp = timestamp;
+  markContactChanged(myData, contact.address);
+  if ((contact.expiry || 0) === expiry) {
+    return false;
+  }
+  contact.expiry = expiry;
+  const event = { event: 'expiry', expiry, my, timestamp };
+  insertSorted(contact.messages, event, 'timestamp');
+  markMessageChanged(myData, contact.address, event);
+  return true;
+}
+
+/**
+ * Removes disappearing messages that have expired from all chats and updates the countdowns that are shown
+ * Runs in the background while signed in
+ * @returns {void}
+ */
+function purgeExpiredMessages() {
+  if (!myData) return;
+  const now = getCorrectedTimestamp();
+  let purged = false;
+  for (const contact of Object.values(myData.contacts)) {
+    // the rest of an attachment that was sent this long ago is not coming
+    for (const [id, pending] of Object.entries(contact.attachmentChunks || {})) {
+      if (!(pending.timestamp > now - ATTACHMENT_CHUNKS_MAX_AGE_MS)) {
+        delete contact.attachmentChunks[id];
+        markContactChanged(myData, contact.address);
+        purged = true;
+      }
+    }
+    if (!contact.messages?.some((message) => message.expires <= now)) continue;
+    for (const message of contact.messages) {
+      if (message.expires <= now) markMessageChanged(myData, contact.address, message);
+    }
+    contact.messages = contact.messages.filter((message) => !(message.expires <= now));
+    purged = true;
+    if (chatModal.isActive() && chatModal.address === contact.address) {
+      chatModal.appendChatModal();
+    }
+  }
+
+  if (purged) {
+    saveState();
+    if (chatsScreen.isActive()) {
+      chatsScreen.updateChatList();
+    }
+    if (searchMessagesModal.isActive()) {
+      searchMessagesModal.updateSearchResults(searchMessagesModal.searchInput.value);
+    }
+  }
+
+  // update the countdowns of the messages that are still shown
+  document.querySelectorAll('.message-expiry[data-expires]').forEach((element) => {
+    element.textContent = `⏱ ${formatTimeRemaining(Number(element.dataset.expires) - now)}`;
+  });
+}
+
+/**
+ * Returns a short plain text version of a message for previews like quoted replies
+ * @param {Object} message - A message from contact.messages
+ * @returns {string} The preview text
+ */
+function getMessagePreviewText(message) {
+  if (message.event === 'expiry') {
+    return message.expiry
+      ? `Disappearing messages set to ${MESSAGE_EXPIRY_OPTIONS[message.expiry]}`
+      : 'Disappearing messages turned off';
+  }
+  if (message.event === 'keyChange') {
+    return 'Security keys changed';
+  }
+  if (message.event === 'keyAccepted') {
+    return 'Accepted the new security keys';
+  }
+  if (message.deleted) {
+    return 'This message was deleted';
+  }
+  if (message.attachment) {
+    return `📎 ${message.attachment.name}`;
+  }
+  if (typeof message.amount === 'bigint') {
+    const amountStr = parseFloat(big2str(message.amount, 18)).toFixed(6);
+    return `${amountStr} ${message.symbol || 'LIB'}${message.message ? ` | ${message.message}` : ''}`;
+  }
+  return message.message || '';
+}
+
+/**
+ * Stores a received attachment chunk on the contact and reassembles the attachment once all chunks have arrived
+ * @param {Object} contact - The contact that sent the chunk
+ * @param {Object} payload - The decrypted payload; payload.message is the chunk and payload.attachment has the file key and position
+ * @param {string} txid - The txid of the chunk message
+ * @returns {string|null} The txid of the first chunk, which the sender also uses for the attachment message, if the
+ *   attachment is complete and the payload was turned into the attachment message; otherwise null
+ */
+function collectAttachmentChunk(contact, payload, txid) {
+  const { id, index, count, key, name, type } = payload.attachment;
+  const maxChunks = Math.ceil(((MAX_ATTACHMENT_BYTES + 40) * 4) / 3 / MAX_CHAT_MESSAGE_BYTES);
+  if (typeof id !== 'string' || !Number.isInteger(index) || !Number.isInteger(count) || index < 0 || index >= count || count > maxChunks) {
+    console.error('Invalid attachment chunk', payload.attachment);
+    return null;
+  }
+  // skip chunks of an attachment that was already assembled
+  if (contact.messages.some((message) => message.attachment?.id === id)) {
+    return null;
+  }
+
+  if (!contact.attachmentChunks) {
+    contact.attachmentChunks = {};
+  }
+  if (!contact.attachmentChunks[id]) {
+    contact.attachmentChunks[id] = { chunks: [], txids: [], timestamp: payload.sent_timestamp };
+  }
+  const pending = contact.attachmentChunks[id];
+  markContactChanged(myData, contact.address);
+  pending.chunks[index] = payload.message;
+  pending.txids ??= [];
+  pending.txids[index] = txid;
+  // missing chunks are null after the contact was saved and loaded
+  const received = pending.chunks.filter((chunk) => typeof chunk === 'string').length;
+  if (received < count) {
+    return null;
+  }
+
+  delete contact.attachmentChunks[id];
+  const bytes = decryptChachaBin(hex2bin(key), pending.chunks.join(''));
+  if (!bytes) {
+    console.error(`Failed to decrypt attachment ${id}`);
+    return null;
+  }
+  payload.message = '';
+  payload.attachment = {
+    id,
+    name: String(name || 'attachment'),
+    type: String(type || 'application/octet-stream'),
+    size: bytes.length,
+    data: bin2base64(bytes),
+  };
+  return pending.txids[0] || txid;
+}
+
+/**
+ * Get the address of a username and return the address if it exists
+ * @param {string} username - The username to check
+ * @returns {Promise<string|null>} The address of the username or null if it doesn't exist
+ */
+async function getUsernameAddress(username) {
+  const usernameBytes = utf82bin(normalizeUsername(username));
+  const usernameHash = hashBytes(usernameBytes);
+  const selectedGateway = getGatewayForRequest();
+  if (!selectedGateway) {
+    console.error('No gateway available for username check');
+    return null;
+  }
+  try {
+    const response = await fetch(
+      `${selectedGateway.web}/address/${usernameHash}`
+    );
+    const data = await response.json();
+    // if address is not present, return null
+    if (!data || !data.address) {
+      return null;
+    }
+    return data.address;
+  } catch (error) {
+    console.log('Error checking username:', error);
+    return null;
+  }
+}
+
+
+`
+The main difference between a chat message and an asset transfer is
+    chat message pays a toll to the recipient as determined by recipient, but message length can be long
+    asset transfer pays an amount to the recipient as determined by sender, but message (memo) length is limited
+
+    How does toll work
+    When a new contact (chatId) is being established (sending a message or payment for the first time)
+    between two users the sender must include the toll of the recipient
+        * The chatId account toll fields are setup as:
+            toll.required.initialFromAddress = 1
+            toll.required.initialToAddress = 0
+        * This means that the sender who established the chatId will have to keep paying a toll and
+          the receipient can reply or send messages to the sender without paying a toll.
+        * Either user can submit a tx to not require the other to pay a toll; setting required.otherUser to 0.
+        * Either user can submit a tx to require the other to pay a toll; the client should show the sender the required toll
+        * Either user can block message from the other; this sets the toll field of the blocked user to 2.
+        * Either user can unblock the other user if blocked; this sets the toll field of the unblocked user to 0
+        * If a payment is being sent and it includes a memo and the sender is required to pay a toll than the
+          amount being sent must be at least the toll amount required by the recipient
+    The actual toll paid by a sender is first stored in the chatId account.
+        * 50% is paid to the recipient for reading the message and 50% is paid when they reply.
+            toll.payOnRead.initialFromAddress = amount
+            toll.payOnRead.initialToAddress
+            toll.payOnReply.initialFromAddress
+            toll.payOnReply.initialToAddress
+    A sender can reclaim the tolls for messages that were not read or replied to after one week
+        * The following fields are used to track the last read and reply time for each user
+            read.initialFromAddress = millisecond timestamp of when initialFromAddress read messages
+            read.initoalToAddress
+            replied.initialFromAddress
+            replied.initialToAddress
+        * Note that the receipient has to submit a tx specifying the read time; downloading the messages does not count as read
+        * When a user sends a message it sets both the read and replied timestamps for the user
+        * If the recipient reads or replies to a message after the sender has reclaimed the toll they do not get the toll
+    A sender can retract a message if it has not been read yet and it has been less than one minute since the message was sent
+        * However, this does not gaurantee that the recipient has not already downloaded the message and may read it later
+`;
+
+async function postAssetTransfer(to, amount, memo, keys) {
+  const toAddr = longAddress(to);
+  const fromAddr = longAddress(keys.address);
+  await getNetworkParams();
+
+  const tx = {
+    type: 'transfer',
     from: fromAddr,
     to: toAddr,
     amount: BigInt(amount),
@@ -3298,6 +4798,10 @@ async function postRegisterAlias(alias, keys) {
  */
 async function injectTx(tx, txid) {
   if (!isOnline) {
+    // messages and transfers wait in the outbox until the app is online again
+    if (tx.type === 'message' || tx.type === 'transfer') {
+      return queueOutboxTx(tx, txid);
+    }
     return null;
   }
   const selectedGateway = getGatewayForRequest();
@@ -3308,10 +4812,6 @@ async function injectTx(tx, txid) {
 
   try {
     const timestamp = getCorrectedTimestamp();
-    // initialize pending array if it doesn't exist
-    if (!myData.pending) {
-      myData.pending = [];
-    }
 
     const options = {
       method: 'POST',
@@ -3320,10 +4820,8 @@ async function injectTx(tx, txid) {
       },
       body: stringify({ tx: stringify(tx) }),
     };
-    const response = await fetch(
-      `${selectedGateway.web}/inject`,
-      options
-    );
+    // tries the next gateway if one fails; the network ignores a transaction it already has
+    const response = await fetchFromGateway('/inject', options);
     console.log('DEBUG: injectTx response', response);
     const data = await response.json();
     data.txid = txid;
@@ -3369,6 +4867,143 @@ async function injectTx(tx, txid) {
   }
 }
 
+/**
+ * Adds a signed message or transfer to the outbox and marks it as queued; flushOutbox sends it when the app is
+ * online again
+ * @param {Object} tx - The signed transaction
+ * @param {string} txid - The transaction ID
+ * @returns {Object} A response like the one of injectTx with queued set to true
+ */
+function queueOutboxTx(tx, txid) {
+  const toAddress = normalizeAddress(tx.to);
+  if (!myData.outbox.some((item) => item.txid === txid)) {
+    myData.outbox.push({ txid, tx, to: toAddress, queuedts: getCorrectedTimestamp() });
+    console.log(`queued ${tx.type} ${txid} in the outbox (${myData.outbox.length})`);
+  }
+  updateTransactionStatus(txid, toAddress, 'queued', tx.type);
+  return { txid, queued: true, result: { success: true } };
+}
+
+/**
+ * Changes the txid of a queued transaction in the wallet history, messages and chat list after it was signed again
+ * @param {string} oldTxid - The txid it was queued with
+ * @param {string} newTxid - The txid of the new signature
+ * @param {string} toAddress - The address of the recipient
+ * @returns {void}
+ */
+function replaceOutboxTxid(oldTxid, newTxid, toAddress) {
+  const replaceIn = (txids) => {
+    const index = txids?.indexOf(oldTxid) ?? -1;
+    if (index !== -1) txids[index] = newTxid;
+    return index !== -1;
+  };
+  // history entries and messages are stored by txid, so the old record is removed and the new one added
+  for (const entry of myData.wallet.history) {
+    if (entry.txid !== oldTxid) continue;
+    markHistoryChanged(myData, entry);
+    entry.txid = newTxid;
+    markHistoryChanged(myData, entry);
+  }
+  for (const message of myData.contacts[toAddress]?.messages || []) {
+    if (message.txid === oldTxid) {
+      markMessageChanged(myData, toAddress, message);
+      message.txid = newTxid;
+    }
+    if (replaceIn(message.attachment?.txids) || message.txid === newTxid) {
+      markMessageChanged(myData, toAddress, message);
+    }
+  }
+  for (const chat of myData.chats) {
+    if (chat.txid === oldTxid) chat.txid = newTxid;
+  }
+  for (const group of Object.values(myData.groups || {})) {
+    for (const message of group.messages) {
+      replaceIn(message.txids);
+    }
+  }
+}
+
+/**
+ * Sends the transactions in the outbox in the order they were queued. Transactions that waited longer than
+ * OUTBOX_TX_MAX_AGE_MS are signed again with a new timestamp since the network would reject them, unless an earlier
+ * attempt to send them went through. Stops at the first one that does not reach a gateway and keeps it and the ones
+ * after it queued; if the app is still online it tries again with a growing delay. Only the leader tab sends them
+ * @returns {Promise<void>}
+ */
+async function flushOutbox() {
+  if (flushOutbox.running || !isOnline || !myData?.outbox?.length || !tabCoordinator.isLeader) return;
+  clearTimeout(flushOutbox.retryTimeoutId);
+  flushOutbox.retryTimeoutId = null;
+  flushOutbox.running = true;
+  const data = myData;
+  let sentCount = 0;
+  let failed = false;
+  try {
+    console.log(`sending ${data.outbox.length} transactions from the outbox`);
+    while (isOnline && data === myData && data.outbox.length > 0) {
+      const item = data.outbox[0];
+      const { tx } = item;
+      if (getCorrectedTimestamp() - tx.timestamp > OUTBOX_TX_MAX_AGE_MS) {
+        // a gateway that failed to answer may still have passed it on; signing it again would send it twice
+        if (item.attempted) {
+          const res = await queryTransactionReceipt(`/collector/api/transaction?appReceiptId=${item.txid}`);
+          if (!res) {
+            failed = true;
+            break;
+          }
+          if (res.transaction && Object.keys(res.transaction).length > 0) {
+            data.outbox.shift();
+            updateTransactionStatus(item.txid, item.to, res.transaction.success ? 'sent' : 'failed', tx.type);
+            sentCount++;
+            continue;
+          }
+        }
+        delete tx.sign;
+        tx.timestamp = getCorrectedTimestamp();
+        const txid = await signObj(tx, myAccount.keys);
+        replaceOutboxTxid(item.txid, txid, item.to);
+        item.txid = txid;
+      }
+      item.attempted = true;
+      const response = await injectTx(tx, item.txid);
+      // offline again or no gateway; offline it is sent when the app is back online, otherwise retried below
+      if (!response || response.queued) {
+        failed = true;
+        break;
+      }
+      data.outbox.shift();
+      updateTransactionStatus(item.txid, item.to, response.result?.success ? 'sent' : 'failed', tx.type);
+      sentCount++;
+      flushOutbox.retryDelay = OUTBOX_RETRY_BASE_DELAY_MS;
+    }
+  } catch (error) {
+    console.error('Failed to send the outbox:', error);
+    failed = true;
+  } finally {
+    flushOutbox.running = false;
+  }
+  if (failed && isOnline && data === myData && data.outbox.length > 0) {
+    console.log(`retrying the outbox in ${flushOutbox.retryDelay / 1000}s`);
+    flushOutbox.retryTimeoutId = setTimeout(flushOutbox, flushOutbox.retryDelay);
+    flushOutbox.retryDelay = Math.min(flushOutbox.retryDelay * 2, OUTBOX_RETRY_MAX_DELAY_MS);
+  }
+  if (sentCount === 0 || data !== myData) return;
+
+  saveState();
+  if (chatsScreen.isActive()) {
+    await chatsScreen.updateChatList();
+  }
+  if (walletScreen.isActive()) {
+    await walletScreen.updateWalletView();
+  }
+  if (chatModal.isActive()) {
+    chatModal.appendChatModal();
+  }
+}
+flushOutbox.running = false;
+flushOutbox.retryTimeoutId = null;
+flushOutbox.retryDelay = OUTBOX_RETRY_BASE_DELAY_MS;
+
 /**
  * Sign a transaction object and return the transaction ID hash
  * @param {Object} tx - The transaction object to sign
@@ -3444,13 +5079,16 @@ class SearchMessagesModal {
 
     const results = [];
     const searchLower = searchText.toLowerCase();
+    const now = getCorrectedTimestamp();
 
     // Search through all contacts and their messages
     Object.entries(myData.contacts).forEach(([address, contact]) => {
       if (!contact.messages) return;
 
       contact.messages.forEach((message, index) => {
-        if (message.message.toLowerCase().includes(searchLower)) {
+        // edits replace message.message, so only the latest text is searched; deleted messages have no text
+        // and expired messages are skipped even if the background sweep has not removed them yet
+        if (!message.deleted && !(message.expires <= now) && message.message?.toLowerCase().includes(searchLower)) {
           // Highlight matching text
           const messageText = escapeHtml(message.message);
           const highlightedText = messageText.replace(new RegExp(searchText, 'gi'), (match) => `<mark>${match}</mark>`);
@@ -3493,18 +5131,8 @@ class SearchMessagesModal {
       chatModal.open(result.contactAddress);
 
       // Scroll to and highlight the message
-      // could move this into chat modal class as scrollToMessage
       setTimeout(() => {
-        const messageSelector = `[data-txid="${result.messageId}"]`;
-        const messageElement = document.querySelector(messageSelector);
-        if (messageElement) {
-          messageElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
-          messageElement.classList.add('highlighted');
-          setTimeout(() => messageElement.classList.remove('highlighted'), 2000);
-        } else {
-          console.error('Message element not found for selector:', messageSelector);
-          // Could add a toast notification here
-        }
+        chatModal.scrollToMessage(result.messageId);
       }, 300);
     } catch (error) {
       console.error('Error handling search result:', error);
@@ -3562,26 +5190,33 @@ class SearchMessagesModal {
   handleMessageSearchInput(e) {
     // debounced search
     const debouncedSearch = debounce(
-      (searchText) => {
-        const trimmedText = searchText.trim();
-
-        if (!trimmedText) {
-          this.searchResults.innerHTML = '';
-          return;
-        }
-
-        const results = this.searchMessages(trimmedText);
-        if (results.length === 0) {
-          this.displayEmptyState('searchResults', 'No messages found');
-        } else {
-          this.displaySearchResults(results);
-        }
-      },
+      (searchText) => this.updateSearchResults(searchText),
       (searchText) => (searchText.length === 1 ? 600 : 300)
     );
 
     debouncedSearch(e.target.value);
   }
+
+  /**
+   * Runs the search and shows the results; also used to drop disappearing messages from the results once they expire
+   * @param {string} searchText - The text to search for
+   * @returns {void}
+   */
+  updateSearchResults(searchText) {
+    const trimmedText = searchText.trim();
+
+    if (!trimmedText) {
+      this.searchResults.innerHTML = '';
+      return;
+    }
+
+    const results = this.searchMessages(trimmedText);
+    if (results.length === 0) {
+      this.displayEmptyState('searchResults', 'No messages found');
+    } else {
+      this.displaySearchResults(results);
+    }
+  }
 }
 
 const searchMessagesModal = new SearchMessagesModal();
@@ -3824,11 +5459,18 @@ async function handleConnectivityChange() {
 
     // Verify username is still valid on the network
     /* await verifyUsernameOnReconnect(); */
+    // the health of the gateways may have changed while offline
+    await gatewayPool.probeAll();
     // Initialize WebSocket connection regardless of view
-    wsManager.initializeWebSocketManager();
+    if (wsManager) {
+      wsManager.initializeWebSocketManager();
+    }
     // Force update data with reconnection handling
     if (myAccount && myAccount.keys) {
       try {
+        // Send what was queued while offline before anything else
+        await flushOutbox();
+
         // Update chats with reconnection handling
         const gotChats = await chatsScreen.updateChatData();
         if (gotChats > 0) {
@@ -3871,17 +5513,13 @@ function setupConnectivityDetection() {
 // Mark elements that should be disabled when offline
 function markConnectivityDependentElements() {
   // Elements that require network connectivity
+  // Sending messages and assets works offline; they wait in the outbox until the app is online again
   const networkDependentElements = [
     // Chat related
-    '#handleSendMessage',
-    '.message-input',
     '#newChatButton',
-    '#chatSendMoneyButton',
 
     // Wallet related
-    '#openSendAssetFormModal',
     '#refreshBalance',
-    '#sendForm button[type="submit"]',
 
     // Contact related
     '#chatRecipient',
@@ -4024,6 +5662,11 @@ async function checkConnectivity() {
 
 // Function to initialize the gateway configuration
 // TODO: can remove this eventually since new account creation does this
+/**
+ * Makes sure myData.network has the gateways to use. The system gateways of network.js come first and are kept in sync
+ * with it; the gateways the user added in GatewaysModal are kept after them
+ * @returns {void}
+ */
 function initializeGatewayConfig() {
   // Safety check for myData
   if (!myData) {
@@ -4041,105 +5684,329 @@ function initializeGatewayConfig() {
     myData.network.gateways = [];
   }
 
-  if (network && network.gateways && network.gateways.length > 0){
-    myData.network = parse(stringify(network))
+  const systemGateways = (network?.gateways || []).map((gateway) => ({
+    web: gateway.web,
+    ws: gateway.ws,
+    name: gateway.name || getGatewayHost(gateway.web),
+    isSystem: true,
+  }));
+  const gateways = myData.network.gateways;
+  if (stringify(gateways.filter((gateway) => gateway.isSystem)) !== stringify(systemGateways)) {
+    // network.js changed; the default gateway stays the same if it is still there
+    const defaultWeb = gateways[myData.network.defaultGatewayIndex]?.web;
+    const userGateways = gateways.filter(
+      (gateway) => !gateway.isSystem && !systemGateways.some((systemGateway) => systemGateway.web === gateway.web)
+    );
+    myData.network.gateways = [...systemGateways, ...userGateways];
+    myData.network.defaultGatewayIndex = myData.network.gateways.findIndex((gateway) => gateway.web === defaultWeb);
   }
-  else if (myData.network.gateway.length <= 0){
+
+  if (myData.network.gateways.length === 0) {
     showToast("No gateway server available; edit network.js file", 0, "error")
     return;
   }
 
-  // Ensure defaultGatewayIndex property exists and set to -1 (random selection)
+  // Ensure defaultGatewayIndex property exists and set to -1 (best gateway of gatewayPool)
   if (myData.network.defaultGatewayIndex === undefined) {
-    // TODO ping the gateway servers and pick one that is working
-    myData.network.defaultGatewayIndex = 0; // -1 means use random selection
+    myData.network.defaultGatewayIndex = -1; // -1 means use the best gateway of gatewayPool
   }
-  
-  /*
-  // If no gateways, initialize with system gateways
-  if (myData.network.gateways.length === 0) {
-    // Add system gateways from the global network object
-    if (network && network.gateways) {
-      network.gateways.forEach((gateway) => {
-        myData.network.gateways.push({
-          protocol: gateway.protocol,
-          host: gateway.host,
-          port: gateway.port,
-          web: gateway.web,
-          ws: gateway.ws,
-          name: `${gateway.host} (System)`,
-          isSystem: true,
-          isDefault: false,
-        });
-      });
-    }
+}
+
+/**
+ * Gets the host of a gateway URL to show as its name
+ * @param {string} url - The URL
+ * @returns {string} The host, or the URL if it can't be parsed
+ */
+function getGatewayHost(url) {
+  try {
+    return new URL(url).host;
+  } catch (error) {
+    return url;
   }
-  */
 }
 
 // Function to get the gateway to use for a request
-function getGatewayForRequest() {
+/**
+ * Gets the gateway to send a request to: the default gateway if one is set and it is healthy, otherwise the best
+ * gateway of gatewayPool
+ * @param {string[]} [exclude] - The web URLs of gateways not to use, e.g. the ones that already failed
+ * @returns {Object|null} The gateway { web, ws }, or null if there is none
+ */
+function getGatewayForRequest(exclude = []) {
   //TODO: ask Omar if we should just let use edit network.js or keep current logic where when we sign in it uses network.js and when signed in we use myData.network.gateways
-  // Check if myData exists
-  if (!myData) {
-    // Fall back to global network if available
-    if (typeof network !== 'undefined' && network?.gateways?.length) {
-      return network.gateways[Math.floor(Math.random() * network.gateways.length)];
-    }
-    console.error('No myData or network available');
+  const ranked = gatewayPool.rank().filter((gateway) => !exclude.includes(gateway.web));
+  if (ranked.length === 0) {
+    if (exclude.length === 0) console.error('No gateway available');
     return null;
   }
 
-  // Initialize if needed
-  initializeGatewayConfig();
-
-  // If we have a default gateway set, use it
-  if (myData.network.defaultGatewayIndex >= 0 && myData.network.defaultGatewayIndex < myData.network.gateways.length) {
-    return myData.network.gateways[myData.network.defaultGatewayIndex];
+  // If we have a healthy default gateway set, use it
+  const defaultGateway = myData?.network?.gateways?.[myData.network.defaultGatewayIndex];
+  if (defaultGateway && !exclude.includes(defaultGateway.web) && gatewayPool.isHealthy(defaultGateway)) {
+    return defaultGateway;
   }
 
-  // Otherwise use random selection
-  return myData.network.gateways[Math.floor(Math.random() * myData.network.gateways.length)];
+  return ranked[0];
 }
 
-// WebSocket Manager Class
 /**
- * WebSocket Manager Class
- * Handles WebSocket connections, reconnection logic, and message processing for chat events.
- * Maintains connection state and provides methods for subscribing to and processing chat notifications.
+ * Fetches a path from a gateway. If the gateway can't be reached, has a server error or does not answer within
+ * GATEWAY_REQUEST_TIMEOUT_MS the request is sent to the next gateway in the ranking of gatewayPool, up to
+ * GATEWAY_MAX_ATTEMPTS gateways
+ * @param {string} path - The path on the gateway, e.g. /account/<address>
+ * @param {Object} [options] - The fetch options
+ * @returns {Promise<Response>} The response
+ * @throws {Error} The error of the last gateway tried
  */
-class WSManager {
-  /**
-   * Initialize the WebSocket Manager with default configuration
-   */
-  constructor() {
-    this.ws = null;
-    this.reconnectAttempts = 0;
-    this.maxReconnectAttempts = 5;
-    this.connectionState = 'disconnected';
-    this.subscribed = false;
+async function fetchFromGateway(path, options) {
+  const tried = [];
+  let lastError = new Error('No gateway available');
+  while (tried.length < GATEWAY_MAX_ATTEMPTS) {
+    const gateway = getGatewayForRequest(tried);
+    if (!gateway) break;
+    tried.push(gateway.web);
+    // a gateway that accepts the connection but never answers must not stall the request; the timer keeps running
+    //   while the caller reads the body, aborting a response that was read already does nothing
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), GATEWAY_REQUEST_TIMEOUT_MS);
+    try {
+      const response = await fetch(`${gateway.web}${path}`, { ...options, signal: controller.signal });
+      if (response.status >= 500) {
+        throw new Error(`${gateway.web} responded with status ${response.status}`);
+      }
+      gatewayPool.recordSuccess(gateway);
+      return response;
+    } catch (error) {
+      clearTimeout(timeoutId);
+      console.warn(`Request to ${gateway.web}${path} failed:`, error.name === 'AbortError' ? 'timeout' : error);
+      gatewayPool.recordFailure(gateway);
+      lastError = error;
+    }
+  }
+  throw lastError;
+}
+
+/**
+ * Keeps track of how healthy the gateways are. Every gateway is probed now and then; the pool ranks them by the
+ * latency of the probes and the recent error rate of probes and requests. A gateway that failed GATEWAY_MAX_FAILURES
+ * times in a row is ranked last until a probe succeeds again
+ */
+class GatewayPool {
+  constructor() {
+    this.stats = new Map(); // web URL -> { latency, requests, failures, consecutiveFailures, disagreements, lastCheck }
+    this.probeIntervalId = null;
+    this.probing = null;
+  }
+
+  /**
+   * Probes the gateways now and every GATEWAY_PROBE_INTERVAL_MS
+   * @returns {void}
+   */
+  start() {
+    if (this.probeIntervalId) return;
+    this.probeAll();
+    this.probeIntervalId = setInterval(() => this.probeAll(), GATEWAY_PROBE_INTERVAL_MS);
+  }
+
+  /**
+   * Gets the gateways of the signed in account, or of network.js before signing in
+   * @returns {Object[]} The gateways
+   */
+  getGateways() {
+    if (!myData) {
+      return typeof network !== 'undefined' && network?.gateways ? network.gateways : [];
+    }
+    initializeGatewayConfig();
+    return myData.network?.gateways || [];
+  }
+
+  getStats(gateway) {
+    if (!this.stats.has(gateway.web)) {
+      this.stats.set(gateway.web, {
+        latency: null,
+        requests: 0,
+        failures: 0,
+        consecutiveFailures: 0,
+        disagreements: 0,
+        lastCheck: 0,
+      });
+    }
+    return this.stats.get(gateway.web);
+  }
+
+  /**
+   * Checks if a gateway did not fail too many times in a row
+   * @param {Object} gateway - The gateway
+   * @returns {boolean}
+   */
+  isHealthy(gateway) {
+    return this.getStats(gateway).consecutiveFailures < GATEWAY_MAX_FAILURES;
+  }
+
+  /**
+   * Gets a score for a gateway; lower is better
+   * @param {Object} gateway - The gateway
+   * @returns {number}
+   */
+  score(gateway) {
+    const stats = this.getStats(gateway);
+    const errorRate = stats.requests > 0 ? stats.failures / stats.requests : 0;
+    // a gateway that was not probed yet counts as slow but usable
+    const latency = stats.latency ?? GATEWAY_PROBE_TIMEOUT_MS;
+    return latency * (1 + 4 * errorRate);
+  }
+
+  /**
+   * Gets the gateways ordered from best to worst; unhealthy gateways come last
+   * @returns {Object[]} The gateways
+   */
+  rank() {
+    return [...this.getGateways()].sort((a, b) => {
+      const healthA = this.isHealthy(a);
+      if (healthA !== this.isHealthy(b)) return healthA ? -1 : 1;
+      return this.score(a) - this.score(b);
+    });
+  }
+
+  /**
+   * Records a successful request or probe
+   * @param {Object} gateway - The gateway
+   * @param {number} [latency] - The time the probe took in milliseconds
+   * @returns {void}
+   */
+  recordSuccess(gateway, latency) {
+    const stats = this.getStats(gateway);
+    // older results count less so the error rate follows the recent health
+    stats.requests = stats.requests * 0.9 + 1;
+    stats.failures = stats.failures * 0.9;
+    stats.consecutiveFailures = 0;
+    stats.lastCheck = Date.now();
+    if (latency !== undefined) {
+      stats.latency = stats.latency === null ? latency : stats.latency * 0.7 + latency * 0.3;
+    }
+  }
+
+  /**
+   * Records a failed request or probe
+   * @param {Object} gateway - The gateway
+   * @returns {void}
+   */
+  recordFailure(gateway) {
+    const stats = this.getStats(gateway);
+    stats.requests = stats.requests * 0.9 + 1;
+    stats.failures = stats.failures * 0.9 + 1;
+    stats.consecutiveFailures++;
+    stats.lastCheck = Date.now();
+    if (stats.consecutiveFailures === GATEWAY_MAX_FAILURES) {
+      console.warn(`Gateway ${gateway.web} is unhealthy after ${GATEWAY_MAX_FAILURES} failures`);
+    }
+  }
+
+  /**
+   * Records an answer that was outvoted by the other gateways in queryNetworkVerified; it counts as a failure
+   * @param {Object} gateway - The gateway
+   * @returns {void}
+   */
+  recordDisagreement(gateway) {
+    this.getStats(gateway).disagreements++;
+    this.recordFailure(gateway);
+  }
+
+  /**
+   * Probes a gateway by getting its timestamp
+   * @param {Object} gateway - The gateway
+   * @returns {Promise<void>}
+   */
+  async probe(gateway) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), GATEWAY_PROBE_TIMEOUT_MS);
+    const start = performance.now();
+    try {
+      const response = await fetch(`${gateway.web}/timestamp`, { signal: controller.signal, cache: 'no-store' });
+      const data = await response.json();
+      if (!response.ok || typeof data?.timestamp !== 'number') {
+        throw new Error(`unexpected response with status ${response.status}`);
+      }
+      this.recordSuccess(gateway, performance.now() - start);
+    } catch (error) {
+      console.warn(`Probe of gateway ${gateway.web} failed:`, error.name === 'AbortError' ? 'timeout' : error);
+      this.recordFailure(gateway);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Probes all gateways at the same time; skipped while offline or hidden
+   * @returns {Promise<void>}
+   */
+  probeAll() {
+    if (!isOnline || document.visibilityState === 'hidden') return Promise.resolve();
+    if (!this.probing) {
+      this.probing = Promise.all(this.getGateways().map((gateway) => this.probe(gateway))).finally(() => {
+        this.probing = null;
+      });
+    }
+    return this.probing;
+  }
+}
+
+const gatewayPool = new GatewayPool();
+
+// WebSocket Manager Class
+/**
+ * WebSocket Manager Class
+ * Handles WebSocket connections, reconnection logic, and message processing for chat events.
+ * Maintains connection state and provides methods for subscribing to and processing chat notifications.
+ */
+class WSManager {
+  /**
+   * Initialize the WebSocket Manager with default configuration
+   */
+  constructor() {
+    this.ws = null;
+    this.reconnectAttempts = 0;
+    this.reconnectTimeoutId = null;
+    this.heartbeatIntervalId = null;
+    this.lastMessageTime = 0;
+    this.lastHeartbeatTime = 0;
+    this.gateway = null; // the gateway of the current connection
+    this.gatewayFailures = 0; // failed connections in a row to this.gateway
+    this.skippedGateways = []; // web URLs of the gateways whose socket kept failing
+    this.missedEvents = false; // a subscribed connection was lost, so chat events may have been missed
+    this.connectionState = 'disconnected';
+    this.subscribed = false;
   }
 
   /**
    * Connect to WebSocket server
    */
   connect() {
+    clearTimeout(this.reconnectTimeoutId);
+    this.reconnectTimeoutId = null;
     updateWebSocketIndicator();
     // Check if ws is not null and readyState is either CONNECTING or OPEN
     if (this.ws && (this.ws.readyState === WebSocket.CONNECTING || this.ws.readyState === WebSocket.OPEN)) {
       console.log('WebSocket connection already established');
       return;
     }
+    // the old socket is closing or closed; its handlers must not act on the new one
+    this.closeSocket(1000, 'Normal closure');
+
+    const selectedGateway = this.selectGateway();
+    if (!selectedGateway) {
+      console.error('Cannot connect WebSocket: no gateway available');
+      return;
+    }
 
     // Check if WebSockets are supported before attempting to connect
-    if (!this.checkWebSocketSupport()) {
+    if (!this.checkWebSocketSupport(selectedGateway)) {
       console.error('WebSockets not supported, falling back to polling');
       this.connectionState = 'disconnected';
       return;
     }
 
     this.connectionState = 'connecting';
-    const selectedGateway = getGatewayForRequest();
     console.log(
       'WebSocket Connection:',
       JSON.stringify(
@@ -4157,12 +6024,31 @@ class WSManager {
       console.log('Creating new WebSocket instance');
       this.ws = new WebSocket(selectedGateway.ws);
       this.setupEventHandlers();
+      this.startHeartbeat();
     } catch (error) {
       console.error('WebSocket connection creation error:', error);
       this.handleConnectionFailure();
     }
   }
 
+  /**
+   * Picks the gateway to connect to; gateways whose socket kept failing are skipped until all of them were
+   * @returns {Object|null} The gateway
+   */
+  selectGateway() {
+    let gateway = getGatewayForRequest(this.skippedGateways);
+    if (!gateway && this.skippedGateways.length > 0) {
+      console.log('The sockets of all gateways failed; trying them again');
+      this.skippedGateways = [];
+      gateway = getGatewayForRequest();
+    }
+    if (gateway?.web !== this.gateway?.web) {
+      this.gatewayFailures = 0;
+    }
+    this.gateway = gateway;
+    return gateway;
+  }
+
   /**
    * Set up WebSocket event handlers
    */
@@ -4178,7 +6064,7 @@ class WSManager {
       updateWebSocketIndicator();
       console.log('WebSocket connection established');
       this.connectionState = 'connected';
-      this.reconnectAttempts = 0;
+      this.lastMessageTime = Date.now();
 
       // Auto-subscribe if account is available
       if (myAccount && myAccount.keys && myAccount.keys.address) {
@@ -4193,7 +6079,11 @@ class WSManager {
       updateWebSocketIndicator();
       console.log('WebSocket connection closed', event.code, event.reason);
       this.connectionState = 'disconnected';
+      if (this.subscribed) {
+        this.missedEvents = true;
+      }
       this.subscribed = false;
+      this.stopHeartbeat();
 
       if (event.code !== 1000) {
         // Not a normal closure, try to reconnect
@@ -4203,6 +6093,7 @@ class WSManager {
     };
 
     this.ws.onmessage = async (event) => {
+      this.lastMessageTime = Date.now();
       updateWebSocketIndicator();
       try {
         console.log('WebSocket message received:', event.data);
@@ -4211,8 +6102,12 @@ class WSManager {
         // Check if this is a subscription response
         if (data.id !== null && data.result !== undefined) {
           if (data.result.subscription_status === true) {
-            console.log('Server confirmed subscription successful');
-            this.subscribed = true;
+            // the heartbeats are answered the same way; only the first answer is a new subscription
+            if (!this.subscribed) {
+              console.log('Server confirmed subscription successful');
+              this.subscribed = true;
+              this.handleSubscribed();
+            }
           } else if (data.error) {
             console.error('Server rejected subscription:', data.error);
             this.subscribed = false;
@@ -4234,21 +6129,97 @@ class WSManager {
       }
     };
 
-    // Add error event handler before setupEventHandlers
+    // onclose always follows and takes care of reconnecting
     this.ws.onerror = (error) => {
       updateWebSocketIndicator();
       console.error('WebSocket error occurred:', error);
       console.log('WebSocket readyState at error:', this.ws ? this.ws.readyState : 'ws is null');
-      this.handleConnectionFailure();
     };
   }
 
+  /**
+   * Called when the server confirms the subscription of a new connection
+   * @returns {Promise<void>}
+   */
+  async handleSubscribed() {
+    // the connection works; the next failure starts the backoff over
+    this.reconnectAttempts = 0;
+    this.gatewayFailures = 0;
+    if (!this.missedEvents) return;
+    // get the chats that arrived while there was no connection
+    this.missedEvents = false;
+    try {
+      const gotChats = await chatsScreen.updateChatData();
+      if (gotChats > 0) {
+        await chatsScreen.updateChatList();
+      }
+    } catch (error) {
+      console.error('Error getting chats missed while reconnecting:', error);
+    }
+  }
+
+  /**
+   * Starts sending heartbeats; a connection that does not open before the first heartbeat is stale too
+   * @returns {void}
+   */
+  startHeartbeat() {
+    this.stopHeartbeat();
+    this.lastHeartbeatTime = Date.now();
+    this.heartbeatIntervalId = setInterval(() => this.checkHeartbeat(), WS_HEARTBEAT_INTERVAL_MS);
+  }
+
+  stopHeartbeat() {
+    clearInterval(this.heartbeatIntervalId);
+    this.heartbeatIntervalId = null;
+  }
+
+  /**
+   * Reconnects if nothing arrived since the last heartbeat, otherwise sends the next one. The heartbeat renews the
+   * subscription, which the server answers, so it also keeps phones from dropping an idle socket
+   * @returns {void}
+   */
+  checkHeartbeat() {
+    if (this.lastMessageTime < this.lastHeartbeatTime) {
+      console.warn('WebSocket did not answer the heartbeat; reconnecting');
+      if (this.subscribed) {
+        this.missedEvents = true;
+      }
+      this.closeSocket(4000, 'Stale connection');
+      this.handleConnectionFailure();
+      return;
+    }
+    this.lastHeartbeatTime = Date.now();
+    this.subscribe();
+  }
+
+  /**
+   * Closes the socket without calling its handlers
+   * @param {number} code - The close code
+   * @param {string} reason - The close reason
+   * @returns {void}
+   */
+  closeSocket(code, reason) {
+    this.stopHeartbeat();
+    if (!this.ws) return;
+    const ws = this.ws;
+    this.ws = null;
+    ws.onopen = ws.onclose = ws.onmessage = ws.onerror = null;
+    try {
+      if (ws.readyState === WebSocket.CONNECTING || ws.readyState === WebSocket.OPEN) {
+        ws.close(code, reason);
+      }
+    } catch (error) {
+      console.error('Error closing WebSocket:', error);
+    }
+    this.subscribed = false;
+    this.connectionState = 'disconnected';
+    updateWebSocketIndicator();
+  }
+
   /**
    * Subscribe to chat events for the current account
    */
   subscribe() {
-    // don't call updateWebSocketIndicator here since that function calls this function
-    //  updateWebSocketIndicator();
     if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
       console.error('Cannot subscribe: WebSocket not connected');
       return false;
@@ -4320,26 +6291,21 @@ class WSManager {
   disconnect() {
     updateWebSocketIndicator();
     console.log('Disconnecting WebSocket');
+    clearTimeout(this.reconnectTimeoutId);
+    this.reconnectTimeoutId = null;
     if (this.subscribed) {
       this.unsubscribe();
     }
 
     if (this.ws) {
-      try {
-        if (this.ws.readyState === WebSocket.OPEN) {
-          this.ws.close(1000, 'Normal closure');
-        }
-        this.ws = null;
-        this.connectionState = 'disconnected';
-        console.log('WebSocket disconnected successfully');
-      } catch (error) {
-        console.error('Error disconnecting WebSocket:', error);
-      }
+      this.closeSocket(1000, 'Normal closure');
+      console.log('WebSocket disconnected successfully');
     }
   }
 
   /**
-   * Handle connection failures with exponential backoff retry logic
+   * Handle connection failures by reconnecting with exponential backoff and jitter. The next gateway is used when
+   * the socket of a gateway failed WS_GATEWAY_MAX_FAILURES times in a row
    */
   handleConnectionFailure() {
     updateWebSocketIndicator();
@@ -4351,13 +6317,13 @@ class WSManager {
       },
       reconnection: {
         attempts: this.reconnectAttempts,
-        maxAttempts: this.maxReconnectAttempts,
+        gatewayFailures: this.gatewayFailures,
       },
     };
 
     // Add Firefox-specific diagnostics
     if (navigator.userAgent.includes('Firefox')) {
-      const selectedGateway = getGatewayForRequest();
+      const selectedGateway = this.gateway;
       diagnosticInfo.firefox = {
         securityPolicy: 'Different security policies for WebSockets',
         mixedContent: 'Check if HTTPS site with WS instead of WSS',
@@ -4370,24 +6336,37 @@ class WSManager {
 
     this.connectionState = 'disconnected';
 
-    if (this.reconnectAttempts >= this.maxReconnectAttempts) {
-      console.log('Reconnection Status: Maximum attempts reached, falling back to polling');
+    // a socket can fail with both an exception and a close event; reconnect once
+    if (this.reconnectTimeoutId) return;
+
+    if (this.gateway) {
+      this.gatewayFailures++;
+      if (this.gatewayFailures >= WS_GATEWAY_MAX_FAILURES) {
+        console.warn(`WebSocket of gateway ${this.gateway.web} keeps failing; trying the next gateway`);
+        this.skippedGateways.push(this.gateway.web);
+        this.gatewayFailures = 0;
+      }
+    }
+
+    // handleConnectivityChange and becomeLeader connect again
+    if (!isOnline || !tabCoordinator.isLeader) {
+      console.log('Reconnection Status: waiting until online and leader');
       return;
     }
 
+    // Exponential backoff; the jitter keeps many clients from reconnecting at the same moment
+    const maxDelay = Math.min(WS_RECONNECT_MAX_DELAY_MS, WS_RECONNECT_BASE_DELAY_MS * 2 ** this.reconnectAttempts);
+    const delay = maxDelay / 2 + (Math.random() * maxDelay) / 2;
     this.reconnectAttempts++;
 
-    // Exponential backoff
-    const delay = Math.min(30000, Math.pow(2, this.reconnectAttempts) * 1000 + Math.random() * 1000);
-
     const reconnectInfo = {
       attempt: this.reconnectAttempts,
-      maxAttempts: this.maxReconnectAttempts,
       delaySeconds: Math.round(delay / 1000),
     };
     console.log('Reconnection Schedule:', JSON.stringify(reconnectInfo, null, 2));
 
-    setTimeout(() => {
+    this.reconnectTimeoutId = setTimeout(() => {
+      this.reconnectTimeoutId = null;
       console.log('Reconnecting to WebSocket');
       this.connect();
     }, delay);
@@ -4410,7 +6389,7 @@ class WSManager {
   /**
    * Check if WebSockets are supported in the current browser
    */
-  checkWebSocketSupport() {
+  checkWebSocketSupport(selectedGateway = getGatewayForRequest()) {
     const supportInfo = {
       webSocketAvailable: typeof WebSocket !== 'undefined',
       browser: {
@@ -4424,9 +6403,6 @@ class WSManager {
       },
     };
 
-    // Get selected gateway for WebSocket URL
-    const selectedGateway = getGatewayForRequest();
-
     // Add Firefox-specific info
     if (navigator.userAgent.includes('Firefox')) {
       supportInfo.firefox = {
@@ -4480,6 +6456,10 @@ class WSManager {
 
   // Initialize WebSocket manager if not already created
   initializeWebSocketManager() {
+    if (!tabCoordinator.isLeader) {
+      console.log('WebSocket not started: another tab is the leader');
+      return;
+    }
     if (this.isConnected()) {
       if (!this.isSubscribed()) {
         console.log('WebSocket is already connected but not subscribed, subscribing');
@@ -4531,6 +6511,211 @@ if (!useLongPolling) {
   wsManager = new WSManager();
 }
 
+/**
+ * Coordinates the tabs that have the same account open. Only the leader tab polls for new messages, holds the
+ * WebSocket and checks pending transactions; the leader is picked with the Web Locks API, so when the leader tab is
+ * closed the lock and the work go to another tab. After a tab saves the account data it tells the other tabs on a
+ * BroadcastChannel and they merge the saved changes into their myData instead of overwriting them with the next save
+ */
+class TabCoordinator {
+  constructor() {
+    this.isLeader = false;
+    this.channel = null;
+    this.accountKey = null;
+    this.abortController = null;
+    this.releaseLock = null;
+    this.mergeTimeoutId = null;
+    this.savedIds = undefined; // the records other tabs saved since the last merge; null if they saved all of them
+    this.pendingRequests = new Map(); // request id -> resolve function
+  }
+
+  /**
+   * Starts coordinating with the other tabs of an account; called when the user signs in
+   * @param {string} username - The username of the account
+   * @param {string} storageId - The storage id of the network, see applySelectedNetwork
+   * @returns {void}
+   */
+  start(username, storageId) {
+    this.stop();
+    const accountKey = `${username}_${storageId}`;
+    this.accountKey = accountKey;
+    if (typeof BroadcastChannel !== 'undefined') {
+      this.channel = new BroadcastChannel(`liberdus_${accountKey}`);
+      this.channel.onmessage = (event) => this.handleMessage(event.data);
+    }
+    // without Web Locks there is no way to know about other tabs, so this tab does the work
+    if (!navigator.locks) {
+      this.becomeLeader();
+      return;
+    }
+    this.abortController = new AbortController();
+    navigator.locks
+      .request(`liberdus_leader_${accountKey}`, { signal: this.abortController.signal }, () => {
+        // the lock is held until the returned promise resolves
+        return new Promise((resolve) => {
+          this.releaseLock = resolve;
+          this.becomeLeader();
+        });
+      })
+      .catch((error) => {
+        if (error.name !== 'AbortError') console.error('Tab leader election failed:', error);
+      });
+  }
+
+  /**
+   * Stops coordinating; releases the leader lock so another tab takes over
+   * @returns {void}
+   */
+  stop() {
+    this.abortController?.abort();
+    this.abortController = null;
+    this.releaseLock?.();
+    this.releaseLock = null;
+    this.channel?.close();
+    this.channel = null;
+    clearTimeout(this.mergeTimeoutId);
+    this.savedIds = undefined;
+    for (const resolve of this.pendingRequests.values()) resolve(null);
+    this.pendingRequests.clear();
+    this.isLeader = false;
+    this.accountKey = null;
+  }
+
+  becomeLeader() {
+    this.isLeader = true;
+    console.log('this tab is now the leader for', this.accountKey);
+    if (useLongPolling) {
+      longPoll();
+    } else if (wsManager) {
+      wsManager.initializeWebSocketManager();
+    }
+    checkPendingTransactions();
+    flushOutbox();
+  }
+
+  /**
+   * Tells the other tabs which records of the account data were saved
+   * @param {Array<string>|null} ids - The ids from writeAccountData; null if all records were written
+   * @returns {void}
+   */
+  notifySaved(ids) {
+    this.channel?.postMessage({ type: 'saved', ids });
+  }
+
+  handleMessage(message) {
+    if (message?.type === 'saved') {
+      // a burst of saves only needs one merge of all the records they wrote
+      if (!Array.isArray(message.ids) || this.savedIds === null) {
+        this.savedIds = null;
+      } else {
+        this.savedIds = new Set([...(this.savedIds || []), ...message.ids]);
+      }
+      clearTimeout(this.mergeTimeoutId);
+      this.mergeTimeoutId = setTimeout(() => this.mergeSavedData(), 200);
+    } else if (message?.type === 'ratchetSend' && this.isLeader) {
+      this.advanceRatchet(message.address).then((result) => {
+        this.channel?.postMessage({ type: 'reply', id: message.id, result });
+      });
+    } else if (message?.type === 'reply') {
+      this.pendingRequests.get(message.id)?.(message.result);
+      this.pendingRequests.delete(message.id);
+    }
+  }
+
+  /**
+   * Asks the leader tab to do something and waits for its reply
+   * @param {Object} message - The request; type says what to do
+   * @returns {Promise<*>} The result, or null if the leader did not answer in TAB_REQUEST_TIMEOUT_MS
+   */
+  request(message) {
+    if (!this.channel) return Promise.resolve(null);
+    const id = `${Date.now()}_${Math.random()}`;
+    return new Promise((resolve) => {
+      const timeoutId = setTimeout(() => {
+        this.pendingRequests.delete(id);
+        resolve(null);
+      }, TAB_REQUEST_TIMEOUT_MS);
+      this.pendingRequests.set(id, (result) => {
+        clearTimeout(timeoutId);
+        resolve(result);
+      });
+      this.channel.postMessage({ ...message, id });
+    });
+  }
+
+  /**
+   * Gets the key for the next message to a contact from our forward secrecy session with them. Sessions only change in
+   * the leader tab, which also decrypts the messages that arrive, so the other tabs ask the leader for the key
+   * @param {string} address - The address of the contact
+   * @returns {Promise<Object|null>} { messageKey, header, pqEncSharedKey } from ratchetSend, or null if the static keys
+   *   must be used
+   */
+  async ratchetSend(address) {
+    if (this.isLeader || !this.accountKey) return await this.advanceRatchet(address);
+    return await this.request({ type: 'ratchetSend', address });
+  }
+
+  /**
+   * Advances our forward secrecy session with a contact and stores it before the message key is handed out; only
+   * called in the leader tab
+   * @param {string} address - The address of the contact
+   * @returns {Promise<Object|null>} { messageKey, header, pqEncSharedKey } from ratchetSend, or null if the static keys
+   *   must be used
+   */
+  async advanceRatchet(address) {
+    const contact = myData?.contacts[address];
+    if (!contact?.ratchetCapable || !contact.public || !contact.pqPublic) return null;
+    // the first message we send starts the session
+    if (!contact.ratchet) {
+      contact.ratchet = ratchetInitSession(myAccount.keys, contact.public, getCorrectedTimestamp());
+    }
+    const sent = ratchetSend(contact.ratchet, contact.pqPublic);
+    markRatchetChanged(myData, address);
+    // the key must never be used twice, so the session is saved before the key is used; without that, the static keys
+    // are used
+    if (!(await saveState())) return null;
+    return sent;
+  }
+
+  /**
+   * Merges the account data another tab saved into myData and updates the screens that show it
+   * @returns {Promise<void>}
+   */
+  async mergeSavedData() {
+    if (!myData || !this.accountKey) return;
+    const data = myData;
+    const ids = this.savedIds ? [...this.savedIds] : null;
+    this.savedIds = undefined;
+    let changed = false;
+    try {
+      changed = await mergeAccountData(this.accountKey, data, appLock?.key, ids);
+    } catch (error) {
+      console.error('Failed to merge the account data saved by another tab:', error);
+      return;
+    }
+    // signed out or locked while merging
+    if (!changed || data !== myData) return;
+    myAccount = myData.account;
+    // another tab may have queued messages while offline
+    flushOutbox();
+
+    if (chatsScreen.isActive()) {
+      await chatsScreen.updateChatList();
+    }
+    if (walletScreen.isActive()) {
+      await walletScreen.updateWalletView();
+    }
+    if (chatModal.isActive() && chatModal.address) {
+      const messageCount = myData.contacts[chatModal.address]?.messages?.length || 0;
+      if (messageCount !== chatModal.lastMessageCount) {
+        chatModal.appendChatModal(true);
+      }
+    }
+  }
+}
+
+const tabCoordinator = new TabCoordinator();
+
 /**
  * Inserts an item into an array while maintaining descending order based on a timestamp field.
  * Assumes the array is already sorted in descending order.
@@ -4638,11 +6823,6 @@ function getCorrectedTimestamp() {
 }
 
 function updateWebSocketIndicator() {
-  // added this so that we don't miss messages on phones, since phones drop the ws if not used periodically
-  if (getCorrectedTimestamp() - updateWebSocketIndicator.lastSubscribed > 31000) {
-    wsManager.subscribe();
-    updateWebSocketIndicator.lastSubscribed = getCorrectedTimestamp();
-  }
   const indicator = document.getElementById('wsStatusIndicator');
   if (!indicator) return;
   indicator.style.display = 'block';
@@ -4657,7 +6837,6 @@ function updateWebSocketIndicator() {
     indicator.className = 'ws-status-indicator ws-green';
   }
 }
-updateWebSocketIndicator.lastSubscribed = 0;
 
 // Validator Modals
 
@@ -4722,24 +6901,24 @@ class RemoveAccountModal {
     this.modal.classList.remove('active');
   }
 
-  submit(username = myAccount.username) {
+  async submit(username = myAccount.username) {
     // called when the form is submitted
     // Get network ID from network.js
-    const { netid } = network;
+    const { storageId } = network;
 
     // Get existing accounts
     const existingAccounts = parse(localStorage.getItem('accounts') || '{"netids":{}}');
 
     // Remove the account from the accounts object
-    if (existingAccounts.netids[netid] && existingAccounts.netids[netid].usernames) {
-      delete existingAccounts.netids[netid].usernames[username];
+    if (existingAccounts.netids[storageId] && existingAccounts.netids[storageId].usernames) {
+      delete existingAccounts.netids[storageId].usernames[username];
       localStorage.setItem('accounts', stringify(existingAccounts));
     }
-    // Remove the account data from localStorage
-    localStorage.removeItem(`${username}_${netid}`);
+    // Remove the account data
+    myData = null; // need to delete this so that the reload does not save the data again
+    await removeAccountData(username, storageId);
 
     // Reload the page to redirect to welcome screen
-    myData = null; // need to delete this so that the reload does not save the data into localStore again
     window.location.reload();
   }
 
@@ -4782,11 +6961,10 @@ class BackupAccountModal {
     event.preventDefault();
 
     const password = document.getElementById('exportPassword').value;
-    const jsonData = stringify(myData, null, 2);
 
     try {
       // Encrypt data if password is provided
-      const finalData = password ? await encryptData(jsonData, password) : jsonData;
+      const finalData = await createBackupFile(myData, password);
 
       // Create and trigger download
       const blob = new Blob([finalData], { type: 'application/json' });
@@ -4809,51 +6987,160 @@ class BackupAccountModal {
 }
 const backupAccountModal = new BackupAccountModal();
 
-class RestoreAccountModal {
-  constructor() {}
+/**
+ * Creates the contents of a backup file. The envelope records the format version, the app version, the netid and the
+ * key derivation parameters. With a password all of it is authenticated as associated data of the encryption; without
+ * one the checksum is an unkeyed hash that only catches damage, since anyone who changes the file can compute it again
+ * @param {Object} data - The account data to back up, normally myData
+ * @param {string} [password] - Encrypt the data with a key derived from this password
+ * @returns {Promise<string>} The backup file contents
+ */
+async function createBackupFile(data, password) {
+  const header = {
+    magic: BACKUP_MAGIC,
+    version: BACKUP_FORMAT_VERSION,
+    app: `${myVersion} ${version}`,
+    netid: data.account.netid,
+    created: getCorrectedTimestamp(),
+    kdf: password ? newPasswordKdf() : null,
+  };
+  const jsonData = stringify(data);
+  const envelope = password
+    ? { ...header, data: await encryptData(jsonData, password, header.kdf, stringify(header)) }
+    : { ...header, data: jsonData, checksum: hashBytes(utf82bin(stringify(header) + jsonData)) };
+  return JSON.stringify(envelope, null, 2);
+}
 
-  load() {
-    // called when the DOM is loaded; can setup event handlers here
-    this.modal = document.getElementById('importModal');
-    document.getElementById('closeImportForm').addEventListener('click', () => this.close());
-    document.getElementById('importForm').addEventListener('submit', (event) => this.handleSubmit(event));
+/**
+ * Reads a backup file in any format written by the app and returns the account data. Errors have a message that
+ * can be shown to the user
+ * @param {string} content - The backup file contents
+ * @param {string} [password] - The password if the backup is encrypted
+ * @returns {Promise<Object>} The account data
+ */
+async function readBackupFile(content, password) {
+  let envelope = null;
+  try {
+    envelope = JSON.parse(content);
+  } catch {
+    // not JSON, so it is a bare ciphertext from before the envelope
   }
 
-  open() {
-    // called when the modal needs to be opened
-    this.modal.classList.add('active');
+  let jsonData;
+  if (envelope?.magic === BACKUP_MAGIC) {
+    jsonData = await readBackupEnvelope(envelope, password);
+  } else if (envelope) {
+    // unencrypted backup from before the envelope; the whole file is the account data
+    jsonData = content;
+  } else {
+    if (!password) {
+      throw new Error('This backup is encrypted. Enter its password.');
+    }
+    jsonData = await decryptData(content.trim(), password);
+    if (jsonData == null) {
+      throw new Error('Wrong password or the backup file is damaged.');
+    }
   }
 
-  close() {
-    // called when the modal needs to be closed
-    this.modal.classList.remove('active');
-  }
+  let data;
+  try {
+    data = parse(jsonData);
+  } catch {
+    throw new Error('The backup file is damaged and could not be read.');
+  }
+  const keys = data?.account?.keys;
+  if (!data?.account?.username || !data.account.netid || !keys?.address || !keys.secret) {
+    throw new Error('The backup file does not contain an account.');
+  }
+  // refuses backups from a newer version of the app
+  return migrateMyData(data);
+}
+
+/**
+ * Checks and opens a backup envelope
+ * @param {Object} envelope - The parsed backup file
+ * @param {string} [password] - The password if the backup is encrypted
+ * @returns {Promise<string>} The account data as JSON
+ */
+async function readBackupEnvelope(envelope, password) {
+  const { data, checksum, ...header } = envelope;
+  if (!Number.isInteger(header.version) || header.version < 1) {
+    throw new Error('The backup file has an invalid format version.');
+  }
+  if (header.version > BACKUP_FORMAT_VERSION) {
+    throw new Error(`This backup was made by a newer version of the app (${header.app}). Update the app to restore it.`);
+  }
+  if (header.netid !== network.netid) {
+    throw new Error(`This backup is for a different network (${header.netid}).`);
+  }
+  if (typeof data !== 'string') {
+    throw new Error('The backup file is damaged and could not be read.');
+  }
+
+  if (!header.kdf) {
+    // integrity check only; an unencrypted backup can't be authenticated
+    if (checksum !== hashBytes(utf82bin(stringify(header) + data))) {
+      throw new Error('The backup file is damaged.');
+    }
+    return data;
+  }
+  if (!password) {
+    throw new Error('This backup is encrypted. Enter its password.');
+  }
+  let jsonData;
+  try {
+    jsonData = await decryptData(data, password, header.kdf, stringify(header));
+  } catch (error) {
+    throw new Error(`The backup file could not be decrypted: ${error.message}`);
+  }
+  if (jsonData == null) {
+    throw new Error('Wrong password, or the backup file is damaged or was modified.');
+  }
+  return jsonData;
+}
+
+class RestoreAccountModal {
+  constructor() {}
+
+  load() {
+    // called when the DOM is loaded; can setup event handlers here
+    this.modal = document.getElementById('importModal');
+    document.getElementById('closeImportForm').addEventListener('click', () => this.close());
+    document.getElementById('importForm').addEventListener('submit', (event) => this.handleSubmit(event));
+  }
+
+  open() {
+    // called when the modal needs to be opened
+    this.modal.classList.add('active');
+  }
+
+  close() {
+    // called when the modal needs to be closed
+    this.modal.classList.remove('active');
+  }
 
   async handleSubmit(event) {
     event.preventDefault();
     const fileInput = document.getElementById('importFile');
     const passwordInput = document.getElementById('importPassword');
+    const mnemonicInput = document.getElementById('importMnemonic');
+
+    if (mnemonicInput.value.trim()) {
+      await this.restoreFromMnemonic(mnemonicInput.value);
+      return;
+    }
+    if (!fileInput.files[0]) {
+      showToast('Select a backup file or enter your recovery phrase', 3000, 'error');
+      return;
+    }
 
     try {
       // Read the file
       const file = fileInput.files[0];
-      let fileContent = await file.text();
-      const isNotEncryptedData = fileContent.match('{');
-
-      // Check if data is encrypted and decrypt if necessary
-      if (!isNotEncryptedData) {
-        if (!passwordInput.value.trim()) {
-          showToast('Password required for encrypted data', 3000, 'error');
-          return;
-        }
-        fileContent = await decryptData(fileContent, passwordInput.value.trim());
-        if (fileContent == null) {
-          throw '';
-        }
-      }
+      const fileContent = await file.text();
 
-      // We first parse to jsonData so that if the parse does not work we don't destroy myData
-      myData = parse(fileContent);
+      // We first read the backup so that if it is not valid we don't destroy myData
+      myData = await readBackupFile(fileContent, passwordInput.value.trim());
       // also need to set myAccount
       const acc = myData.account; // this could have other things which are not needed
       myAccount = {
@@ -4864,22 +7151,23 @@ class RestoreAccountModal {
           public: acc.keys.public,
           secret: acc.keys.secret,
           type: acc.keys.type,
+          pqSeed: acc.keys.pqSeed,
         },
       };
       // Get existing accounts or create new structure
       const existingAccounts = parse(localStorage.getItem('accounts') || '{"netids":{}}');
       // Ensure netid exists
-      if (!existingAccounts.netids[myAccount.netid]) {
-        existingAccounts.netids[myAccount.netid] = { usernames: {} };
+      if (!existingAccounts.netids[network.storageId]) {
+        existingAccounts.netids[network.storageId] = { usernames: {} };
       }
       // Store updated accounts back in localStorage
-      existingAccounts.netids[myAccount.netid].usernames[myAccount.username] = {
+      existingAccounts.netids[network.storageId].usernames[myAccount.username] = {
         address: myAccount.keys.address,
       };
       localStorage.setItem('accounts', stringify(existingAccounts));
 
       // Store the localStore entry for username_netid
-      localStorage.setItem(`${myAccount.username}_${myAccount.netid}`, stringify(myData));
+      await storeAccountData(myAccount.username, network.storageId, myData);
 
       // Show success message using toast
       showToast('Account restored successfully!', 2000, 'success');
@@ -4892,630 +7180,1183 @@ class RestoreAccountModal {
         passwordInput.value = '';
       }, 2000);
     } catch (error) {
-      showToast(error.message || 'Import failed. Please check file and password.', 3000, 'error');
+      console.error('Restore failed:', error);
+      showToast(error.message || 'Import failed. Please check file and password.', 0, 'error');
+    }
+  }
+
+  /**
+   * Rebuilds an account from its recovery phrase; the username is looked up on the network from the derived address
+   * @param {string} mnemonic - The 24 word recovery phrase
+   * @returns {Promise<void>}
+   */
+  async restoreFromMnemonic(mnemonic) {
+    const mnemonicInput = document.getElementById('importMnemonic');
+    if (!isValidMnemonic(mnemonic)) {
+      showToast('Invalid recovery phrase. Please check the words and their order.', 3000, 'error');
+      return;
+    }
+
+    const { secret, pqSeed } = await mnemonicToKeys(mnemonic);
+    const publicKey = getPublicKey(hex2bin(secret));
+    const address = bin2hex(generateAddress(publicKey));
+
+    const accountInfo = await queryNetwork(`/account/${longAddress(address)}`);
+    const username = accountInfo?.account?.alias;
+    if (!username) {
+      showToast('No account was found for this recovery phrase', 0, 'error');
+      return;
     }
+    // the phrase must also give the ML-KEM key the account registered, or nobody could send us messages we can read
+    const pqPublicKey = bin2base64(generatePQKeys(pqSeed).publicKey);
+    if (accountInfo.account.pqPublicKey !== pqPublicKey) {
+      showToast('This recovery phrase does not match the keys of the account on the network', 0, 'error');
+      return;
+    }
+
+    const { storageId } = network;
+    // keep the local data of the account if it is already on this device
+    const storedData = await loadAccountData(username, storageId);
+    if (isAccountDataLocked(storedData)) {
+      showToast('This account is already on this device and locked. Sign in with your passphrase.', 0, 'error');
+      return;
+    }
+    myAccount = {
+      netid: network.netid,
+      username,
+      chatTimestamp: 0,
+      keys: {
+        address,
+        public: bin2hex(publicKey),
+        secret,
+        type: 'secp256k1',
+        pqSeed,
+      },
+    };
+    myData = storedData?.account?.keys?.address === address ? storedData : newDataRecord(myAccount);
+
+    const existingAccounts = parse(localStorage.getItem('accounts') || '{"netids":{}}');
+    if (!existingAccounts.netids[storageId]) {
+      existingAccounts.netids[storageId] = { usernames: {} };
+    }
+    existingAccounts.netids[storageId].usernames[username] = { address };
+    localStorage.setItem('accounts', stringify(existingAccounts));
+    await storeAccountData(username, storageId, myData);
+
+    showToast('Account restored successfully!', 2000, 'success');
+    setTimeout(() => {
+      this.close();
+      mnemonicInput.value = '';
+      window.location.reload(); // need to go through Sign In to make sure the account exists on network
+    }, 2000);
   }
 }
 const restoreAccountModal = new RestoreAccountModal();
 
-class TollModal {
-  constructor() {
-    this.currentCurrency = 'LIB'; // Initialize currency state
-    this.oldToll = null;
-    this.minToll = null; // Will be set from network account
-  }
+/**
+ * App Lock Modal Class
+ * @class
+ * @description Turns the app lock on or off; while it is on the stored account data is encrypted with a key
+ * derived from a passphrase that SignInModal asks for
+ */
+class AppLockModal {
+  constructor() {}
 
   load() {
-    this.modal = document.getElementById('tollModal');
-    this.minTollDisplay = document.getElementById('minTollDisplay');
-    this.newTollAmountInputElement = document.getElementById('newTollAmountInput');
-    this.toggleTollCurrencyElement = document.getElementById('toggleTollCurrency');
-    this.warningMessageElement = document.getElementById('tollWarningMessage');
-    this.saveButton = document.getElementById('saveNewTollButton');
-    this.closeButton = document.getElementById('closeTollModal');
-    this.tollForm = document.getElementById('tollForm');
-    this.tollCurrencySymbol = document.getElementById('tollCurrencySymbol');
+    this.modal = document.getElementById('appLockModal');
+    this.form = document.getElementById('appLockForm');
+    this.status = document.getElementById('appLockStatus');
+    this.passphraseInput = document.getElementById('appLockPassphrase');
+    this.confirmInput = document.getElementById('appLockPassphraseConfirm');
+    this.submitButton = document.getElementById('appLockSubmitButton');
+    this.turnOffButton = document.getElementById('appLockTurnOffButton');
+    this.autoLockSelect = document.getElementById('autoLockMinutes');
+    this.lockOnHideCheckbox = document.getElementById('lockOnHide');
+
+    this.autoLockSelect.innerHTML = Object.entries(AUTO_LOCK_OPTIONS)
+      .map(([minutes, label]) => `<option value="${minutes}">${label}</option>`)
+      .join('');
 
-    this.tollForm.addEventListener('submit', (event) => this.saveAndPostNewToll(event));
-    this.closeButton.addEventListener('click', () => this.close());
-    this.toggleTollCurrencyElement.addEventListener('click', (event) => this.handleToggleTollCurrency(event));
-    this.newTollAmountInputElement.addEventListener('input', () => this.newTollAmountInputElement.value = normalizeUnsignedFloat(this.newTollAmountInputElement.value));
-    this.newTollAmountInputElement.addEventListener('input', () => this.updateSaveButtonState());
+    document.getElementById('closeAppLockModal').addEventListener('click', () => this.close());
+    this.form.addEventListener('submit', (event) => this.handleSubmit(event));
+    this.turnOffButton.addEventListener('click', () => this.handleTurnOff());
+    this.autoLockSelect.addEventListener('change', () => this.handleAutoLockChange());
+    this.lockOnHideCheckbox.addEventListener('change', () => this.handleAutoLockChange());
   }
 
   open() {
+    this.passphraseInput.value = '';
+    this.confirmInput.value = '';
+    this.updateStatus();
     this.modal.classList.add('active');
-    // set currentTollValue to the toll value in wei
-    const toll = myData.settings.toll || 0n;
-    const tollUnit = myData.settings.tollUnit || 'LIB';
-
-    // Fetch network parameters to get minToll
-    this.minToll = parameters?.current?.minToll || 1n * wei; // Default to 1 LIB if not set
-
-    this.updateTollDisplay(toll, tollUnit);
-
-    this.currentCurrency = tollUnit;
-    this.tollCurrencySymbol.textContent = this.currentCurrency;
-    this.newTollAmountInputElement.value = ''; // Clear input field
-    this.warningMessageElement.textContent = '';
-    this.warningMessageElement.style.display = 'none';
-    this.saveButton.disabled = true;
-
-    // Update min toll display under input
-    const minTollValue = parseFloat(big2str(this.minToll, 18)).toFixed(6); // Show 6 decimal places
-    this.minTollDisplay.textContent = `Minimum toll: ${minTollValue} LIB`;
   }
 
   close() {
+    this.passphraseInput.value = '';
+    this.confirmInput.value = '';
     this.modal.classList.remove('active');
   }
 
   /**
-   * Handle the toggle of the toll currency
-   * @param {Event} event - The event object
-   * @returns {void}
+   * Check if the app lock modal is active
+   * @returns {boolean}
    */
-  async handleToggleTollCurrency(event) {
-    event.preventDefault();
-
-    this.currentCurrency = this.currentCurrency === 'LIB' ? 'USD' : 'LIB';
-    this.tollCurrencySymbol.textContent = this.currentCurrency;
+  isActive() {
+    return this.modal?.classList.contains('active') || false;
+  }
 
-    const scalabilityFactor = parameters.current.stabilityScaleMul / parameters.current.stabilityScaleDiv;
-    if (this.newTollAmountInputElement.value !== '') {
-      const currentValue = parseFloat(this.newTollAmountInputElement.value);
-      const convertedValue =
-        this.currentCurrency === 'USD' ? currentValue * scalabilityFactor : currentValue / scalabilityFactor;
-      this.newTollAmountInputElement.value = convertedValue.toString();
-    }
+  updateStatus() {
+    this.status.textContent = appLock ? 'The app lock is on' : 'The app lock is off';
+    this.status.classList.toggle('on', Boolean(appLock));
+    this.submitButton.textContent = appLock ? 'Change Passphrase' : 'Turn On';
+    this.turnOffButton.style.display = appLock ? 'block' : 'none';
+    // locking only asks for the passphrase again while the app lock is on
+    this.autoLockSelect.value = String(myData.settings.autoLockMinutes || 0);
+    this.lockOnHideCheckbox.checked = Boolean(myData.settings.lockOnHide);
+    this.autoLockSelect.disabled = !appLock;
+    this.lockOnHideCheckbox.disabled = !appLock;
+  }
 
-    // Update min toll display with converted value
-    if (this.currentCurrency === 'USD') {
-      const minTollUSD = bigxnum2big(this.minToll, scalabilityFactor.toString());
-      this.minTollDisplay.textContent = `Minimum toll: ${parseFloat(big2str(minTollUSD, 18)).toFixed(4)} USD`; // Show 4 decimal places for USD
-    } else {
-      this.minTollDisplay.textContent = `Minimum toll: ${parseFloat(big2str(this.minToll, 18)).toFixed(6)} LIB`; // Show 6 decimal places for LIB
-    }
-    this.updateSaveButtonState();
+  /**
+   * Saves the auto-lock settings
+   * @returns {void}
+   */
+  handleAutoLockChange() {
+    myData.settings.autoLockMinutes = Number(this.autoLockSelect.value);
+    myData.settings.lockOnHide = this.lockOnHideCheckbox.checked;
+    lastActivityTime = Date.now();
+    saveState();
   }
 
   /**
-   * Save and post the new toll to the network
-   * @param {Event} event - The event object
+   * Turns the app lock on, or changes the passphrase if it is already on
+   * @param {Event} event - The submit event
    * @returns {Promise<void>}
    */
-  async saveAndPostNewToll(event) {
+  async handleSubmit(event) {
     event.preventDefault();
-    let newTollValue = parseFloat(this.newTollAmountInputElement.value);
-
-    // disable submit button
-    this.saveButton.disabled = true;
-
-    if (isNaN(newTollValue) || newTollValue < 0) {
-      showToast('Invalid toll amount entered.', 0, 'error');
+    const passphrase = this.passphraseInput.value;
+    if (passphrase.length < 8) {
+      showToast('The passphrase must be at least 8 characters', 3000, 'error');
       return;
     }
-
-    const newToll = bigxnum2big(wei, this.newTollAmountInputElement.value);
-
-    // Check if the toll is non-zero but less than minimum
-    if (newToll > 0n) {
-      if (this.currentCurrency === 'LIB' && newToll < this.minToll) {
-        showToast(`Toll must be at least ${parseFloat(big2str(this.minToll, 18)).toFixed(6)} LIB or 0 LIB`, 0, 'error');
-        return;
-      }
-      if (this.currentCurrency === 'USD') {
-        const scalabilityFactor = parameters.current.stabilityScaleMul / parameters.current.stabilityScaleDiv;
-        const newTollLIB = bigxnum2big(newToll, (1 / scalabilityFactor).toString());
-        if (newTollLIB < this.minToll) {
-          const minTollUSD = bigxnum2big(this.minToll, scalabilityFactor.toString());
-          showToast(`Toll must be at least ${parseFloat(big2str(minTollUSD, 18)).toFixed(4)} USD or 0 USD`, 0, 'error');
-          return;
-        }
-      }
+    if (passphrase !== this.confirmInput.value) {
+      showToast('The passphrases do not match', 3000, 'error');
+      return;
     }
 
-    // Add maximum toll validation
-    if (this.currentCurrency === 'LIB') {
-      if (newTollValue > MAX_TOLL) {
-        showToast(`Toll cannot exceed ${MAX_TOLL} LIB`, 0, 'error');
-        return;
-      }
-    } else {
-      // For USD, convert the max toll to USD for comparison
-      const scalabilityFactor = parameters.current.stabilityScaleMul / parameters.current.stabilityScaleDiv;
-      const maxTollUSD = MAX_TOLL * scalabilityFactor;
-      if (newTollValue > maxTollUSD) {
-        showToast(`Toll cannot exceed ${maxTollUSD.toFixed(2)} USD`, 0, 'error');
-        return;
-      }
+    this.submitButton.disabled = true;
+    try {
+      const kdf = newPasswordKdf();
+      const key = await deriveKeyFromPassword(passphrase, kdf);
+      const wasOn = Boolean(appLock);
+      appLock = { kdf, key };
+      saveState();
+      showToast(wasOn ? 'Passphrase changed' : 'App lock turned on', 3000, 'success');
+      this.passphraseInput.value = '';
+      this.confirmInput.value = '';
+      this.updateStatus();
+    } catch (error) {
+      console.error('Failed to turn on the app lock:', error);
+      showToast('Failed to turn on the app lock', 0, 'error');
+    } finally {
+      this.submitButton.disabled = false;
     }
+  }
 
-    // Post the new toll to the network
-    const response = await this.postToll(newToll, this.currentCurrency);
-
-    if (response && response.result && response.result.success) {
-      this.editMyDataToll(newToll, this.currentCurrency);
-    } else {
-      console.error(`Toll submission failed for txid: ${response.txid}`);
+  /**
+   * Turns the app lock off; the account data is stored unencrypted again
+   * @returns {void}
+   */
+  handleTurnOff() {
+    if (!confirm('Turn off the app lock? Your account data will be stored on this device without encryption.')) {
       return;
     }
+    appLock = null;
+    saveState();
+    showToast('App lock turned off', 3000, 'success');
+    this.updateStatus();
+  }
+}
+const appLockModal = new AppLockModal();
 
-    this.newTollAmountInputElement.value = '';
+class GatewaysModal {
+  constructor() {
+    this.statusIntervalId = null;
+  }
 
-    // Update the display for tollAmountLIB and tollAmountUSD
-    this.updateTollDisplay(newToll, this.currentCurrency);
+  load() {
+    this.modal = document.getElementById('gatewaysModal');
+    this.list = document.getElementById('gatewayList');
+    this.form = document.getElementById('addGatewayForm');
+    this.nameInput = document.getElementById('gatewayName');
+    this.webInput = document.getElementById('gatewayWebUrl');
+    this.wsInput = document.getElementById('gatewayWsUrl');
+    this.checkButton = document.getElementById('checkGatewaysButton');
+    this.verifyCheckbox = document.getElementById('verifyGatewayAnswers');
+
+    document.getElementById('closeGatewaysModal').addEventListener('click', () => this.close());
+    this.form.addEventListener('submit', (event) => this.handleAddGateway(event));
+    this.checkButton.addEventListener('click', () => this.handleCheck());
+    this.verifyCheckbox.addEventListener('change', () => this.handleVerifyChange());
+    this.list.addEventListener('change', (event) => this.handleDefaultChange(event));
+    this.list.addEventListener('click', (event) => this.handleRemoveClick(event));
+  }
+
+  open() {
+    this.form.reset();
+    this.verifyCheckbox.checked = Boolean(myData.settings.verifyGatewayAnswers);
+    this.render();
+    this.modal.classList.add('active');
+    // the status follows the probes of gatewayPool while the modal is open
+    this.statusIntervalId = setInterval(() => this.updateStatus(), 3000);
+  }
+
+  close() {
+    clearInterval(this.statusIntervalId);
+    this.statusIntervalId = null;
+    this.modal.classList.remove('active');
   }
 
   /**
-   * Update the toll display in the UI
-   * @param {BigInt} toll - The toll value in wei
-   * @param {string} tollUnit - The unit of the toll
+   * Check if the gateways modal is active
+   * @returns {boolean}
+   */
+  isActive() {
+    return this.modal?.classList.contains('active') || false;
+  }
+
+  /**
+   * Shows the gateways with a choice of the default gateway
    * @returns {void}
    */
-  updateTollDisplay(toll, tollUnit) {
-    const scalabilityFactor = parameters.current.stabilityScaleMul / parameters.current.stabilityScaleDiv;
-    let tollValueLib = '';
-    let tollValueUSD = '';
+  render() {
+    const gateways = gatewayPool.getGateways();
+    const defaultIndex = myData.network.defaultGatewayIndex;
+    const automaticItem = `
+      <li class="gateway-item">
+        <label class="gateway-default">
+          <input type="radio" name="defaultGateway" value="-1" ${defaultIndex < 0 ? 'checked' : ''} />
+          <span class="gateway-name">Automatic</span>
+        </label>
+        <div class="gateway-urls">Use the fastest gateway that is working</div>
+      </li>`;
+    const gatewayItems = gateways.map(
+      (gateway, index) => `
+      <li class="gateway-item">
+        <label class="gateway-default">
+          <input type="radio" name="defaultGateway" value="${index}" ${index === defaultIndex ? 'checked' : ''} />
+          <span class="gateway-name">${escapeHtml(gateway.name || getGatewayHost(gateway.web))}</span>
+          ${gateway.isSystem ? '<span class="gateway-badge">System</span>' : ''}
+        </label>
+        <div class="gateway-urls">${escapeHtml(gateway.web)}<br />${escapeHtml(gateway.ws || '')}</div>
+        <div class="gateway-status" data-web="${escapeHtml(gateway.web)}"></div>
+        ${gateway.isSystem ? '' : `<button type="button" class="secondary-button gateway-remove" data-index="${index}">Remove</button>`}
+      </li>`
+    );
+    this.list.innerHTML = automaticItem + gatewayItems.join('');
+    this.updateStatus();
+  }
 
-    if (tollUnit == 'LIB') {
-      tollValueLib = big2str(toll, 18);
-      tollValueUSD = (parseFloat(big2str(toll, 18)) * scalabilityFactor).toString();
-    } else {
-      tollValueUSD = big2str(toll, 18);
-      tollValueLib = (parseFloat(big2str(toll, 18)) / scalabilityFactor).toString();
+  /**
+   * Updates the status shown for each gateway from gatewayPool
+   * @returns {void}
+   */
+  updateStatus() {
+    for (const gateway of gatewayPool.getGateways()) {
+      const element = [...this.list.querySelectorAll('.gateway-status')].find((el) => el.dataset.web === gateway.web);
+      if (!element) continue;
+      const stats = gatewayPool.getStats(gateway);
+      let text = 'Not checked yet';
+      let status = 'unknown';
+      if (!gatewayPool.isHealthy(gateway)) {
+        text = 'Not reachable';
+        status = 'down';
+      } else if (stats.latency !== null) {
+        const errorRate = stats.requests > 0 ? Math.round((stats.failures / stats.requests) * 100) : 0;
+        text = `Working, ${Math.round(stats.latency)} ms${errorRate > 0 ? `, ${errorRate}% errors` : ''}`;
+        status = 'up';
+      }
+      if (stats.disagreements > 0) {
+        text += `, ${stats.disagreements} answer${stats.disagreements === 1 ? '' : 's'} not matching other gateways`;
+        status = 'suspect';
+      }
+      element.textContent = text;
+      element.dataset.status = status;
     }
+  }
 
-    tollValueLib = parseFloat(tollValueLib).toString();
-    tollValueUSD = parseFloat(tollValueUSD).toString();
-
-    document.getElementById('tollAmountLIB').textContent = tollValueLib + ' LIB';
-    document.getElementById('tollAmountUSD').textContent = tollValueUSD + ' USD';
+  /**
+   * Probes all gateways now
+   * @returns {Promise<void>}
+   */
+  async handleCheck() {
+    this.checkButton.disabled = true;
+    try {
+      await gatewayPool.probeAll();
+      this.updateStatus();
+    } finally {
+      this.checkButton.disabled = false;
+    }
   }
 
   /**
-   * Edit the toll in myData.settings
-   * @param {BigInt} toll - The toll value in wei
-   * @param {string} tollUnit - The unit of the toll
+   * Saves the setting to verify important answers with several gateways
    * @returns {void}
    */
-  editMyDataToll(toll, tollUnit) {
-    this.oldToll = myData.settings.toll;
-    myData.settings.toll = toll;
-    myData.settings.tollUnit = tollUnit;
+  handleVerifyChange() {
+    myData.settings.verifyGatewayAnswers = this.verifyCheckbox.checked;
+    saveState();
+    if (this.verifyCheckbox.checked && gatewayPool.getGateways().length < 2) {
+      showToast('Add another gateway; answers can only be verified with at least two gateways', 4000, 'warning');
+    } else {
+      showToast('Setting saved', 2000, 'success');
+    }
   }
 
   /**
-   * Post the toll to the network
-   * @param {BigInt} toll - The toll value in wei
-   * @param {string} tollUnit - The unit of the toll
-   * @returns {Promise<Object>} - The response from the network
+   * Saves the gateway picked as the default
+   * @param {Event} event - The change event of a radio button
+   * @returns {void}
    */
-  async postToll(toll, tollUnit) {
-    const tollTx = {
-      from: longAddress(myAccount.keys.address),
-      toll: toll,
-      type: 'toll',
-      timestamp: getCorrectedTimestamp(),
-      tollUnit: tollUnit,
-      netid: network.netid,
-    };
-
-    const txid = await signObj(tollTx, myAccount.keys);
-    const response = await injectTx(tollTx, txid);
-    return response;
+  handleDefaultChange(event) {
+    if (event.target.name !== 'defaultGateway') return;
+    myData.network.defaultGatewayIndex = Number(event.target.value);
+    saveState();
+    showToast('Default gateway saved', 2000, 'success');
   }
 
   /**
-   * Gets the warning message based on input validation
-   * @returns {string|null} - The warning message or null if no warning
+   * Removes a gateway the user added
+   * @param {Event} event - The click event in the list
+   * @returns {void}
    */
-  getWarningMessage() {
-    const value = this.newTollAmountInputElement.value;
-
-    // return null if just . or ,
-    if (value.trim() === '.' || value.trim() === ',') {
-      return null;
+  handleRemoveClick(event) {
+    const button = event.target.closest('.gateway-remove');
+    if (!button) return;
+    const index = Number(button.dataset.index);
+    const gateway = myData.network.gateways[index];
+    if (!gateway || gateway.isSystem) return;
+    if (!confirm(`Remove the gateway ${gateway.name || gateway.web}?`)) return;
+
+    myData.network.gateways.splice(index, 1);
+    if (myData.network.defaultGatewayIndex === index) {
+      myData.network.defaultGatewayIndex = -1;
+    } else if (myData.network.defaultGatewayIndex > index) {
+      myData.network.defaultGatewayIndex--;
     }
+    saveState();
+    this.render();
+  }
 
-    // check if input is empty or only whitespace
-    if (value.trim() === '') {
-      return 'Please enter a toll amount';
+  /**
+   * Adds a gateway with the URLs in the form
+   * @param {Event} event - The submit event
+   * @returns {void}
+   */
+  handleAddGateway(event) {
+    event.preventDefault();
+    const web = this.webInput.value.trim().replace(/\/+$/, '');
+    const ws = this.wsInput.value.trim().replace(/\/+$/, '');
+    if (!isUrlWithProtocol(web, ['http:', 'https:'])) {
+      showToast('The web URL must start with http:// or https://', 3000, 'error');
+      return;
+    }
+    if (!isUrlWithProtocol(ws, ['ws:', 'wss:'])) {
+      showToast('The WebSocket URL must start with ws:// or wss://', 3000, 'error');
+      return;
+    }
+    if (myData.network.gateways.some((gateway) => gateway.web === web)) {
+      showToast('This gateway is already in the list', 3000, 'error');
+      return;
     }
 
-    const newTollValue = parseFloat(value);
+    const gateway = { web, ws, name: this.nameInput.value.trim() || getGatewayHost(web), isSystem: false };
+    myData.network.gateways.push(gateway);
+    saveState();
+    this.form.reset();
+    this.render();
+    gatewayPool.probe(gateway).then(() => this.isActive() && this.updateStatus());
+    showToast('Gateway added', 2000, 'success');
+  }
+}
+const gatewaysModal = new GatewaysModal();
 
-    // Check if it's a valid number
-    if (isNaN(newTollValue) || newTollValue < 0) {
-      return 'Please enter a valid positive number';
-    }
+class NetworksModal {
+  constructor() {}
 
-    // Allow zero toll
-    if (newTollValue === 0) {
-      return null;
-    }
+  load() {
+    this.modal = document.getElementById('networksModal');
+    this.list = document.getElementById('networkList');
+    this.form = document.getElementById('addNetworkForm');
+    this.nameInput = document.getElementById('networkName');
+    this.netidInput = document.getElementById('networkNetid');
+    this.webInput = document.getElementById('networkWebUrl');
+    this.wsInput = document.getElementById('networkWsUrl');
 
-    const newToll = bigxnum2big(wei, value);
+    document.getElementById('closeNetworksModal').addEventListener('click', () => this.close());
+    this.form.addEventListener('submit', (event) => this.handleAddNetwork(event));
+    this.list.addEventListener('change', (event) => this.handleNetworkChange(event));
+    this.list.addEventListener('click', (event) => this.handleRemoveClick(event));
+  }
 
-    // Check minimum toll requirements
-    if (this.currentCurrency === 'LIB') {
-      if (newToll < this.minToll) {
-        return `Toll must be at least ${parseFloat(big2str(this.minToll, 18)).toFixed(6)} LIB or 0 LIB`;
-      }
-    } else {
-      const scalabilityFactor = parameters.current.stabilityScaleMul / parameters.current.stabilityScaleDiv;
-      const newTollLIB = bigxnum2big(newToll, (1 / scalabilityFactor).toString());
-      if (newTollLIB < this.minToll) {
-        const minTollUSD = bigxnum2big(this.minToll, scalabilityFactor.toString());
-        return `Toll must be at least ${parseFloat(big2str(minTollUSD, 18)).toFixed(4)} USD or 0 USD`;
-      }
-    }
+  open() {
+    this.form.reset();
+    this.render();
+    this.modal.classList.add('active');
+  }
 
-    return null;
+  close() {
+    this.modal.classList.remove('active');
   }
 
   /**
-   * Updates the save button state and warning message based on input validation
+   * Check if the networks modal is active
+   * @returns {boolean}
    */
-  updateSaveButtonState() {
-    const warningMessage = this.getWarningMessage();
-    const isValid = !warningMessage;
+  isActive() {
+    return this.modal?.classList.contains('active') || false;
+  }
 
-    // Update save button state
-    this.saveButton.disabled = !isValid;
+  /**
+   * Shows the networks with the one in use selected
+   * @returns {void}
+   */
+  render() {
+    this.list.innerHTML = getNetworks()
+      .map(
+        (candidate) => `
+      <li class="network-item">
+        <label class="network-choice">
+          <input type="radio" name="network" value="${escapeHtml(candidate.id)}" ${candidate.id === network.id ? 'checked' : ''} />
+          <span class="network-item-name">${escapeHtml(candidate.name)}</span>
+          <span class="network-item-badge">${candidate.isCustom ? 'Custom' : candidate.id === 'default' ? 'Default' : 'Built-in'}</span>
+        </label>
+        <div class="network-item-details">
+          ${escapeHtml(getGatewayHost(candidate.gateways[0]?.web || ''))}<br />netid ${escapeHtml(candidate.netid.slice(0, 16))}…
+        </div>
+        ${candidate.isCustom ? `<button type="button" class="secondary-button network-remove" data-id="${escapeHtml(candidate.id)}">Remove</button>` : ''}
+      </li>`
+      )
+      .join('');
+  }
 
-    // Additional check: disable if the new toll is the same as the current toll
-    if (isValid) {
-      const newTollValue = parseFloat(this.newTollAmountInputElement.value);
-      const newTollBigInt = bigxnum2big(wei, this.newTollAmountInputElement.value);
-      const currentToll = myData.settings.toll;
-      const currentTollUnit = myData.settings.tollUnit;
+  /**
+   * Switches to the network picked in the list
+   * @param {Event} event - The change event of a radio button
+   * @returns {void}
+   */
+  handleNetworkChange(event) {
+    if (event.target.name !== 'network') return;
+    const picked = getNetworks().find((candidate) => candidate.id === event.target.value);
+    if (!picked || picked.id === network.id) return;
+    if (!confirm(`Switch to ${picked.name}? Accounts of other networks are kept but are only shown on their network.`)) {
+      this.render();
+      return;
+    }
+    selectNetwork(picked.id);
+  }
 
-      if (!isNaN(newTollValue)) {
-        if (currentTollUnit === this.currentCurrency) {
-          if (newTollBigInt === currentToll) {
-            this.saveButton.disabled = true;
-          }
-        } 
-      }
+  /**
+   * Removes a custom network; if it is in use the app switches back to the default network
+   * @param {Event} event - The click event in the list
+   * @returns {void}
+   */
+  handleRemoveClick(event) {
+    const button = event.target.closest('.network-remove');
+    if (!button) return;
+    const customNetworks = parse(localStorage.getItem('networks') || '[]');
+    const removed = customNetworks.find((custom) => custom.id === button.dataset.id);
+    if (!removed || !confirm(`Remove the network ${removed.name}? Its accounts stay on this device.`)) return;
+
+    localStorage.setItem('networks', stringify(customNetworks.filter((custom) => custom.id !== removed.id)));
+    if (removed.id === network.id) {
+      selectNetwork('default');
+      return;
     }
+    this.render();
+  }
 
-    // Update warning message
-    if (warningMessage) {
-      this.warningMessageElement.textContent = warningMessage;
-      this.warningMessageElement.style.display = 'block';
-    } else {
-      this.warningMessageElement.textContent = '';
-      this.warningMessageElement.style.display = 'none';
+  /**
+   * Adds a custom network with the values in the form
+   * @param {Event} event - The submit event
+   * @returns {void}
+   */
+  handleAddNetwork(event) {
+    event.preventDefault();
+    const name = this.nameInput.value.trim();
+    const netid = this.netidInput.value.trim().toLowerCase();
+    const web = this.webInput.value.trim().replace(/\/+$/, '');
+    const ws = this.wsInput.value.trim().replace(/\/+$/, '');
+    if (!name) {
+      showToast('Enter a name for the network', 3000, 'error');
+      return;
+    }
+    if (!/^[0-9a-f]{64}$/.test(netid)) {
+      showToast('The netid must be 64 hex characters', 3000, 'error');
+      return;
     }
+    if (!isUrlWithProtocol(web, ['http:', 'https:'])) {
+      showToast('The web URL must start with http:// or https://', 3000, 'error');
+      return;
+    }
+    if (!isUrlWithProtocol(ws, ['ws:', 'wss:'])) {
+      showToast('The WebSocket URL must start with ws:// or wss://', 3000, 'error');
+      return;
+    }
+    const networks = getNetworks();
+    const sameNetid = networks.find((candidate) => candidate.netid === netid);
+    if (sameNetid) {
+      showToast(`${sameNetid.name} already has this netid. Add the gateway to it in Gateways instead.`, 4000, 'error');
+      return;
+    }
+    if (networks.some((candidate) => candidate.name.toLowerCase() === name.toLowerCase())) {
+      showToast('There is already a network with this name', 3000, 'error');
+      return;
+    }
+
+    const customNetworks = parse(localStorage.getItem('networks') || '[]');
+    customNetworks.push({ id: `custom-${Date.now()}`, name, netid, gateways: [{ web, ws }] });
+    localStorage.setItem('networks', stringify(customNetworks));
+    this.form.reset();
+    this.render();
+    showToast('Network added', 2000, 'success');
   }
 }
+const networksModal = new NetworksModal();
 
-const tollModal = new TollModal();
+/**
+ * Checks that a string is a URL with one of the given protocols
+ * @param {string} value - The string to check
+ * @param {string[]} protocols - The allowed protocols, e.g. ['https:']
+ * @returns {boolean}
+ */
+function isUrlWithProtocol(value, protocols) {
+  try {
+    return protocols.includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
 
-// Invite Modal
-class InviteModal {
-  constructor() {}
+class TollModal {
+  constructor() {
+    this.currentCurrency = 'LIB'; // Initialize currency state
+    this.oldToll = null;
+    this.minToll = null; // Will be set from network account
+  }
 
   load() {
-    this.modal = document.getElementById('inviteModal');
-    this.inviteEmailInput = document.getElementById('inviteEmail');
-    this.invitePhoneInput = document.getElementById('invitePhone');
-    this.submitButton = document.querySelector('#inviteForm button[type="submit"]');
-    this.closeButton = document.getElementById('closeInviteModal');
-    this.inviteForm = document.getElementById('inviteForm');
+    this.modal = document.getElementById('tollModal');
+    this.minTollDisplay = document.getElementById('minTollDisplay');
+    this.newTollAmountInputElement = document.getElementById('newTollAmountInput');
+    this.toggleTollCurrencyElement = document.getElementById('toggleTollCurrency');
+    this.warningMessageElement = document.getElementById('tollWarningMessage');
+    this.saveButton = document.getElementById('saveNewTollButton');
+    this.closeButton = document.getElementById('closeTollModal');
+    this.tollForm = document.getElementById('tollForm');
+    this.tollCurrencySymbol = document.getElementById('tollCurrencySymbol');
 
+    this.tollForm.addEventListener('submit', (event) => this.saveAndPostNewToll(event));
     this.closeButton.addEventListener('click', () => this.close());
-    this.inviteForm.addEventListener('submit', (event) => this.handleSubmit(event));
-
-    // input event listeners for email and phone fields
-    this.inviteEmailInput.addEventListener('input', () => this.inviteEmailInput.value = normalizeEmail(this.inviteEmailInput.value));
-    this.inviteEmailInput.addEventListener('input', () => this.validateInputs());
-    this.invitePhoneInput.addEventListener('input', () => this.invitePhoneInput.value = normalizePhone(this.invitePhoneInput.value));
-    this.invitePhoneInput.addEventListener('blur', () => this.invitePhoneInput.value = normalizePhone(this.invitePhoneInput.value, true));
-    this.invitePhoneInput.addEventListener('input', () => this.validateInputs());
-  }
-
-  validateInputs() {
-    const email = this.inviteEmailInput.value.trim();
-    const phone = this.invitePhoneInput.value.trim();
-    if (email || phone) {
-      this.submitButton.disabled = false;
-    } else {
-      this.submitButton.disabled = true;
-    }
+    this.toggleTollCurrencyElement.addEventListener('click', (event) => this.handleToggleTollCurrency(event));
+    this.newTollAmountInputElement.addEventListener('input', () => this.newTollAmountInputElement.value = normalizeUnsignedFloat(this.newTollAmountInputElement.value));
+    this.newTollAmountInputElement.addEventListener('input', () => this.updateSaveButtonState());
   }
 
   open() {
-    // Clear any previous values
-    this.inviteEmailInput.value = '';
-    this.invitePhoneInput.value = '';
-    this.validateInputs(); // Set initial button state
     this.modal.classList.add('active');
+    // set currentTollValue to the toll value in wei
+    const toll = myData.settings.toll || 0n;
+    const tollUnit = myData.settings.tollUnit || 'LIB';
+
+    // Fetch network parameters to get minToll
+    this.minToll = parameters?.current?.minToll || 1n * wei; // Default to 1 LIB if not set
+
+    this.updateTollDisplay(toll, tollUnit);
+
+    this.currentCurrency = tollUnit;
+    this.tollCurrencySymbol.textContent = this.currentCurrency;
+    this.newTollAmountInputElement.value = ''; // Clear input field
+    this.warningMessageElement.textContent = '';
+    this.warningMessageElement.style.display = 'none';
+    this.saveButton.disabled = true;
+
+    // Update min toll display under input
+    const minTollValue = parseFloat(big2str(this.minToll, 18)).toFixed(6); // Show 6 decimal places
+    this.minTollDisplay.textContent = `Minimum toll: ${minTollValue} LIB`;
   }
 
   close() {
     this.modal.classList.remove('active');
   }
 
-  async handleSubmit(event) {
+  /**
+   * Handle the toggle of the toll currency
+   * @param {Event} event - The event object
+   * @returns {void}
+   */
+  async handleToggleTollCurrency(event) {
     event.preventDefault();
 
-    const email = this.inviteEmailInput.value.trim();
-    const phone = this.invitePhoneInput.value.trim();
-
-    if (!email && !phone) {
-      showToast('Please enter either an email or phone number', 3000, 'error');
-      // Ensure button is disabled again if somehow submitted while empty
-      this.submitButton.disabled = true;
-      return;
-    }
-
-    try {
-        const response = await fetch('https://inv.liberdus.com:2053/api/invite', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          user: myAccount.username,
-          email: email || undefined,
-          phone: phone || undefined,
-        }),
-      });
+    this.currentCurrency = this.currentCurrency === 'LIB' ? 'USD' : 'LIB';
+    this.tollCurrencySymbol.textContent = this.currentCurrency;
 
-      const data = await response.json();
+    const scalabilityFactor = parameters.current.stabilityScaleMul / parameters.current.stabilityScaleDiv;
+    if (this.newTollAmountInputElement.value !== '') {
+      const currentValue = parseFloat(this.newTollAmountInputElement.value);
+      const convertedValue =
+        this.currentCurrency === 'USD' ? currentValue * scalabilityFactor : currentValue / scalabilityFactor;
+      this.newTollAmountInputElement.value = convertedValue.toString();
+    }
 
-      if (response.ok) {
-        showToast('Invitation sent successfully!', 3000, 'success');
-        this.close();
-      } else {
-        showToast(data.error || 'Failed to send invitation', 3000, 'error');
-      }
-    } catch (error) {
-      showToast('Failed to send invitation. Please try again.', 3000, 'error');
+    // Update min toll display with converted value
+    if (this.currentCurrency === 'USD') {
+      const minTollUSD = bigxnum2big(this.minToll, scalabilityFactor.toString());
+      this.minTollDisplay.textContent = `Minimum toll: ${parseFloat(big2str(minTollUSD, 18)).toFixed(4)} USD`; // Show 4 decimal places for USD
+    } else {
+      this.minTollDisplay.textContent = `Minimum toll: ${parseFloat(big2str(this.minToll, 18)).toFixed(6)} LIB`; // Show 6 decimal places for LIB
     }
+    this.updateSaveButtonState();
   }
-}
-const inviteModal = new InviteModal();
-
-class AboutModal {
-  constructor() {}
 
-  load() {
-    this.modal = document.getElementById('aboutModal');
-    this.closeButton = document.getElementById('closeAboutModal');
-    this.versionDisplay = document.getElementById('versionDisplayAbout');
-    this.networkName = document.getElementById('networkNameAbout');
-    this.netId = document.getElementById('netIdAbout');
+  /**
+   * Save and post the new toll to the network
+   * @param {Event} event - The event object
+   * @returns {Promise<void>}
+   */
+  async saveAndPostNewToll(event) {
+    event.preventDefault();
+    let newTollValue = parseFloat(this.newTollAmountInputElement.value);
 
-    // Set up event listeners
-    this.closeButton.addEventListener('click', () => this.close());
+    // disable submit button
+    this.saveButton.disabled = true;
 
-    // Set version and network information once during initialization
-    this.versionDisplay.textContent = myVersion + ' ' + version;
-    this.networkName.textContent = network.name;
-    this.netId.textContent = network.netid;
-  }
+    if (isNaN(newTollValue) || newTollValue < 0) {
+      showToast('Invalid toll amount entered.', 0, 'error');
+      return;
+    }
 
-  open() {
-    // Show the modal
-    this.modal.classList.add('active');
-  }
+    const newToll = bigxnum2big(wei, this.newTollAmountInputElement.value);
 
-  close() {
-    this.modal.classList.remove('active');
-  }
-}
-const aboutModal = new AboutModal();
+    // Check if the toll is non-zero but less than minimum
+    if (newToll > 0n) {
+      if (this.currentCurrency === 'LIB' && newToll < this.minToll) {
+        showToast(`Toll must be at least ${parseFloat(big2str(this.minToll, 18)).toFixed(6)} LIB or 0 LIB`, 0, 'error');
+        return;
+      }
+      if (this.currentCurrency === 'USD') {
+        const scalabilityFactor = parameters.current.stabilityScaleMul / parameters.current.stabilityScaleDiv;
+        const newTollLIB = bigxnum2big(newToll, (1 / scalabilityFactor).toString());
+        if (newTollLIB < this.minToll) {
+          const minTollUSD = bigxnum2big(this.minToll, scalabilityFactor.toString());
+          showToast(`Toll must be at least ${parseFloat(big2str(minTollUSD, 18)).toFixed(4)} USD or 0 USD`, 0, 'error');
+          return;
+        }
+      }
+    }
 
-class ContactModal {
-  constructor() {}
+    // Add maximum toll validation
+    if (this.currentCurrency === 'LIB') {
+      if (newTollValue > MAX_TOLL) {
+        showToast(`Toll cannot exceed ${MAX_TOLL} LIB`, 0, 'error');
+        return;
+      }
+    } else {
+      // For USD, convert the max toll to USD for comparison
+      const scalabilityFactor = parameters.current.stabilityScaleMul / parameters.current.stabilityScaleDiv;
+      const maxTollUSD = MAX_TOLL * scalabilityFactor;
+      if (newTollValue > maxTollUSD) {
+        showToast(`Toll cannot exceed ${maxTollUSD.toFixed(2)} USD`, 0, 'error');
+        return;
+      }
+    }
 
-  load() {
-    this.modal = document.getElementById('contactModal');
-    this.closeButton = document.getElementById('closeContactModal');
-    this.submitFeedbackButton = document.getElementById('submitFeedback');
+    // Post the new toll to the network
+    const response = await this.postToll(newToll, this.currentCurrency);
 
-    this.closeButton.addEventListener('click', () => this.close());
-    this.submitFeedbackButton.addEventListener('click', () => {
-      window.open('https://github.com/liberdus/web-client-v2/issues', '_blank');
-    });
-  }
+    if (response && response.result && response.result.success) {
+      this.editMyDataToll(newToll, this.currentCurrency);
+    } else {
+      console.error(`Toll submission failed for txid: ${response.txid}`);
+      return;
+    }
 
-  open() {
-    this.modal.classList.add('active');
-  }
+    this.newTollAmountInputElement.value = '';
 
-  close() {
-    this.modal.classList.remove('active');
+    // Update the display for tollAmountLIB and tollAmountUSD
+    this.updateTollDisplay(newToll, this.currentCurrency);
   }
-}
-const contactModal = new ContactModal();
 
-class MyProfileModal {
-  constructor() {}
+  /**
+   * Update the toll display in the UI
+   * @param {BigInt} toll - The toll value in wei
+   * @param {string} tollUnit - The unit of the toll
+   * @returns {void}
+   */
+  updateTollDisplay(toll, tollUnit) {
+    const scalabilityFactor = parameters.current.stabilityScaleMul / parameters.current.stabilityScaleDiv;
+    let tollValueLib = '';
+    let tollValueUSD = '';
 
-  load() {
-    // called when the DOM is loaded; can setup event handlers here
-    this.modal = document.getElementById('accountModal');
-    this.closeButton = document.getElementById('closeAccountForm');
-    this.name = document.getElementById('name');
-    this.email = document.getElementById('email');
-    this.phone = document.getElementById('phone');
-    this.linkedin = document.getElementById('linkedin');
-    this.x = document.getElementById('x');
-    this.accountForm = document.getElementById('accountForm');
-    this.submitButton = document.querySelector('#accountForm .update-button');
+    if (tollUnit == 'LIB') {
+      tollValueLib = big2str(toll, 18);
+      tollValueUSD = (parseFloat(big2str(toll, 18)) * scalabilityFactor).toString();
+    } else {
+      tollValueUSD = big2str(toll, 18);
+      tollValueLib = (parseFloat(big2str(toll, 18)) / scalabilityFactor).toString();
+    }
 
-    this.closeButton.addEventListener('click', () => this.close());
-    this.accountForm.addEventListener('submit', (event) => this.handleSubmit(event));
-    
+    tollValueLib = parseFloat(tollValueLib).toString();
+    tollValueUSD = parseFloat(tollValueUSD).toString();
 
-    // Add input event listeners for validation
-    this.name.addEventListener('input', (e) => this.handleNameInput(e));
-    this.name.addEventListener('blur', (e) => this.handleNameBlur(e));
-    this.phone.addEventListener('input', (e) => this.handlePhoneInput(e));
-    this.phone.addEventListener('blur', (e) => this.handlePhoneBlur(e));
-    this.email.addEventListener('input', (e) => this.handleEmailInput(e));
-    this.linkedin.addEventListener('input', (e) => this.handleLinkedInInput(e));
-    this.linkedin.addEventListener('blur', (e) => this.handleLinkedInBlur(e));
-    this.x.addEventListener('input', (e) => this.handleXTwitterInput(e));
-    this.x.addEventListener('blur', (e) => this.handleXTwitterBlur(e));
+    document.getElementById('tollAmountLIB').textContent = tollValueLib + ' LIB';
+    document.getElementById('tollAmountUSD').textContent = tollValueUSD + ' USD';
   }
 
-  // Input sanitization and validation methods
-  handleNameInput(e) {
-    // Allow letters, spaces, and basic punctuation
-//    const normalized = e.target.value.replace(/[^a-zA-Z\s\-'.]/g, '');
-    const normalized = normalizeName(e.target.value)
-    e.target.value = normalized;
+  /**
+   * Edit the toll in myData.settings
+   * @param {BigInt} toll - The toll value in wei
+   * @param {string} tollUnit - The unit of the toll
+   * @returns {void}
+   */
+  editMyDataToll(toll, tollUnit) {
+    this.oldToll = myData.settings.toll;
+    myData.settings.toll = toll;
+    myData.settings.tollUnit = tollUnit;
   }
 
-  handleNameBlur(e) {
-    const normalized = normalizeName(e.target.value, true)
-    e.target.value = normalized;
-  }
+  /**
+   * Post the toll to the network
+   * @param {BigInt} toll - The toll value in wei
+   * @param {string} tollUnit - The unit of the toll
+   * @returns {Promise<Object>} - The response from the network
+   */
+  async postToll(toll, tollUnit) {
+    const tollTx = {
+      from: longAddress(myAccount.keys.address),
+      toll: toll,
+      type: 'toll',
+      timestamp: getCorrectedTimestamp(),
+      tollUnit: tollUnit,
+      netid: network.netid,
+    };
 
-  handlePhoneInput(e) {
-    // Allow only numbers, spaces, dashes, and parentheses
-//    const normalized = e.target.value.replace(/[^\d\s\-()]/g, '');
-    const normalized = normalizePhone(e.target.value);
-    e.target.value = normalized;
+    const txid = await signObj(tollTx, myAccount.keys);
+    const response = await injectTx(tollTx, txid);
+    return response;
   }
 
-  handleEmailInput(e) {
-    const normalized = normalizeEmail(e.target.value);
-    e.target.value = normalized;
-  }
+  /**
+   * Gets the warning message based on input validation
+   * @returns {string|null} - The warning message or null if no warning
+   */
+  getWarningMessage() {
+    const value = this.newTollAmountInputElement.value;
 
-  handlePhoneBlur(e) {
-    const normalized = normalizePhone(e.target.value, true);
-    e.target.value = normalized;
-  }
+    // return null if just . or ,
+    if (value.trim() === '.' || value.trim() === ',') {
+      return null;
+    }
 
-  handleLinkedInInput(e) {
-    // Allow letters, numbers, dashes, and underscores
-//    const normalized = e.target.value.replace(/[^a-zA-Z0-9\-_]/g, '');
-    const normalized = normalizeLinkedinUsername(e.target.value);
-    e.target.value = normalized;
+    // check if input is empty or only whitespace
+    if (value.trim() === '') {
+      return 'Please enter a toll amount';
+    }
+
+    const newTollValue = parseFloat(value);
+
+    // Check if it's a valid number
+    if (isNaN(newTollValue) || newTollValue < 0) {
+      return 'Please enter a valid positive number';
+    }
+
+    // Allow zero toll
+    if (newTollValue === 0) {
+      return null;
+    }
+
+    const newToll = bigxnum2big(wei, value);
+
+    // Check minimum toll requirements
+    if (this.currentCurrency === 'LIB') {
+      if (newToll < this.minToll) {
+        return `Toll must be at least ${parseFloat(big2str(this.minToll, 18)).toFixed(6)} LIB or 0 LIB`;
+      }
+    } else {
+      const scalabilityFactor = parameters.current.stabilityScaleMul / parameters.current.stabilityScaleDiv;
+      const newTollLIB = bigxnum2big(newToll, (1 / scalabilityFactor).toString());
+      if (newTollLIB < this.minToll) {
+        const minTollUSD = bigxnum2big(this.minToll, scalabilityFactor.toString());
+        return `Toll must be at least ${parseFloat(big2str(minTollUSD, 18)).toFixed(4)} USD or 0 USD`;
+      }
+    }
+
+    return null;
   }
 
-  handleLinkedInBlur(e) {
-    // Allow letters, numbers, dashes, and underscores
-//    const normalized = e.target.value.replace(/[^a-zA-Z0-9\-_]/g, '');
-    const normalized = normalizeLinkedinUsername(e.target.value, true);
-    e.target.value = normalized;
+  /**
+   * Updates the save button state and warning message based on input validation
+   */
+  updateSaveButtonState() {
+    const warningMessage = this.getWarningMessage();
+    const isValid = !warningMessage;
+
+    // Update save button state
+    this.saveButton.disabled = !isValid;
+
+    // Additional check: disable if the new toll is the same as the current toll
+    if (isValid) {
+      const newTollValue = parseFloat(this.newTollAmountInputElement.value);
+      const newTollBigInt = bigxnum2big(wei, this.newTollAmountInputElement.value);
+      const currentToll = myData.settings.toll;
+      const currentTollUnit = myData.settings.tollUnit;
+
+      if (!isNaN(newTollValue)) {
+        if (currentTollUnit === this.currentCurrency) {
+          if (newTollBigInt === currentToll) {
+            this.saveButton.disabled = true;
+          }
+        } 
+      }
+    }
+
+    // Update warning message
+    if (warningMessage) {
+      this.warningMessageElement.textContent = warningMessage;
+      this.warningMessageElement.style.display = 'block';
+    } else {
+      this.warningMessageElement.textContent = '';
+      this.warningMessageElement.style.display = 'none';
+    }
   }
+}
 
-  handleXTwitterInput(e) {
-    // Allow letters, numbers, and underscores
-//    const normalized = e.target.value.replace(/[^a-zA-Z0-9_]/g, '');
-    const normalized = normalizeXTwitterUsername(e.target.value);
-    e.target.value = normalized;
+const tollModal = new TollModal();
+
+// Invite Modal
+class InviteModal {
+  constructor() {}
+
+  load() {
+    this.modal = document.getElementById('inviteModal');
+    this.inviteEmailInput = document.getElementById('inviteEmail');
+    this.invitePhoneInput = document.getElementById('invitePhone');
+    this.submitButton = document.querySelector('#inviteForm button[type="submit"]');
+    this.closeButton = document.getElementById('closeInviteModal');
+    this.inviteForm = document.getElementById('inviteForm');
+
+    this.closeButton.addEventListener('click', () => this.close());
+    this.inviteForm.addEventListener('submit', (event) => this.handleSubmit(event));
+
+    // input event listeners for email and phone fields
+    this.inviteEmailInput.addEventListener('input', () => this.inviteEmailInput.value = normalizeEmail(this.inviteEmailInput.value));
+    this.inviteEmailInput.addEventListener('input', () => this.validateInputs());
+    this.invitePhoneInput.addEventListener('input', () => this.invitePhoneInput.value = normalizePhone(this.invitePhoneInput.value));
+    this.invitePhoneInput.addEventListener('blur', () => this.invitePhoneInput.value = normalizePhone(this.invitePhoneInput.value, true));
+    this.invitePhoneInput.addEventListener('input', () => this.validateInputs());
   }
 
-  handleXTwitterBlur(e) {
-    // Allow letters, numbers, and underscores
-//    const normalized = e.target.value.replace(/[^a-zA-Z0-9_]/g, '');
-    const normalized = normalizeXTwitterUsername(e.target.value, true);
-    e.target.value = normalized;
+  validateInputs() {
+    const email = this.inviteEmailInput.value.trim();
+    const phone = this.invitePhoneInput.value.trim();
+    if (email || phone) {
+      this.submitButton.disabled = false;
+    } else {
+      this.submitButton.disabled = true;
+    }
   }
 
   open() {
-    // called when the modal needs to be opened
+    // Clear any previous values
+    this.inviteEmailInput.value = '';
+    this.invitePhoneInput.value = '';
+    this.validateInputs(); // Set initial button state
     this.modal.classList.add('active');
-    if (myData && myData.account) {
-      this.name.value = myData.account.name || '';
-      this.email.value = myData.account.email || '';
-      this.phone.value = myData.account.phone || '';
-      this.linkedin.value = myData.account.linkedin || '';
-      this.x.value = myData.account.x || '';
-    }
   }
 
   close() {
-    // called when the modal needs to be closed
     this.modal.classList.remove('active');
   }
 
   async handleSubmit(event) {
     event.preventDefault();
 
-    // Get and sanitize form data
-    const formData = {
-      name: this.name.value.trim(),
-      email: this.email.value.trim(),
-      phone: this.phone.value.trim(),
-      linkedin: this.linkedin.value.trim(),
-      x: this.x.value.trim(),
-    };
+    const email = this.inviteEmailInput.value.trim();
+    const phone = this.invitePhoneInput.value.trim();
 
-    // Save to myData.account
-    myData.account = { ...myData.account, ...formData };
+    if (!email && !phone) {
+      showToast('Please enter either an email or phone number', 3000, 'error');
+      // Ensure button is disabled again if somehow submitted while empty
+      this.submitButton.disabled = true;
+      return;
+    }
 
-    showToast('Profile updated successfully', 2000, 'success');
-    // disable the close button and submit button
-    this.closeButton.disabled = true;
-    this.submitButton.disabled = true;
+    try {
+        const response = await fetch('https://inv.liberdus.com:2053/api/invite', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          user: myAccount.username,
+          email: email || undefined,
+          phone: phone || undefined,
+        }),
+      });
 
-    // Hide success message after 2 seconds
-    setTimeout(() => {
-      this.close();
-      // enable the close button and submit button
-      this.closeButton.disabled = false;
-      this.submitButton.disabled = false;
-    }, 2000);
+      const data = await response.json();
+
+      if (response.ok) {
+        showToast('Invitation sent successfully!', 3000, 'success');
+        this.close();
+      } else {
+        showToast(data.error || 'Failed to send invitation', 3000, 'error');
+      }
+    } catch (error) {
+      showToast('Failed to send invitation. Please try again.', 3000, 'error');
+    }
   }
 }
-const myProfileModal = new MyProfileModal();
+const inviteModal = new InviteModal();
 
-class ValidatorStakingModal {
+class AboutModal {
   constructor() {}
 
   load() {
-    // Modal and main buttons
-    this.modal = document.getElementById('validatorModal');
-    this.stakeButton = document.getElementById('openStakeModal');
-    this.unstakeButton = document.getElementById('submitUnstake');
-    this.backButton = document.getElementById('closeValidatorModal');
+    this.modal = document.getElementById('aboutModal');
+    this.closeButton = document.getElementById('closeAboutModal');
+    this.versionDisplay = document.getElementById('versionDisplayAbout');
+    this.networkName = document.getElementById('networkNameAbout');
+    this.netId = document.getElementById('netIdAbout');
 
-    // UI state elements
-    this.detailsElement = document.getElementById('validator-details');
-    this.loadingElement = document.getElementById('validator-loading');
-    this.errorElement = document.getElementById('validator-error-message');
+    // Set up event listeners
+    this.closeButton.addEventListener('click', () => this.close());
 
-    // Display elements
-    this.totalStakeElement = document.getElementById('validator-total-stake');
-    this.totalStakeUsdElement = document.getElementById('validator-total-stake-usd');
-    this.userStakeLibElement = document.getElementById('validator-user-stake-lib');
-    this.userStakeUsdElement = document.getElementById('validator-user-stake-usd');
-    this.nomineeLabelElement = document.getElementById('validator-nominee-label');
-    this.nomineeValueElement = document.getElementById('validator-nominee');
+    // Set version and network information once during initialization
+    this.versionDisplay.textContent = myVersion + ' ' + version;
+    this.networkName.textContent = network.name;
+    this.netId.textContent = network.netid;
+  }
 
-    // Skeleton bar elements
-    this.pendingSkeletonBar = document.getElementById('pending-nominee-skeleton-1');
-    this.pendingTxTextInBar = document.getElementById('pending-tx-text-in-bar');
+  open() {
+    // Show the modal
+    this.modal.classList.add('active');
+  }
 
-    // Network info elements
-    this.networkStakeUsdValue = document.getElementById('validator-network-stake-usd');
-    this.networkStakeLibValue = document.getElementById('validator-network-stake-lib');
-    this.stabilityFactorValue = document.getElementById('validator-stability-factor');
-    this.marketPriceValue = document.getElementById('validator-market-price');
-    this.marketStakeUsdValue = document.getElementById('validator-market-stake-usd');
-    this.stakeForm = document.getElementById('stakeForm');
+  close() {
+    this.modal.classList.remove('active');
+  }
+}
+const aboutModal = new AboutModal();
 
+class ContactModal {
+  constructor() {}
 
-    this.unstakeButton.addEventListener('click', () => this.handleUnstake());
-    this.backButton.addEventListener('click', () => this.close());
+  load() {
+    this.modal = document.getElementById('contactModal');
+    this.closeButton = document.getElementById('closeContactModal');
+    this.submitFeedbackButton = document.getElementById('submitFeedback');
+
+    this.closeButton.addEventListener('click', () => this.close());
+    this.submitFeedbackButton.addEventListener('click', () => {
+      window.open('https://github.com/liberdus/web-client-v2/issues', '_blank');
+    });
   }
 
-  async open() {
-    // Reset UI state
-    this.loadingElement.style.display = 'block';
-    this.detailsElement.style.display = 'none';
-    this.errorElement.style.display = 'none';
-    this.errorElement.textContent = '';
+  open() {
+    this.modal.classList.add('active');
+  }
+
+  close() {
+    this.modal.classList.remove('active');
+  }
+}
+const contactModal = new ContactModal();
+
+class MyProfileModal {
+  constructor() {}
+
+  load() {
+    // called when the DOM is loaded; can setup event handlers here
+    this.modal = document.getElementById('accountModal');
+    this.closeButton = document.getElementById('closeAccountForm');
+    this.name = document.getElementById('name');
+    this.email = document.getElementById('email');
+    this.phone = document.getElementById('phone');
+    this.linkedin = document.getElementById('linkedin');
+    this.x = document.getElementById('x');
+    this.accountForm = document.getElementById('accountForm');
+    this.submitButton = document.querySelector('#accountForm .update-button');
+
+    this.closeButton.addEventListener('click', () => this.close());
+    this.accountForm.addEventListener('submit', (event) => this.handleSubmit(event));
+    
+
+    // Add input event listeners for validation
+    this.name.addEventListener('input', (e) => this.handleNameInput(e));
+    this.name.addEventListener('blur', (e) => this.handleNameBlur(e));
+    this.phone.addEventListener('input', (e) => this.handlePhoneInput(e));
+    this.phone.addEventListener('blur', (e) => this.handlePhoneBlur(e));
+    this.email.addEventListener('input', (e) => this.handleEmailInput(e));
+    this.linkedin.addEventListener('input', (e) => this.handleLinkedInInput(e));
+    this.linkedin.addEventListener('blur', (e) => this.handleLinkedInBlur(e));
+    this.x.addEventListener('input', (e) => this.handleXTwitterInput(e));
+    this.x.addEventListener('blur', (e) => this.handleXTwitterBlur(e));
+  }
+
+  // Input sanitization and validation methods
+  handleNameInput(e) {
+    // Allow letters, spaces, and basic punctuation
+//    const normalized = e.target.value.replace(/[^a-zA-Z\s\-'.]/g, '');
+    const normalized = normalizeName(e.target.value)
+    e.target.value = normalized;
+  }
+
+  handleNameBlur(e) {
+    const normalized = normalizeName(e.target.value, true)
+    e.target.value = normalized;
+  }
+
+  handlePhoneInput(e) {
+    // Allow only numbers, spaces, dashes, and parentheses
+//    const normalized = e.target.value.replace(/[^\d\s\-()]/g, '');
+    const normalized = normalizePhone(e.target.value);
+    e.target.value = normalized;
+  }
+
+  handleEmailInput(e) {
+    const normalized = normalizeEmail(e.target.value);
+    e.target.value = normalized;
+  }
+
+  handlePhoneBlur(e) {
+    const normalized = normalizePhone(e.target.value, true);
+    e.target.value = normalized;
+  }
+
+  handleLinkedInInput(e) {
+    // Allow letters, numbers, dashes, and underscores
+//    const normalized = e.target.value.replace(/[^a-zA-Z0-9\-_]/g, '');
+    const normalized = normalizeLinkedinUsername(e.target.value);
+    e.target.value = normalized;
+  }
+
+  handleLinkedInBlur(e) {
+    // Allow letters, numbers, dashes, and underscores
+//    const normalized = e.target.value.replace(/[^a-zA-Z0-9\-_]/g, '');
+    const normalized = normalizeLinkedinUsername(e.target.value, true);
+    e.target.value = normalized;
+  }
+
+  handleXTwitterInput(e) {
+    // Allow letters, numbers, and underscores
+//    const normalized = e.target.value.replace(/[^a-zA-Z0-9_]/g, '');
+    const normalized = normalizeXTwitterUsername(e.target.value);
+    e.target.value = normalized;
+  }
+
+  handleXTwitterBlur(e) {
+    // Allow letters, numbers, and underscores
+//    const normalized = e.target.value.replace(/[^a-zA-Z0-9_]/g, '');
+    const normalized = normalizeXTwitterUsername(e.target.value, true);
+    e.target.value = normalized;
+  }
+
+  open() {
+    // called when the modal needs to be opened
+    this.modal.classList.add('active');
+    if (myData && myData.account) {
+      this.name.value = myData.account.name || '';
+      this.email.value = myData.account.email || '';
+      this.phone.value = myData.account.phone || '';
+      this.linkedin.value = myData.account.linkedin || '';
+      this.x.value = myData.account.x || '';
+    }
+  }
+
+  close() {
+    // called when the modal needs to be closed
+    this.modal.classList.remove('active');
+  }
+
+  async handleSubmit(event) {
+    event.preventDefault();
+
+    // Get and sanitize form data
+    const formData = {
+      name: this.name.value.trim(),
+      email: this.email.value.trim(),
+      phone: this.phone.value.trim(),
+      linkedin: this.linkedin.value.trim(),
+      x: this.x.value.trim(),
+    };
+
+    // Save to myData.account
+    myData.account = { ...myData.account, ...formData };
+
+    showToast('Profile updated successfully', 2000, 'success');
+    // disable the close button and submit button
+    this.closeButton.disabled = true;
+    this.submitButton.disabled = true;
+
+    // Hide success message after 2 seconds
+    setTimeout(() => {
+      this.close();
+      // enable the close button and submit button
+      this.closeButton.disabled = false;
+      this.submitButton.disabled = false;
+    }, 2000);
+  }
+}
+const myProfileModal = new MyProfileModal();
+
+class ValidatorStakingModal {
+  constructor() {}
+
+  load() {
+    // Modal and main buttons
+    this.modal = document.getElementById('validatorModal');
+    this.stakeButton = document.getElementById('openStakeModal');
+    this.unstakeButton = document.getElementById('submitUnstake');
+    this.backButton = document.getElementById('closeValidatorModal');
+
+    // UI state elements
+    this.detailsElement = document.getElementById('validator-details');
+    this.loadingElement = document.getElementById('validator-loading');
+    this.errorElement = document.getElementById('validator-error-message');
+
+    // Display elements
+    this.totalStakeElement = document.getElementById('validator-total-stake');
+    this.totalStakeUsdElement = document.getElementById('validator-total-stake-usd');
+    this.userStakeLibElement = document.getElementById('validator-user-stake-lib');
+    this.userStakeUsdElement = document.getElementById('validator-user-stake-usd');
+    this.nomineeLabelElement = document.getElementById('validator-nominee-label');
+    this.nomineeValueElement = document.getElementById('validator-nominee');
+
+    // Skeleton bar elements
+    this.pendingSkeletonBar = document.getElementById('pending-nominee-skeleton-1');
+    this.pendingTxTextInBar = document.getElementById('pending-tx-text-in-bar');
+
+    // Network info elements
+    this.networkStakeUsdValue = document.getElementById('validator-network-stake-usd');
+    this.networkStakeLibValue = document.getElementById('validator-network-stake-lib');
+    this.stabilityFactorValue = document.getElementById('validator-stability-factor');
+    this.marketPriceValue = document.getElementById('validator-market-price');
+    this.marketStakeUsdValue = document.getElementById('validator-market-stake-usd');
+    this.stakeForm = document.getElementById('stakeForm');
+
+
+    this.unstakeButton.addEventListener('click', () => this.handleUnstake());
+    this.backButton.addEventListener('click', () => this.close());
+  }
+
+  async open() {
+    // Reset UI state
+    this.loadingElement.style.display = 'block';
+    this.detailsElement.style.display = 'none';
+    this.errorElement.style.display = 'none';
+    this.errorElement.textContent = '';
 
     // Reset conditional elements to default state
     this.nomineeLabelElement.textContent = 'Nominated Validator:';
@@ -5768,6 +8609,7 @@ class ValidatorStakingModal {
           timestamp: getCorrectedTimestamp(),
           txid: response.txid,
         });
+        markHistoryChanged(myData, myData.wallet.history[0]);
 
         this.close();
         this.open();
@@ -5955,6 +8797,7 @@ class StakeValidatorModal {
           timestamp: getCorrectedTimestamp(),
           txid: response.txid,
         });
+        markHistoryChanged(myData, myData.wallet.history[0]);
 
         showToast('Submitted stake transaction...', 3000, 'loading');
 
@@ -6145,6 +8988,14 @@ class ChatModal {
     this.messageByteCounter = document.querySelector('.message-byte-counter');
     this.messagesContainer = document.querySelector('.messages-container');
     this.addFriendButtonChat = document.getElementById('addFriendButtonChat');
+    this.attachButton = document.getElementById('chatAttachButton');
+    this.attachmentInput = document.getElementById('chatAttachmentInput');
+    this.messageMenu = document.getElementById('messageContextMenu');
+    this.replyPreview = document.getElementById('replyPreview');
+    this.replyPreviewName = this.replyPreview.querySelector('.reply-preview-name');
+    this.replyPreviewText = this.replyPreview.querySelector('.reply-preview-text');
+    this.cancelReplyButton = document.getElementById('cancelReplyButton');
+    this.keyChangeWarning = document.getElementById('chatKeyChangeWarning');
 
     // Add message click-to-copy handler
     this.messagesList.addEventListener('click', this.handleClickToCopy.bind(this));
@@ -6194,6 +9045,81 @@ class ChatModal {
       if (!friendModal.getCurrentContactAddress()) return;
       friendModal.open();
     });
+
+    this.attachButton.addEventListener('click', () => {
+      this.attachmentInput.click();
+    });
+    this.attachmentInput.addEventListener('change', this.handleSendAttachment.bind(this));
+
+    // Message actions menu; opened with right click or a long press on a message
+    this.messagesList.addEventListener('contextmenu', (e) => {
+      const messageEl = e.target.closest('.message');
+      if (!messageEl) return;
+      e.preventDefault();
+      this.openMessageMenu(messageEl, e.clientX, e.clientY);
+    });
+    this.messagesList.addEventListener('touchstart', this.handleMessageTouchStart.bind(this), { passive: true });
+    ['touchend', 'touchmove', 'touchcancel'].forEach((eventName) => {
+      this.messagesList.addEventListener(eventName, () => clearTimeout(this.longPressTimer), { passive: true });
+    });
+    this.messageMenu.addEventListener('click', this.handleMessageMenuAction.bind(this));
+    document.addEventListener('click', (e) => {
+      if (this.messageMenu.classList.contains('active') && !this.messageMenu.contains(e.target)) {
+        this.closeMessageMenu();
+      }
+    });
+
+    this.cancelReplyButton.addEventListener('click', this.cancelReplyOrEdit.bind(this));
+
+    this.keyChangeWarning.addEventListener('click', () => this.handleKeyChangeWarningClick());
+  }
+
+  /**
+   * Shows the warning above the messages if the keys of a verified contact changed
+   * @returns {void}
+   */
+  updateKeyChangeWarning() {
+    const contact = myData.contacts[this.address];
+    if (contact?.keyChange) {
+      this.keyChangeWarning.textContent =
+        '⚠️ The keys of this contact changed. Sending is paused until you accept the new keys. Tap to review.';
+    } else {
+      this.keyChangeWarning.textContent =
+        '⚠️ The keys of this contact have changed since you verified them. Tap to verify them again.';
+    }
+    this.keyChangeWarning.classList.toggle('active', Boolean(contact?.keyChange) || hasContactKeyChanged(contact));
+  }
+
+  /**
+   * Asks the user to accept a pending key change of the contact so messages can be sent again
+   * @returns {void}
+   */
+  handleKeyChangeWarningClick() {
+    const contact = myData.contacts[this.address];
+    if (!contact?.keyChange) {
+      verifyContactModal.open(this.address);
+      return;
+    }
+    const accepted = confirm(
+      `The security keys of ${getContactDisplayName(contact)} changed. This happens if they created a new account ` +
+        'key, but it can also mean someone is trying to read your messages. Accept the new keys and continue sending?'
+    );
+    if (!accepted) return;
+    acceptContactKeyChange(contact);
+    saveState();
+    this.appendChatModal();
+    this.updateKeyChangeWarning();
+  }
+
+  /**
+   * Checks if sending to a contact is paused because its keys changed and the user has not accepted the change yet
+   * @param {Object} contact - The contact
+   * @returns {boolean} True if sending is blocked; a toast tells the user why
+   */
+  isKeyChangePending(contact) {
+    if (!contact?.keyChange) return false;
+    showToast('The keys of this contact changed. Accept the new keys before sending.', 0, 'error');
+    return true;
   }
 
   /**
@@ -6225,6 +9151,10 @@ class ChatModal {
     // clear hidden txid input
     this.retryOfTxId.value = '';
 
+    // clear any reply or edit started in another chat
+    this.cancelReplyOrEdit();
+    this.closeMessageMenu();
+
     updateTollAmountUI(address);
 
     // Add data attributes to store the username and address
@@ -6271,6 +9201,7 @@ class ChatModal {
     if (contact.unread > 0) {
       myData.state.unread = Math.max(0, (myData.state.unread || 0) - contact.unread);
       contact.unread = 0;
+      markContactChanged(myData, address);
       chatsScreen.updateChatList();
     }
 
@@ -6278,6 +9209,14 @@ class ChatModal {
     this.address = address;
     this.appendChatModal(false); // Call appendChatModal to render messages, ensure highlight=false
 
+    // check the keys of the contact in the background so a key change is noticed
+    this.updateKeyChangeWarning();
+    getVerifiedPublicKeys(address, true).then(() => {
+      if (this.address === address) {
+        this.updateKeyChangeWarning();
+      }
+    });
+
     if (isOnline) {
       if (wsManager && !wsManager.isSubscribed()) {
         pollChatInterval(pollIntervalChatting); // poll for messages at a faster rate
@@ -6344,8 +9283,8 @@ class ChatModal {
 
     // Find the last relevant message
     const lastChatMessage = contact.messages.find((message) => {
-      // Skip payment-only messages
-      if (message.amount) {
+      // Skip payment-only messages and timeline events
+      if (message.amount || message.event) {
         return false;
       }
 
@@ -6454,6 +9393,7 @@ class ChatModal {
       console.warn('read transaction failed to send', response);
     } else {
       contact.timestamp = readTransaction.timestamp;
+      markContactChanged(myData, contactAddress);
     }
   }
 
@@ -6490,6 +9430,12 @@ class ChatModal {
       return;
     }
 
+    // don't send until the user accepted a change of the contact's keys
+    if (this.isKeyChangePending(myData.contacts[this.address])) {
+      this.sendButton.disabled = false;
+      return;
+    }
+
     try {
       this.messageInput.focus(); // Add focus back to keep keyboard open
 
@@ -6499,6 +9445,12 @@ class ChatModal {
         return;
       }
 
+      // while editing, sending replaces the text of the earlier message instead of sending a new one
+      if (this.editTxid) {
+        await this.sendEdit(message);
+        return;
+      }
+
       const amount = this.tollRequiredToSend ? this.toll : 0n;
       const sufficientBalance = await validateBalance(amount);
       if (!sufficientBalance) {
@@ -6531,62 +9483,16 @@ class ChatModal {
         return;
       }
 
-      ///yyy
-      // Get recipient's public key from contacts
-      let recipientPubKey = myData.contacts[currentAddress]?.public;
-      let pqRecPubKey = myData.contacts[currentAddress]?.pqPublic;
-      if (!recipientPubKey || !pqRecPubKey) {
-        const recipientInfo = await queryNetwork(`/account/${longAddress(currentAddress)}`);
-        if (!recipientInfo?.account?.publicKey) {
-          console.log(`no public key found for recipient ${currentAddress}`);
-          return;
-        }
-        recipientPubKey = recipientInfo.account.publicKey;
-        myData.contacts[currentAddress].public = recipientPubKey;
-        pqRecPubKey = recipientInfo.account.pqPublicKey;
-        myData.contacts[currentAddress].pqPublic = pqRecPubKey;
+      // Get recipient's public keys from contacts or the network
+      const recipientKeys = await getVerifiedPublicKeys(currentAddress);
+      if (!recipientKeys) {
+        return;
       }
 
-      // Generate shared secret using ECDH and take first 32 bytes
-      let dhkey = ecSharedKey(keys.secret, recipientPubKey);
-      const { cipherText, sharedSecret } = pqSharedKey(pqRecPubKey);
-      const combined = new Uint8Array(dhkey.length + sharedSecret.length);
-      combined.set(dhkey);
-      combined.set(sharedSecret, dhkey.length);
-      dhkey = deriveDhKey(combined);
-
-      // We purposely do not encrypt/decrypt using browser native crypto functions; all crypto functions must be readable
-      // Encrypt message using shared secret
-      const encMessage = encryptChacha(dhkey, message);
-
-      // Create message payload
-      const payload = {
-        message: encMessage,
-        encrypted: true,
-        encryptionMethod: 'xchacha20poly1305',
-        pqEncSharedKey: bin2base64(cipherText),
-        sent_timestamp: getCorrectedTimestamp(),
-      };
-
-      // Always include username, but only include other info if recipient is a friend
+      // Encrypt the message; senderInfo always includes username, other info only if recipient is a friend
       const contact = myData.contacts[currentAddress];
-      // Create basic sender info with just username
-      const senderInfo = {
-        username: myAccount.username,
-      };
-
-      // Add additional info only if recipient is a friend
-      if (contact && contact?.friend && contact?.friend >= 3) {
-        // Add more personal details for friends
-        senderInfo.name = myData.account.name;
-        senderInfo.email = myData.account.email;
-        senderInfo.phone = myData.account.phone;
-        senderInfo.linkedin = myData.account.linkedin;
-        senderInfo.x = myData.account.x;
-      }
-
-      // Always encrypt and send senderInfo (which will contain at least the username)
-      payload.senderInfo = encryptChacha(dhkey, stringify(senderInfo));
+      const replyTo = this.replyTo;
+      const payload = await this.createMessagePayload(keys, contact, message, replyTo ? { replyTo } : {});
 
       // can create a function to query the account and get the receivers toll they've set
       // TODO: will need to query network and receiver account where we validate
@@ -6616,7 +9522,14 @@ class ChatModal {
         txid: txid,
         status: 'sent',
       };
+      if (replyTo) {
+        newMessage.replyTo = replyTo;
+      }
+      if (contact.expiry) {
+        newMessage.expires = payload.sent_timestamp + contact.expiry;
+      }
       insertSorted(chatsData.contacts[currentAddress].messages, newMessage, 'timestamp');
+      markMessageChanged(chatsData, currentAddress, newMessage);
 
       // Update or add to chats list, maintaining chronological order
       const chatUpdate = {
@@ -6643,6 +9556,8 @@ class ChatModal {
       // Call debounced save directly with empty string
       this.debouncedSaveDraft('');
       contact.draft = '';
+      markContactChanged(chatsData, currentAddress);
+      this.cancelReplyOrEdit();
 
       // Update the chat modal UI immediately
       this.appendChatModal(); // This should now display the 'sending' message
@@ -6682,6 +9597,9 @@ class ChatModal {
         /* if (myData && myData.pending) {
                     myData.pending = myData.pending.filter(pTx => pTx.txid !== txid);
                 } */
+      } else if (response.queued) {
+        // offline; the message waits in the outbox and is shown as queued
+        this.appendChatModal();
       } else {
         // Message sent successfully (or at least accepted by gateway)
         // The optimistic UI update for 'sent' status is already handled before injectTx.
@@ -6695,6 +9613,268 @@ class ChatModal {
     }
   }
 
+  /**
+   * Invoked when the user picks a file with the attach button in the chat modal
+   * The file is encrypted with a random file key and the base64 ciphertext is split into chunks that pass
+   * validateMessageSize; each chunk is sent as a normal chat message with the file key and chunk position
+   * in the encrypted attachment field so the recipient can reassemble it in processChats
+   * @param {Event} e - The change event of the file input
+   * @returns {Promise<void>}
+   */
+  async handleSendAttachment(e) {
+    const file = e.target.files[0];
+    // clear the input so the same file can be picked again
+    e.target.value = '';
+    const currentAddress = this.address;
+    if (!file || !currentAddress) return;
+
+    // if user is blocked, don't send the attachment, show toast
+    if (myData.contacts[currentAddress].tollRequiredToSend == 2) {
+      showToast('You are blocked by this user', 0, 'error');
+      return;
+    }
+    if (this.isKeyChangePending(myData.contacts[currentAddress])) {
+      return;
+    }
+
+    this.sendButton.disabled = true;
+    this.attachButton.disabled = true;
+    try {
+      const attachmentFile = await this.readAttachmentFile(file);
+      if (!attachmentFile) {
+        showToast(`File is too large. Attachments are limited to ${formatFileSize(MAX_ATTACHMENT_BYTES)}`, 0, 'error');
+        return;
+      }
+
+      const keys = myAccount.keys;
+      const recipientKeys = await getVerifiedPublicKeys(currentAddress);
+      if (!recipientKeys) {
+        showToast('Could not get the public key of the recipient', 0, 'error');
+        return;
+      }
+      const contact = myData.contacts[currentAddress];
+
+      // encrypt the whole file with its own key and split the ciphertext into message sized chunks
+      const fileKey = generateRandomBytes(32);
+      const encFile = encryptChacha(fileKey, attachmentFile.bytes);
+      const chunks = [];
+      for (let i = 0; i < encFile.length; i += MAX_CHAT_MESSAGE_BYTES) {
+        chunks.push(encFile.slice(i, i + MAX_CHAT_MESSAGE_BYTES));
+      }
+      if (!chunks.every((chunk) => this.validateMessageSize(chunk).isValid)) {
+        showToast('Failed to split attachment into messages', 0, 'error');
+        return;
+      }
+
+      // every chunk is a message and pays the toll
+      const tollInLib = contact.tollRequiredToSend == 0 ? 0n : this.toll;
+      const sufficientBalance = await validateBalance(tollInLib * BigInt(chunks.length));
+      if (!sufficientBalance) {
+        showToast('Insufficient balance for toll and fee', 0, 'error');
+        return;
+      }
+
+      const attachment = {
+        id: bin2hex(generateRandomBytes(16)),
+        name: attachmentFile.name,
+        type: attachmentFile.type,
+        size: attachmentFile.bytes.length,
+        key: bin2hex(fileKey),
+        count: chunks.length,
+      };
+      // all chunks use the same sent_timestamp so they show up as a single message
+      const sentTimestamp = getCorrectedTimestamp();
+      const createChunkTx = async (index) => {
+        const payload = await this.createMessagePayload(keys, contact, chunks[index], { attachment: { ...attachment, index } });
+        payload.sent_timestamp = sentTimestamp;
+        const tx = await this.createChatMessage(currentAddress, payload, tollInLib, keys);
+        const txid = await signObj(tx, keys);
+        return { tx, txid };
+      };
+
+      // if this is a retry of a failed attachment remove the failed one first
+      const retryTxId = this.retryOfTxId.value;
+      if (retryTxId) {
+        removeFailedTx(retryTxId, currentAddress);
+        this.retryOfTxId.value = '';
+      }
+
+      // --- Optimistic UI Update ---
+      const firstChunk = await createChunkTx(0);
+      const newMessage = {
+        message: '',
+        attachment: {
+          id: attachment.id,
+          name: attachment.name,
+          type: attachment.type,
+          size: attachment.size,
+          data: bin2base64(attachmentFile.bytes),
+          txids: [firstChunk.txid],
+        },
+        timestamp: sentTimestamp,
+        sent_timestamp: sentTimestamp,
+        my: true,
+        txid: firstChunk.txid,
+        status: 'sent',
+      };
+      if (contact.expiry) {
+        newMessage.expires = sentTimestamp + contact.expiry;
+      }
+      insertSorted(contact.messages, newMessage, 'timestamp');
+      markMessageChanged(myData, currentAddress, newMessage);
+
+      const existingChatIndex = myData.chats.findIndex((chat) => chat.address === currentAddress);
+      if (existingChatIndex !== -1) {
+        myData.chats.splice(existingChatIndex, 1);
+      }
+      insertSorted(myData.chats, { address: currentAddress, timestamp: sentTimestamp, txid: firstChunk.txid }, 'timestamp');
+      this.appendChatModal();
+      // --- End Optimistic UI Update ---
+
+      // send the chunks in order; stop at the first one that fails
+      showToast(`Sending ${attachment.name}`, 3000, 'info');
+      for (let index = 0; index < chunks.length; index++) {
+        const { tx, txid } = index === 0 ? firstChunk : await createChunkTx(index);
+        if (index > 0) {
+          newMessage.attachment.txids.push(txid);
+          markMessageChanged(myData, currentAddress, newMessage);
+        }
+        const response = await injectTx(tx, txid);
+        if (!response || !response.result || !response.result.success) {
+          console.log('attachment chunk failed to send', response);
+          updateTransactionStatus(txid, currentAddress, 'failed', 'message');
+          if (this.address === currentAddress) {
+            this.appendChatModal();
+          }
+          break;
+        }
+      }
+    } catch (error) {
+      console.error('Attachment error:', error);
+      showToast('Failed to send attachment. Please try again.', 0, 'error');
+    } finally {
+      this.sendButton.disabled = false;
+      this.attachButton.disabled = false;
+    }
+  }
+
+  /**
+   * Reads a file picked for an attachment; images that are too large are scaled down and sent as jpeg
+   * @param {File} file - The file picked by the user
+   * @returns {Promise<Object|null>} An object with name, type and bytes, or null if the file is too large
+   */
+  async readAttachmentFile(file) {
+    const attachmentFile = {
+      name: file.name,
+      type: file.type || 'application/octet-stream',
+      bytes: new Uint8Array(await file.arrayBuffer()),
+    };
+    if (attachmentFile.bytes.length <= MAX_ATTACHMENT_BYTES) {
+      return attachmentFile;
+    }
+    if (!ATTACHMENT_IMAGE_TYPES.includes(attachmentFile.type)) {
+      return null;
+    }
+
+    // keep scaling the image down until it fits
+    const image = await createImageBitmap(file);
+    const canvas = document.createElement('canvas');
+    for (const maxDimension of [1024, 768, 512, 384, 256]) {
+      const scale = Math.min(1, maxDimension / Math.max(image.width, image.height));
+      canvas.width = Math.round(image.width * scale);
+      canvas.height = Math.round(image.height * scale);
+      canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+      const blob = await new Promise((resolve) => canvas.toBlob(resolve, 'image/jpeg', 0.7));
+      if (blob && blob.size <= MAX_ATTACHMENT_BYTES) {
+        return {
+          name: file.name.replace(/\.[^.]*$/, '') + '.jpg',
+          type: 'image/jpeg',
+          bytes: new Uint8Array(await blob.arrayBuffer()),
+        };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Encrypts a message for the recipient and creates the payload that goes into the xmessage field of the tx
+   * @param {Object} keys - The keys of the sender
+   * @param {Object} contact - The recipient contact; must already have the public and pqPublic keys
+   * @param {string} message - The message text
+   * @param {Object} [fields] - Extra payload fields that are encrypted with the same key, e.g. attachment
+   * @returns {Promise<Object>} The message payload; also includes the contact's disappearing message timer
+   */
+  async createMessagePayload(keys, contact, message, fields = {}) {
+    let dhkey;
+    let pqEncSharedKey;
+    let ratchetHeader = null;
+    // use the forward secrecy session with this contact; without an answer from the leader tab the static keys are used
+    const sent = contact.ratchetCapable ? await tabCoordinator.ratchetSend(contact.address) : null;
+    if (sent) {
+      dhkey = sent.messageKey;
+      pqEncSharedKey = sent.pqEncSharedKey;
+      ratchetHeader = sent.header;
+    } else {
+      // Generate shared secret using ECDH and take first 32 bytes
+      dhkey = ecSharedKey(keys.secret, contact.public);
+      const { cipherText, sharedSecret } = pqSharedKey(contact.pqPublic);
+      const combined = new Uint8Array(dhkey.length + sharedSecret.length);
+      combined.set(dhkey);
+      combined.set(sharedSecret, dhkey.length);
+      dhkey = deriveDhKey(combined);
+      pqEncSharedKey = bin2base64(cipherText);
+      // let the contact know we support sessions so their next message can start one, or use the one we have
+      fields = { ...fields, ratchetVersion: RATCHET_VERSION };
+    }
+
+    // We purposely do not encrypt/decrypt using browser native crypto functions; all crypto functions must be readable
+    // Encrypt message using shared secret
+    const encMessage = encryptChacha(dhkey, message);
+
+    // Create message payload
+    const payload = {
+      message: encMessage,
+      encrypted: true,
+      encryptionMethod: 'xchacha20poly1305',
+      pqEncSharedKey,
+      sent_timestamp: getCorrectedTimestamp(),
+    };
+    if (ratchetHeader) {
+      payload.ratchet = ratchetHeader;
+    }
+
+    // Create basic sender info with just username
+    const senderInfo = {
+      username: myAccount.username,
+    };
+
+    // Add additional info only if recipient is a friend
+    if (contact && contact?.friend && contact?.friend >= 3) {
+      // Add more personal details for friends
+      senderInfo.name = myData.account.name;
+      senderInfo.email = myData.account.email;
+      senderInfo.phone = myData.account.phone;
+      senderInfo.linkedin = myData.account.linkedin;
+      senderInfo.x = myData.account.x;
+    }
+
+    // Always encrypt and send senderInfo (which will contain at least the username)
+    payload.senderInfo = encryptChacha(dhkey, stringify(senderInfo));
+
+    // every pairwise message carries our disappearing message timer and when it was set, so both sides keep the one
+    // set last; group messages are left out since the timer belongs to the chat with this contact
+    const payloadFields = fields.group
+      ? fields
+      : { expiry: contact.expiry || 0, expiryTimestamp: contact.expiryTimestamp || 0, ...fields };
+
+    // decryptMessage in crypto.js decrypts these fields back into objects
+    for (const [field, value] of Object.entries(payloadFields)) {
+      payload[field] = encryptChacha(dhkey, stringify(value));
+    }
+
+    return payload;
+  }
+
   /**
    * Create a chat message object
    * @param {string} to - The address of the recipient
@@ -6747,10 +9927,10 @@ class ChatModal {
 
     // --- 1. Identify the actual newest received message data item ---
     // Since messages are sorted descending (newest first), the first item with my: false is the newest received.
-    const newestReceivedItem = messages.find((item) => !item.my);
+    const newestReceivedItem = messages.find((item) => !item.my && !item.event);
     console.log('appendChatModal: Identified newestReceivedItem data:', newestReceivedItem);
     this.newestReceivedMessage = newestReceivedItem;
-    this.newestSentMessage = messages.find((item) => item.my);
+    this.newestSentMessage = messages.find((item) => item.my && !item.event);
 
     // 2. Clear the entire list
     this.messagesList.innerHTML = '';
@@ -6766,9 +9946,17 @@ class ChatModal {
       // Add txid attribute if available
       const txidAttribute = item?.txid ? `data-txid="${item.txid}"` : '';
       const statusAttribute = item?.status ? `data-status="${item.status}"` : '';
+      // Disappearing messages show how long they have left; purgeExpiredMessages keeps the countdown up to date
+      const expiryHTML = item.expires
+        ? ` <span class="message-expiry" data-expires="${item.expires}">⏱ ${formatTimeRemaining(item.expires - getCorrectedTimestamp())}</span>`
+        : '';
 
-      // Check if it's a payment based on the presence of the amount property (BigInt)
-      if (typeof item.amount === 'bigint') {
+      if (item.event) {
+        // --- Render Chat Event ---
+        const eventText = `${item.my ? 'You' : escapeHtml(getContactDisplayName(contact))}: ${getMessagePreviewText(item)}`;
+        messageHTML = `<div class="chat-event" ${timestampAttribute}>${eventText} · ${timeString}</div>`;
+      } else if (typeof item.amount === 'bigint') {
+        // Check if it's a payment based on the presence of the amount property (BigInt)
         // Define common payment variables
         const itemAmount = item.amount;
         const itemMemo = item.message; // Memo is stored in the 'message' field for transfers
@@ -6793,6 +9981,7 @@ class ChatModal {
                         </div>
                         ${itemMemo ? `<div class="payment-memo">${linkifyUrls(itemMemo)}</div>` : ''}
                         <div class="message-time">${timeString}</div>
+                        ${this.renderReactions(item)}
                     </div>
                 `;
       } else {
@@ -6800,8 +9989,12 @@ class ChatModal {
         const messageClass = item.my ? 'sent' : 'received'; // Use item.my directly
         messageHTML = `
                     <div class="message ${messageClass}" ${timestampAttribute} ${txidAttribute} ${statusAttribute}>
-                        <div class="message-content" style="white-space: pre-wrap">${linkifyUrls(item.message)}</div>
-                        <div class="message-time">${timeString}</div>
+                        ${item.replyTo ? this.renderReplyQuote(item.replyTo, contact) : ''}
+                        ${item.attachment ? this.renderAttachment(item.attachment) : ''}
+                        ${item.deleted ? `<div class="message-deleted">This message was deleted</div>` : ''}
+                        ${(item.message || !item.attachment) && !item.deleted ? `<div class="message-content" style="white-space: pre-wrap">${linkifyUrls(item.message)}</div>` : ''}
+                        <div class="message-time">${timeString}${item.edited ? ' <span class="message-edited">edited</span>' : ''}${expiryHTML}</div>
+                        ${this.renderReactions(item)}
                     </div>
                 `;
       }
@@ -6861,537 +10054,1334 @@ class ChatModal {
           }
         }
       } else {
-        // No received messages found, not highlighting, or highlightNewMessage is false,
-        // just scroll to the bottom if the container exists.
-        if (messageContainer) {
-          messageContainer.scrollTop = messageContainer.scrollHeight;
-        }
+        // No received messages found, not highlighting, or highlightNewMessage is false,
+        // just scroll to the bottom if the container exists.
+        if (messageContainer) {
+          messageContainer.scrollTop = messageContainer.scrollHeight;
+        }
+      }
+    }, 300); // <<< Delay of 300 milliseconds for rendering
+  }
+
+  /**
+   * Creates the HTML for a message attachment; images are shown as a thumbnail and other files as a download link
+   * @param {Object} attachment - The attachment of the message with name, type, size and base64 data
+   * @returns {string} The attachment HTML
+   */
+  renderAttachment(attachment) {
+    const name = escapeHtml(attachment.name || 'attachment');
+    // only known image types are shown inline; everything else is offered as a plain download
+    if (ATTACHMENT_IMAGE_TYPES.includes(attachment.type)) {
+      return `
+                        <a class="message-attachment" href="data:${attachment.type};base64,${attachment.data}" download="${name}">
+                            <img class="attachment-thumbnail" src="data:${attachment.type};base64,${attachment.data}" alt="${name}" />
+                        </a>`;
+    }
+    return `
+                        <a class="message-attachment attachment-file" href="data:application/octet-stream;base64,${attachment.data}" download="${name}">
+                            <span class="attachment-name">${name}</span>
+                            <span class="attachment-size">${formatFileSize(attachment.size)}</span>
+                        </a>`;
+  }
+
+  /**
+   * Creates the HTML for the quoted message shown above a reply
+   * @param {Object} replyTo - The txid and preview text of the message being replied to
+   * @param {Object} contact - The contact of the chat
+   * @returns {string} The quote HTML
+   */
+  renderReplyQuote(replyTo, contact) {
+    // use the local copy of the original if we have it since it can show who wrote it
+    const original = contact.messages.find((message) => message.txid === replyTo.txid);
+    const name = original ? (original.my ? 'You' : getContactDisplayName(contact)) : '';
+    const text = original ? getMessagePreviewText(original) : replyTo.message;
+    return `
+                        <div class="reply-quote" data-reply-txid="${escapeHtml(replyTo.txid)}">
+                            ${name ? `<div class="reply-quote-name">${escapeHtml(name)}</div>` : ''}
+                            <div class="reply-quote-text">${escapeHtml(truncateMessage(text || '', 100))}</div>
+                        </div>`;
+  }
+
+  /**
+   * Scrolls the messages list to a message and highlights it
+   * @param {string} txid - The txid of the message
+   * @returns {void}
+   */
+  scrollToMessage(txid) {
+    const messageElement = this.messagesList.querySelector(`[data-txid="${CSS.escape(txid)}"]`);
+    if (!messageElement) {
+      showToast('Original message not found', 2000, 'info');
+      return;
+    }
+    messageElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    messageElement.classList.add('highlighted');
+    setTimeout(() => messageElement.classList.remove('highlighted'), 2000);
+  }
+
+  /**
+   * Starts a timer when a message is touched so that a long press opens the message menu
+   * @param {TouchEvent} e - The touchstart event
+   * @returns {void}
+   */
+  handleMessageTouchStart(e) {
+    const messageEl = e.target.closest('.message');
+    if (!messageEl || e.touches.length !== 1) return;
+    const { clientX, clientY } = e.touches[0];
+    clearTimeout(this.longPressTimer);
+    this.longPressTimer = setTimeout(() => {
+      this.suppressNextClick = true;
+      this.openMessageMenu(messageEl, clientX, clientY);
+    }, 500);
+  }
+
+  /**
+   * Opens the actions menu for a message next to where the user pressed
+   * @param {Element} messageEl - The message element
+   * @param {number} x - The x position of the press in the viewport
+   * @param {number} y - The y position of the press in the viewport
+   * @returns {void}
+   */
+  openMessageMenu(messageEl, x, y) {
+    const message = myData.contacts[this.address]?.messages.find((item) => item.txid === messageEl.dataset.txid);
+    if (!message || message.status === 'failed') return;
+    this.menuMessage = message;
+
+    // only show the actions that apply to this message
+    this.messageMenu.querySelectorAll('[data-action]').forEach((button) => {
+      button.style.display = this.canApplyMessageAction(button.dataset.action, message) ? '' : 'none';
+    });
+
+    // position the menu inside the modal, keeping it on screen
+    this.messageMenu.classList.add('active');
+    const modalRect = this.modal.getBoundingClientRect();
+    const menuRect = this.messageMenu.getBoundingClientRect();
+    const left = Math.min(x - modalRect.left, modalRect.width - menuRect.width - 8);
+    const top = Math.min(y - modalRect.top, modalRect.height - menuRect.height - 8);
+    this.messageMenu.style.left = `${Math.max(8, left)}px`;
+    this.messageMenu.style.top = `${Math.max(8, top)}px`;
+  }
+
+  /**
+   * Closes the message actions menu
+   * @returns {void}
+   */
+  closeMessageMenu() {
+    this.messageMenu?.classList.remove('active');
+    this.menuMessage = null;
+  }
+
+  /**
+   * Check if an action from the message menu can be used on a message
+   * @param {string} action - The action of the menu item
+   * @param {Object} message - The message the menu was opened for
+   * @returns {boolean} - True if the action applies to the message
+   */
+  canApplyMessageAction(action, message) {
+    switch (action) {
+      case 'reply':
+        return !message.deleted && typeof message.amount !== 'bigint';
+      case 'react':
+        return !message.deleted;
+      case 'edit':
+        return message.my && !message.deleted && !message.attachment && typeof message.amount !== 'bigint';
+      case 'retract':
+        return message.my && !message.deleted && typeof message.amount !== 'bigint';
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Invoked when the user picks an action from the message menu
+   * @param {Event} e - The click event
+   * @returns {void}
+   */
+  handleMessageMenuAction(e) {
+    const button = e.target.closest('[data-action]');
+    const message = this.menuMessage;
+    this.closeMessageMenu();
+    if (!button || !message) return;
+
+    if (button.dataset.action === 'reply') {
+      this.startReply(message);
+    } else if (button.dataset.action === 'react') {
+      this.sendReaction(message, button.dataset.emoji);
+    } else if (button.dataset.action === 'edit') {
+      this.startEdit(message);
+    } else if (button.dataset.action === 'retract') {
+      this.sendRetract(message);
+    }
+  }
+
+  /**
+   * Creates the HTML for the reaction chips under a message; reactions with the same emoji are counted together
+   * @param {Object} message - The message with a reactions object of address to emoji
+   * @returns {string} The reactions HTML or an empty string if the message has no reactions
+   */
+  renderReactions(message) {
+    if (!message.reactions) return '';
+    const counts = {};
+    for (const emoji of Object.values(message.reactions)) {
+      counts[emoji] = (counts[emoji] || 0) + 1;
+    }
+    const myReaction = message.reactions[myAccount.keys.address];
+    const chips = Object.entries(counts).map(([emoji, count]) => {
+      const mineClass = emoji === myReaction ? ' mine' : '';
+      return `<span class="reaction-chip${mineClass}" data-emoji="${escapeHtml(emoji)}">${escapeHtml(emoji)}${count > 1 ? ` ${count}` : ''}</span>`;
+    });
+    return chips.length ? `<div class="message-reactions">${chips.join('')}</div>` : '';
+  }
+
+  /**
+   * Sends a reaction to a message as an encrypted message that references the txid of the message
+   * Sending the emoji we already reacted with removes our reaction
+   * @param {Object} message - The message being reacted to
+   * @param {string} emoji - The emoji of the reaction
+   * @returns {Promise<void>}
+   */
+  async sendReaction(message, emoji) {
+    if (!message.txid) return;
+    const myAddress = myAccount.keys.address;
+    const previousEmoji = message.reactions?.[myAddress] || '';
+    const newEmoji = previousEmoji === emoji ? '' : emoji;
+    const address = this.address;
+
+    await this.sendControlMessage(
+      address,
+      '',
+      { reaction: { txid: message.txid, emoji: newEmoji } },
+      () => {
+        setMessageReaction(message, myAddress, newEmoji);
+        markMessageChanged(myData, address, message);
+      },
+      () => {
+        setMessageReaction(message, myAddress, previousEmoji);
+        markMessageChanged(myData, address, message);
+      }
+    );
+  }
+
+  /**
+   * Sends an encrypted control message, like a reaction or an edit, that changes an earlier message instead of
+   * adding a new one. The change is shown right away and reverted if the tx is not accepted
+   * @param {string} currentAddress - The address of the contact the control message is sent to
+   * @param {string} text - The message text of the control message
+   * @param {Object} fields - The payload fields that describe the change; they are encrypted with the message
+   * @param {Function} apply - Applies the change to the local messages
+   * @param {Function} revert - Reverts the local change
+   * @returns {Promise<boolean>} True if the tx was accepted by the gateway
+   */
+  async sendControlMessage(currentAddress, text, fields, apply, revert) {
+    const contact = myData.contacts[currentAddress];
+    if (!contact) return false;
+
+    // if user is blocked, don't send, show toast
+    if (contact.tollRequiredToSend == 2) {
+      showToast('You are blocked by this user', 0, 'error');
+      return false;
+    }
+    if (this.isKeyChangePending(contact)) {
+      return false;
+    }
+
+    try {
+      const tollInLib = contact.tollRequiredToSend == 0 ? 0n : getTollInLib(contact.toll || 0n, contact.tollUnit);
+      const sufficientBalance = await validateBalance(tollInLib);
+      if (!sufficientBalance) {
+        showToast('Insufficient balance for toll and fee', 0, 'error');
+        return false;
+      }
+      const recipientKeys = await getVerifiedPublicKeys(currentAddress);
+      if (!recipientKeys) {
+        showToast('Could not get the public key of the recipient', 0, 'error');
+        return false;
+      }
+
+      const keys = myAccount.keys;
+      const payload = await this.createMessagePayload(keys, contact, text, fields);
+      const tx = await this.createChatMessage(currentAddress, payload, tollInLib, keys);
+      const txid = await signObj(tx, keys);
+
+      apply();
+      if (this.address === currentAddress) {
+        this.appendChatModal();
+      }
+      const response = await injectTx(tx, txid);
+      if (!response || !response.result || !response.result.success) {
+        console.log('control message failed to send', response);
+        revert();
+        showToast('Failed to update message', 3000, 'error');
+        if (this.address === currentAddress) {
+          this.appendChatModal();
+        }
+        return false;
+      }
+      return true;
+    } catch (error) {
+      console.error('Control message error:', error);
+      showToast('Failed to update message. Please try again.', 0, 'error');
+      return false;
+    }
+  }
+
+  /**
+   * Shows the reply preview above the message input; the next message sent will reference this message
+   * @param {Object} message - The message being replied to
+   * @returns {void}
+   */
+  startReply(message) {
+    this.replyTo = {
+      txid: message.txid,
+      message: truncateMessage(getMessagePreviewText(message), 100),
+    };
+    this.replyPreviewName.textContent = message.my ? 'You' : getContactDisplayName(myData.contacts[this.address]);
+    this.replyPreviewText.textContent = this.replyTo.message;
+    this.replyPreview.classList.add('active');
+    this.messageInput.focus();
+  }
+
+  /**
+   * Puts the text of one of our messages in the message input so it can be edited
+   * @param {Object} message - The message being edited
+   * @returns {void}
+   */
+  startEdit(message) {
+    this.replyTo = null;
+    this.editTxid = message.txid;
+    this.replyPreviewName.textContent = 'Edit message';
+    this.replyPreviewText.textContent = message.message;
+    this.replyPreview.classList.add('active');
+    this.messageInput.value = message.message;
+    this.messageInput.dispatchEvent(new Event('input'));
+    this.messageInput.focus();
+  }
+
+  /**
+   * Removes the reply or edit preview so the next message is a normal message
+   * @returns {void}
+   */
+  cancelReplyOrEdit() {
+    // an edit started from an existing message should not leave its text behind in the input
+    if (this.editTxid) {
+      this.messageInput.value = '';
+      this.messageInput.dispatchEvent(new Event('input'));
+    }
+    this.replyTo = null;
+    this.editTxid = null;
+    this.replyPreview?.classList.remove('active');
+  }
+
+  /**
+   * Sends the new text of the message being edited
+   * @param {string} text - The new text of the message
+   * @returns {Promise<void>}
+   */
+  async sendEdit(text) {
+    const message = myData.contacts[this.address]?.messages.find((item) => item.txid === this.editTxid);
+    this.cancelReplyOrEdit();
+    if (!message || message.message === text) return;
+
+    const previous = { message: message.message, edited: message.edited };
+    const address = this.address;
+    await this.sendControlMessage(
+      address,
+      text,
+      { edit: { txid: message.txid } },
+      () => {
+        editMessage(message, text);
+        markMessageChanged(myData, address, message);
+      },
+      () => {
+        Object.assign(message, previous);
+        markMessageChanged(myData, address, message);
+      }
+    );
+  }
+
+  /**
+   * Deletes one of our messages for everyone in the chat after the user confirms
+   * @param {Object} message - The message to delete
+   * @returns {Promise<void>}
+   */
+  async sendRetract(message) {
+    if (!confirm('Delete this message for everyone?')) return;
+
+    const contact = myData.contacts[this.address];
+    // only the message and the quotes of it change; messages received while sending must survive a failure
+    const previous = parse(stringify(message));
+    const quotes = contact.messages
+      .filter((item) => item.replyTo?.txid === message.txid)
+      .map((item) => ({ item, message: item.replyTo.message }));
+    await this.sendControlMessage(
+      this.address,
+      '',
+      { retract: { txid: message.txid } },
+      () => retractMessage(contact, message),
+      () => {
+        delete message.deleted;
+        Object.assign(message, previous);
+        markMessageChanged(myData, contact.address, message);
+        for (const quote of quotes) {
+          quote.item.replyTo.message = quote.message;
+          markMessageChanged(myData, contact.address, quote.item);
+        }
+      }
+    );
+  }
+
+  /**
+   * Invoked when the user clicks on a message to copy the content
+   * It will copy the content to the clipboard
+   * @param {Event} e - The event object
+   * @returns {void}
+   */
+  async handleClickToCopy(e) {
+    // the click that ends a long press should not copy the message
+    if (this.suppressNextClick) {
+      this.suppressNextClick = false;
+      return;
+    }
+
+    // Check if the click was on a link - if so, don't copy
+    if (e.target.tagName === 'A' || e.target.closest('a')) {
+      return;
+    }
+
+    // Clicking a quoted message jumps to the original message
+    const replyQuote = e.target.closest('.reply-quote');
+    if (replyQuote) {
+      this.scrollToMessage(replyQuote.dataset.replyTxid);
+      return;
+    }
+
+    // Clicking a reaction chip adds or removes our own reaction with that emoji
+    const reactionChip = e.target.closest('.reaction-chip');
+    if (reactionChip) {
+      const txid = reactionChip.closest('.message').dataset.txid;
+      const message = myData.contacts[this.address]?.messages.find((item) => item.txid === txid);
+      if (message) {
+        this.sendReaction(message, reactionChip.dataset.emoji);
+      }
+      return;
+    }
+    
+    const messageEl = e.target.closest('.message');
+    if (!messageEl) return;
+
+    // Nothing to copy from a deleted message
+    if (messageEl.querySelector('.message-deleted')) return;
+
+    // Prevent copying if the message has failed and not `payment-info`
+    if (messageEl.dataset.status === 'failed') {
+      console.log('Copy prevented for failed message.');
+
+      // If the message is not a payment message, show the failed message modal
+      if (!messageEl.classList.contains('payment-info')) {
+        failedMessageModal.handleFailedMessageClick(messageEl);
+      }
+
+      // If the message is a payment message, show the failed history item modal
+      if (messageEl.classList.contains('payment-info')) {
+        failedTransactionModal.open(messageEl.dataset.txid, messageEl);
+      }
+
+      // TODO: if message is a payment open sendAssetFormModal and fill with information in the payment message?
+
+      return;
+    }
+
+    let textToCopy = null;
+    let contentType = 'Text'; // Default content type for toast
+
+    // Check if it's a payment message
+    if (messageEl.classList.contains('payment-info')) {
+      const paymentMemoEl = messageEl.querySelector('.payment-memo');
+      if (paymentMemoEl) {
+        textToCopy = paymentMemoEl.textContent;
+        contentType = 'Memo'; // Update type for toast
+      } else {
+        // No memo element found in this payment block
+        showToast('No memo to copy', 2000, 'info');
+        return;
+      }
+    } else {
+      // It's a regular chat message
+      const messageContentEl = messageEl.querySelector('.message-content');
+      if (messageContentEl) {
+        textToCopy = messageContentEl.textContent;
+        contentType = 'Message'; // Update type for toast
+      } else {
+        // Should not happen for regular messages, but handle gracefully
+        showToast('No content to copy', 2000, 'info');
+        return;
+      }
+    }
+
+    // Proceed with copying if text was found
+    if (textToCopy && textToCopy.trim()) {
+      try {
+        await navigator.clipboard.writeText(textToCopy.trim());
+        showToast(`${contentType} copied to clipboard`, 2000, 'success');
+      } catch (err) {
+        console.error('Failed to copy:', err);
+        showToast(`Failed to copy ${contentType.toLowerCase()}`, 2000, 'error');
+      }
+    } else if (contentType === 'Memo') {
+      // Explicitly handle the case where memo exists but is empty/whitespace
+      showToast('Memo is empty', 2000, 'info');
+    }
+    // No need for an else here, cases with no element are handled above
+  }
+
+  /**
+   * Refresh the current view based on which screen the user is viewing.
+   * Primarily called when a pending transaction fails to remove it from the UI.
+   * Updates UI components only for the view that's currently active.
+   * @param {string} [txid] - Optional transaction ID that failed and needs removal.
+   */
+  refreshCurrentView(txid) {
+    // contactAddress is kept for potential future use but not needed for this txid-based logic
+    const messagesList = this.modal ? this.messagesList : null;
+
+    // 1. Refresh History Modal if active
+    if (historyModal.isActive()) {
+      console.log('DEBUG: Refreshing transaction history modal due to transaction failure.');
+      historyModal.refresh();
+    }
+    // 2. Refresh Chat Modal if active AND the failed txid's message is currently rendered
+    if (this.isActive() && txid && messagesList) {
+      // Check if an element with the specific data-txid exists within the message list
+      const messageElement = messagesList.querySelector(`[data-txid="${txid}"]`);
+
+      if (messageElement) {
+        // If the element exists, the failed message is visible in the open chat. Refresh the modal.
+        console.log(`DEBUG: Refreshing active chat modal because failed txid ${txid} was found in the view.`);
+        this.appendChatModal(); // This will redraw the messages based on the updated data (where the failed tx is removed)
+      } else {
+        // The failed txid doesn't correspond to a visible message in the *currently open* chat modal. No UI refresh needed for the modal itself.
+        console.log(
+          `DEBUG: Skipping chat modal refresh. Failed txid ${txid} not found in the active modal's message list.`
+        );
+      }
+    }
+    // 3. Refresh Chat List if active
+    if (chatsScreen.isActive()) {
+      console.log('DEBUG: Refreshing chat list view due to transaction failure.');
+      chatsScreen.updateChatList();
+    }
+    // No other active view to refresh in this context
+  }
+
+  /**
+   * Saves a draft message for the current contact
+   * @param {string} text - The draft message text to save
+   */
+  saveDraft(text) {
+    if (this.address && myData.contacts[this.address]) {
+      // Sanitize the text before saving
+      const sanitizedText = escapeHtml(text);
+      myData.contacts[this.address].draft = sanitizedText;
+      markContactChanged(myData, this.address);
+    }
+  }
+
+  /**
+   * Loads a draft message for the current contact if one exists
+   */
+  loadDraft(address) {
+    // Always clear the input first
+    this.messageInput.value = '';
+    this.messageInput.style.height = '48px';
+
+    // Load draft if exists
+    const contact = myData.contacts[address];
+    if (contact?.draft) {
+      this.messageInput.value = contact.draft;
+      // Trigger resize
+      this.messageInput.style.height = Math.min(this.messageInput.scrollHeight, 120) + 'px';
+      // trigger input event to update the byte counter
+      this.messageInput.dispatchEvent(new Event('input'));
+    }
+  }
+
+  async reopen() {
+    const tempAddress = this.address;
+    this.close();
+    await this.open(tempAddress);
+  }
+
+  /**
+   * Validates the size of a message
+   * @param {string} text - The message text to validate
+   * @returns {Object} - An object containing the validation result
+   */
+  validateMessageSize(text) {
+    const maxBytes = MAX_CHAT_MESSAGE_BYTES;
+    const byteSize = new Blob([text]).size;
+    return {
+      isValid: byteSize <= maxBytes,
+      currentBytes: byteSize,
+      remainingBytes: maxBytes - byteSize,
+      percentage: (byteSize / maxBytes) * 100,
+      maxBytes: maxBytes
+    };
+  }
+  
+  /**
+   * Updates the message byte counter
+   * @param {Object} validation - The validation result
+   * @returns {void}
+   */
+  updateMessageByteCounter(validation) {
+    // Only show counter when at 90% or higher
+    if (validation.percentage >= 90) {
+      if (validation.percentage > 100) {
+        this.messageByteCounter.style.color = '#dc3545';
+        this.messageByteCounter.textContent = `${validation.currentBytes - validation.maxBytes} bytes - over limit`;
+        // disable send button
+        this.sendButton.disabled = true;
+      } else if (validation.percentage >= 90) {
+        this.messageByteCounter.style.color = '#ffa726';
+        this.messageByteCounter.textContent = `${validation.remainingBytes} bytes - left`;
+        this.sendButton.disabled = false;
+      }
+      this.messageByteCounter.style.display = 'block';
+    } else {
+      this.messageByteCounter.style.display = 'none';
+      this.sendButton.disabled = false;
+    }
+  }
+}
+
+const chatModal = new ChatModal();
+
+/**
+ * Failed Message Modal Class
+ * @class
+ * @description Handles the failed message modal
+ * @returns {void}
+ */
+class FailedMessageModal {
+  constructor() {
+    this.handleFailedMessageData = {
+      handleFailedMessage: '',
+      txid: '',
+      isAttachment: false,
+    };
+  }
+
+  /**
+   * Loads the failed message modal event listeners
+   * @returns {void}
+   */
+  load() {
+    this.modal = document.getElementById('failedMessageModal');
+    this.retryButton = this.modal.querySelector('.retry-button');
+    this.deleteButton = this.modal.querySelector('.delete-button');
+    this.closeButton = document.getElementById('closeFailedMessageModal');
+
+    this.retryButton.addEventListener('click', this.handleFailedMessageRetry.bind(this));
+    this.deleteButton.addEventListener('click', this.handleFailedMessageDelete.bind(this));
+    this.closeButton.addEventListener('click', this.closeFailedMessageModalAndClearState.bind(this));
+    this.modal.addEventListener('click', this.handleFailedMessageBackdropClick.bind(this));
+  }
+
+  /**
+   * When user clicks on a failed message this will show the failed message modal with retry, delete (delete from all data stores), and close buttons
+   * It will also store the message content and txid in the handleSendMessage object containing the handleFailedMessage and txid properties
+   * @param {Element} messageEl - The message element that failed
+   * @returns {void}
+   */
+  handleFailedMessageClick(messageEl) {
+    // Get the message content and txid from the original failed message element
+    // attachment only messages have no message content
+    const messageContent = messageEl.querySelector('.message-content')?.textContent || '';
+    const originalTxid = messageEl.dataset.txid;
+
+    // Store content and txid in properties of handleSendMessage
+    this.handleFailedMessageData.handleFailedMessage = messageContent;
+    this.handleFailedMessageData.txid = originalTxid;
+    this.handleFailedMessageData.isAttachment = !!messageEl.querySelector('.message-attachment');
+
+    // Show the modal
+    if (this.modal) {
+      this.modal.classList.add('active');
+    }
+  }
+
+  /**
+   * When the user clicks the retry button in the failed message modal
+   * It will fill the chat modal with the message content and txid of the failed message and focus the message input
+   * @returns {void}
+   */
+  handleFailedMessageRetry() {
+    // Use the values stored when handleFailedMessage was called
+    const messageToRetry = this.handleFailedMessageData.handleFailedMessage;
+    const originalTxid = this.handleFailedMessageData.txid;
+
+    if (
+      chatModal.messageInput &&
+      chatModal.retryOfTxId &&
+      typeof messageToRetry === 'string' &&
+      typeof originalTxid === 'string'
+    ) {
+      const isAttachment = this.handleFailedMessageData.isAttachment;
+      chatModal.retryOfTxId.value = originalTxid;
+
+      this.closeFailedMessageModalAndClearState();
+      if (isAttachment) {
+        // the file is not kept around for a retry, so let the user pick it again
+        chatModal.attachmentInput.click();
+      } else {
+        chatModal.messageInput.value = messageToRetry;
+        chatModal.messageInput.focus();
       }
-    }, 300); // <<< Delay of 300 milliseconds for rendering
+    } else {
+      console.error('Error preparing message retry: Necessary elements or data missing.');
+      this.closeFailedMessageModalAndClearState();
+    }
   }
 
   /**
-   * Invoked when the user clicks on a message to copy the content
-   * It will copy the content to the clipboard
-   * @param {Event} e - The event object
+   * When the user clicks the delete button in the failed message modal
+   * It will delete the message from all data stores using removeFailedTx and remove pending tx if exists
    * @returns {void}
    */
-  async handleClickToCopy(e) {
-    // Check if the click was on a link - if so, don't copy
-    if (e.target.tagName === 'A' || e.target.closest('a')) {
-      return;
-    }
-    
-    const messageEl = e.target.closest('.message');
-    if (!messageEl) return;
+  handleFailedMessageDelete() {
+    const originalTxid = this.handleFailedMessageData.txid;
 
-    // Prevent copying if the message has failed and not `payment-info`
-    if (messageEl.dataset.status === 'failed') {
-      console.log('Copy prevented for failed message.');
+    if (typeof originalTxid === 'string' && originalTxid) {
+      const currentAddress = chatModal.address;
+      removeFailedTx(originalTxid, currentAddress);
 
-      // If the message is not a payment message, show the failed message modal
-      if (!messageEl.classList.contains('payment-info')) {
-        failedMessageModal.handleFailedMessageClick(messageEl);
-      }
+      this.closeFailedMessageModalAndClearState();
 
-      // If the message is a payment message, show the failed history item modal
-      if (messageEl.classList.contains('payment-info')) {
-        failedTransactionModal.open(messageEl.dataset.txid, messageEl);
-      }
+      // refresh current chatModal
+      chatModal.appendChatModal();
+    } else {
+      console.error('Error deleting message: TXID not found.');
+      this.closeFailedMessageModalAndClearState();
+    }
+  }
 
-      // TODO: if message is a payment open sendAssetFormModal and fill with information in the payment message?
+  /**
+   * Invoked when the user clicks the close button in the failed message modal
+   * It will close the modal and clear the stored values
+   * @returns {void}
+   */
+  closeFailedMessageModalAndClearState() {
+    this.modal.classList.remove('active');
+    // Clear the stored values when modal is closed
+    this.handleFailedMessageData.handleFailedMessage = '';
+    this.handleFailedMessageData.txid = '';
+    this.handleFailedMessageData.isAttachment = false;
+  }
 
-      return;
+  /**
+   * Invoked when the user clicks the backdrop in the failed message modal
+   * It will close the modal and clear the stored values
+   * @param {Event} event - The event object
+   * @returns {void}
+   */
+  handleFailedMessageBackdropClick(event) {
+    if (event.target === this.modal) {
+      this.closeFailedMessageModalAndClearState();
     }
+  }
+}
 
-    let textToCopy = null;
-    let contentType = 'Text'; // Default content type for toast
+const failedMessageModal = new FailedMessageModal();
 
-    // Check if it's a payment message
-    if (messageEl.classList.contains('payment-info')) {
-      const paymentMemoEl = messageEl.querySelector('.payment-memo');
-      if (paymentMemoEl) {
-        textToCopy = paymentMemoEl.textContent;
-        contentType = 'Memo'; // Update type for toast
-      } else {
-        // No memo element found in this payment block
-        showToast('No memo to copy', 2000, 'info');
-        return;
-      }
-    } else {
-      // It's a regular chat message
-      const messageContentEl = messageEl.querySelector('.message-content');
-      if (messageContentEl) {
-        textToCopy = messageContentEl.textContent;
-        contentType = 'Message'; // Update type for toast
-      } else {
-        // Should not happen for regular messages, but handle gracefully
-        showToast('No content to copy', 2000, 'info');
-        return;
-      }
-    }
+/**
+ * New Chat Modal Class
+ * @class
+ * @description Handles the new chat modal
+ * @returns {void}
+ */
+class NewChatModal {
+  constructor() {
+    this.usernameInputCheckTimeout = null;
+  }
 
-    // Proceed with copying if text was found
-    if (textToCopy && textToCopy.trim()) {
-      try {
-        await navigator.clipboard.writeText(textToCopy.trim());
-        showToast(`${contentType} copied to clipboard`, 2000, 'success');
-      } catch (err) {
-        console.error('Failed to copy:', err);
-        showToast(`Failed to copy ${contentType.toLowerCase()}`, 2000, 'error');
-      }
-    } else if (contentType === 'Memo') {
-      // Explicitly handle the case where memo exists but is empty/whitespace
-      showToast('Memo is empty', 2000, 'info');
-    }
-    // No need for an else here, cases with no element are handled above
+  /**
+   * Loads the new chat modal event listeners
+   * @returns {void}
+   */
+  load() {
+    this.modal = document.getElementById('newChatModal');
+    this.closeNewChatModalButton = document.getElementById('closeNewChatModal');
+    this.newChatForm = document.getElementById('newChatForm');
+    this.usernameAvailable = document.getElementById('chatRecipientError');
+    this.recipientInput = document.getElementById('chatRecipient');
+    this.submitButton = document.querySelector('#newChatForm button[type="submit"]');
+    this.newGroupButton = document.getElementById('openNewGroupModal');
+
+    this.closeNewChatModalButton.addEventListener('click', this.closeNewChatModal.bind(this));
+    this.newGroupButton.addEventListener('click', () => {
+      this.closeNewChatModal();
+      newGroupModal.open();
+    });
+    this.newChatForm.addEventListener('submit', this.handleNewChat.bind(this));
+    this.recipientInput.addEventListener('input', debounce(this.handleUsernameInput.bind(this), 300));
   }
 
   /**
-   * Refresh the current view based on which screen the user is viewing.
-   * Primarily called when a pending transaction fails to remove it from the UI.
-   * Updates UI components only for the view that's currently active.
-   * @param {string} [txid] - Optional transaction ID that failed and needs removal.
+   * Invoked when the user clicks the new chat button
+   * It will open the new chat modal
+   * @returns {void}
    */
-  refreshCurrentView(txid) {
-    // contactAddress is kept for potential future use but not needed for this txid-based logic
-    const messagesList = this.modal ? this.messagesList : null;
+  openNewChatModal() {
+    this.modal.classList.add('active');
+    footer.newChatButton.classList.remove('visible');
+    this.usernameAvailable.style.display = 'none';
+    this.submitButton.disabled = true;
 
-    // 1. Refresh History Modal if active
-    if (historyModal.isActive()) {
-      console.log('DEBUG: Refreshing transaction history modal due to transaction failure.');
-      historyModal.refresh();
-    }
-    // 2. Refresh Chat Modal if active AND the failed txid's message is currently rendered
-    if (this.isActive() && txid && messagesList) {
-      // Check if an element with the specific data-txid exists within the message list
-      const messageElement = messagesList.querySelector(`[data-txid="${txid}"]`);
+    // Create the handler function
+    const focusHandler = () => {
+      this.recipientInput.focus();
+      this.modal.removeEventListener('transitionend', focusHandler);
+    };
 
-      if (messageElement) {
-        // If the element exists, the failed message is visible in the open chat. Refresh the modal.
-        console.log(`DEBUG: Refreshing active chat modal because failed txid ${txid} was found in the view.`);
-        this.appendChatModal(); // This will redraw the messages based on the updated data (where the failed tx is removed)
-      } else {
-        // The failed txid doesn't correspond to a visible message in the *currently open* chat modal. No UI refresh needed for the modal itself.
-        console.log(
-          `DEBUG: Skipping chat modal refresh. Failed txid ${txid} not found in the active modal's message list.`
-        );
-      }
-    }
-    // 3. Refresh Chat List if active
+    // Add the event listener
+    // TODO: move focusHandler out and move event listener to load()
+    this.modal.addEventListener('transitionend', focusHandler);
+  }
+
+  /**
+   * Invoked when the user clicks the close button in the new chat modal
+   * It will close the modal and reset the form
+   * @returns {void}
+   */
+  closeNewChatModal() {
+    this.modal.classList.remove('active');
+    this.newChatForm.reset();
     if (chatsScreen.isActive()) {
-      console.log('DEBUG: Refreshing chat list view due to transaction failure.');
-      chatsScreen.updateChatList();
+      footer.newChatButton.classList.add('visible');
+    }
+    if (contactsScreen.isActive()) {
+      footer.newChatButton.classList.add('visible');
     }
-    // No other active view to refresh in this context
   }
 
   /**
-   * Saves a draft message for the current contact
-   * @param {string} text - The draft message text to save
+   * Invoked when the user submits the new chat form
+   * It will check if the username is valid, available, or not available
+   * @param {Event} event - The event object
+   * @returns {void}
    */
-  saveDraft(text) {
-    if (this.address && myData.contacts[this.address]) {
-      // Sanitize the text before saving
-      const sanitizedText = escapeHtml(text);
-      myData.contacts[this.address].draft = sanitizedText;
+  async handleNewChat(event) {
+    event.preventDefault();
+    const input = this.recipientInput.value.trim();
+    let recipientAddress;
+    let username;
+
+    this.hideRecipientError();
+
+    // Check if input is an Ethereum address
+    if (input.startsWith('0x')) {
+      if (!isValidEthereumAddress(input)) {
+        this.showRecipientError('Invalid Ethereum address format');
+        return;
+      }
+      // Input is valid Ethereum address, normalize it
+      recipientAddress = normalizeAddress(input);
+    } else {
+      if (input.length < 3) {
+        this.showRecipientError('Username too short');
+        return;
+      }
+      username = normalizeUsername(input);
+      // Treat as username and lookup address
+      const usernameBytes = utf82bin(username);
+      const usernameHash = hashBytes(usernameBytes);
+      try {
+        const data = await queryNetwork(`/address/${usernameHash}`);
+        if (!data || !data.address) {
+          this.showRecipientError('Username not found');
+          return;
+        }
+        // Normalize address from API if it has 0x prefix or trailing zeros
+        recipientAddress = normalizeAddress(data.address);
+      } catch (error) {
+        console.log('Error looking up username:', error);
+        this.showRecipientError('Error looking up username');
+        return;
+      }
     }
-  }
 
-  /**
-   * Loads a draft message for the current contact if one exists
-   */
-  loadDraft(address) {
-    // Always clear the input first
-    this.messageInput.value = '';
-    this.messageInput.style.height = '48px';
+    // Get or create chat data
+    const chatsData = myData;
 
-    // Load draft if exists
-    const contact = myData.contacts[address];
-    if (contact?.draft) {
-      this.messageInput.value = contact.draft;
-      // Trigger resize
-      this.messageInput.style.height = Math.min(this.messageInput.scrollHeight, 120) + 'px';
-      // trigger input event to update the byte counter
-      this.messageInput.dispatchEvent(new Event('input'));
+    // Check if contact exists
+    if (!chatsData.contacts[recipientAddress]) {
+      createNewContact(recipientAddress, username, 2);
+      // default to 2 (Acquaintance) so recipient does not need to pay toll
+      friendModal.postUpdateTollRequired(recipientAddress, 2);
     }
+    chatsData.contacts[recipientAddress].username = username;
+    markContactChanged(chatsData, recipientAddress);
+
+    // Close new chat modal and open chat modal
+    this.closeNewChatModal();
+    chatModal.open(recipientAddress);
   }
 
-  async reopen() {
-    const tempAddress = this.address;
-    this.close();
-    await this.open(tempAddress);
+  /**
+   * Hide error message in the new chat form
+   * @returns {void}
+   */
+  hideRecipientError() {
+    this.usernameAvailable.style.display = 'none';
   }
 
   /**
-   * Validates the size of a message
-   * @param {string} text - The message text to validate
-   * @returns {Object} - An object containing the validation result
+   * Show error message in the new chat form
+   * @param {string} message - The error message to show
+   * @returns {void}
    */
-  validateMessageSize(text) {
-    const maxBytes = MAX_CHAT_MESSAGE_BYTES;
-    const byteSize = new Blob([text]).size;
-    return {
-      isValid: byteSize <= maxBytes,
-      currentBytes: byteSize,
-      remainingBytes: maxBytes - byteSize,
-      percentage: (byteSize / maxBytes) * 100,
-      maxBytes: maxBytes
-    };
+  showRecipientError(message) {
+    this.usernameAvailable.textContent = message;
+    this.usernameAvailable.style.color = '#dc3545'; // Always red for errors
+    this.usernameAvailable.style.display = 'inline';
   }
-  
+
   /**
-   * Updates the message byte counter
-   * @param {Object} validation - The validation result
+   * Invoked when the user types in the username input
+   * It will check if the username is too short, available, or not available
+   * @param {Event} e - The event object
    * @returns {void}
    */
-  updateMessageByteCounter(validation) {
-    // Only show counter when at 90% or higher
-    if (validation.percentage >= 90) {
-      if (validation.percentage > 100) {
-        this.messageByteCounter.style.color = '#dc3545';
-        this.messageByteCounter.textContent = `${validation.currentBytes - validation.maxBytes} bytes - over limit`;
-        // disable send button
-        this.sendButton.disabled = true;
-      } else if (validation.percentage >= 90) {
-        this.messageByteCounter.style.color = '#ffa726';
-        this.messageByteCounter.textContent = `${validation.remainingBytes} bytes - left`;
-        this.sendButton.disabled = false;
-      }
-      this.messageByteCounter.style.display = 'block';
-    } else {
-      this.messageByteCounter.style.display = 'none';
-      this.sendButton.disabled = false;
+  handleUsernameInput(e) {
+    this.usernameAvailable.style.display = 'none';
+    this.submitButton.disabled = true;
+
+    const username = normalizeUsername(e.target.value);
+    e.target.value = username;
+
+    // Clear previous timeout
+    if (this.usernameInputCheckTimeout) {
+      clearTimeout(this.usernameInputCheckTimeout);
+    }
+
+    // Check if username is too short
+    if (username.length < 3) {
+      this.usernameAvailable.textContent = 'too short';
+      this.usernameAvailable.style.color = '#dc3545';
+      this.usernameAvailable.style.display = 'inline';
+      return;
     }
+
+    // Check username availability
+    this.usernameInputCheckTimeout = setTimeout(async () => {
+      const taken = await checkUsernameAvailability(username, myAccount.keys.address);
+      if (taken == 'taken') {
+        this.usernameAvailable.textContent = 'found';
+        this.usernameAvailable.style.color = '#28a745';
+        this.usernameAvailable.style.display = 'inline';
+        this.submitButton.disabled = false;
+      } else if (taken == 'mine' || taken == 'available') {
+        this.usernameAvailable.textContent = 'not found';
+        this.usernameAvailable.style.color = '#dc3545';
+        this.usernameAvailable.style.display = 'inline';
+        this.submitButton.disabled = true;
+      } else {
+        this.usernameAvailable.textContent = 'network error';
+        this.usernameAvailable.style.color = '#dc3545';
+        this.usernameAvailable.style.display = 'inline';
+        this.submitButton.disabled = true;
+      }
+    }, 1000);
   }
 }
 
-const chatModal = new ChatModal();
+const newChatModal = new NewChatModal();
 
 /**
- * Failed Message Modal Class
+ * New Group Modal Class
  * @class
- * @description Handles the failed message modal
- * @returns {void}
+ * @description Creates a group conversation with some of our contacts
  */
-class FailedMessageModal {
-  constructor() {
-    this.handleFailedMessageData = {
-      handleFailedMessage: '',
-      txid: '',
-    };
-  }
+class NewGroupModal {
+  constructor() {}
 
   /**
-   * Loads the failed message modal event listeners
+   * Loads the new group modal event listeners
    * @returns {void}
    */
   load() {
-    this.modal = document.getElementById('failedMessageModal');
-    this.retryButton = this.modal.querySelector('.retry-button');
-    this.deleteButton = this.modal.querySelector('.delete-button');
-    this.closeButton = document.getElementById('closeFailedMessageModal');
+    this.modal = document.getElementById('newGroupModal');
+    this.closeButton = document.getElementById('closeNewGroupModal');
+    this.form = document.getElementById('newGroupForm');
+    this.nameInput = document.getElementById('newGroupName');
+    this.memberList = document.getElementById('newGroupMemberList');
+    this.submitButton = document.getElementById('createGroupButton');
 
-    this.retryButton.addEventListener('click', this.handleFailedMessageRetry.bind(this));
-    this.deleteButton.addEventListener('click', this.handleFailedMessageDelete.bind(this));
-    this.closeButton.addEventListener('click', this.closeFailedMessageModalAndClearState.bind(this));
-    this.modal.addEventListener('click', this.handleFailedMessageBackdropClick.bind(this));
+    this.closeButton.addEventListener('click', this.close.bind(this));
+    this.form.addEventListener('submit', this.handleSubmit.bind(this));
+    this.memberList.addEventListener('change', this.updateSubmitButton.bind(this));
+    this.nameInput.addEventListener('input', this.updateSubmitButton.bind(this));
   }
 
   /**
-   * When user clicks on a failed message this will show the failed message modal with retry, delete (delete from all data stores), and close buttons
-   * It will also store the message content and txid in the handleSendMessage object containing the handleFailedMessage and txid properties
-   * @param {Element} messageEl - The message element that failed
+   * Opens the new group modal with the list of contacts that can be added
    * @returns {void}
    */
-  handleFailedMessageClick(messageEl) {
-    // Get the message content and txid from the original failed message element
-    const messageContent = messageEl.querySelector('.message-content').textContent;
-    const originalTxid = messageEl.dataset.txid;
-
-    // Store content and txid in properties of handleSendMessage
-    this.handleFailedMessageData.handleFailedMessage = messageContent;
-    this.handleFailedMessageData.txid = originalTxid;
+  open() {
+    const contacts = Object.values(myData.contacts)
+      .filter((contact) => contact.username && contact.friend !== 0)
+      .sort((a, b) => getContactDisplayName(a).localeCompare(getContactDisplayName(b)));
 
-    // Show the modal
-    if (this.modal) {
-      this.modal.classList.add('active');
+    if (contacts.length === 0) {
+      this.memberList.innerHTML = `<div class="empty-state-message">Add some contacts before creating a group</div>`;
+    } else {
+      this.memberList.innerHTML = contacts
+        .map(
+          (contact) => `
+            <label class="group-member-option">
+              <input type="checkbox" value="${contact.address}" />
+              <span>${escapeHtml(getContactDisplayName(contact))}</span>
+            </label>`
+        )
+        .join('');
     }
+    this.updateSubmitButton();
+    this.modal.classList.add('active');
+    footer.newChatButton.classList.remove('visible');
   }
 
   /**
-   * When the user clicks the retry button in the failed message modal
-   * It will fill the chat modal with the message content and txid of the failed message and focus the message input
+   * Closes the new group modal and resets the form
    * @returns {void}
    */
-  handleFailedMessageRetry() {
-    // Use the values stored when handleFailedMessage was called
-    const messageToRetry = this.handleFailedMessageData.handleFailedMessage;
-    const originalTxid = this.handleFailedMessageData.txid;
-
-    if (
-      chatModal.messageInput &&
-      chatModal.retryOfTxId &&
-      typeof messageToRetry === 'string' &&
-      typeof originalTxid === 'string'
-    ) {
-      chatModal.messageInput.value = messageToRetry;
-      chatModal.retryOfTxId.value = originalTxid;
-
-      this.closeFailedMessageModalAndClearState();
-      chatModal.messageInput.focus();
-    } else {
-      console.error('Error preparing message retry: Necessary elements or data missing.');
-      this.closeFailedMessageModalAndClearState();
+  close() {
+    this.modal.classList.remove('active');
+    this.form.reset();
+    if (chatsScreen.isActive() || contactsScreen.isActive()) {
+      footer.newChatButton.classList.add('visible');
     }
   }
 
   /**
-   * When the user clicks the delete button in the failed message modal
-   * It will delete the message from all data stores using removeFailedTx and remove pending tx if exists
-   * @returns {void}
+   * Check if the new group modal is active
+   * @returns {boolean} - True if modal is open, false otherwise
    */
-  handleFailedMessageDelete() {
-    const originalTxid = this.handleFailedMessageData.txid;
-
-    if (typeof originalTxid === 'string' && originalTxid) {
-      const currentAddress = chatModal.address;
-      removeFailedTx(originalTxid, currentAddress);
-
-      this.closeFailedMessageModalAndClearState();
-
-      // refresh current chatModal
-      chatModal.appendChatModal();
-    } else {
-      console.error('Error deleting message: TXID not found.');
-      this.closeFailedMessageModalAndClearState();
-    }
+  isActive() {
+    return this.modal?.classList.contains('active') || false;
   }
 
   /**
-   * Invoked when the user clicks the close button in the failed message modal
-   * It will close the modal and clear the stored values
-   * @returns {void}
+   * Returns the addresses of the contacts that were checked
+   * @returns {Array<string>} The selected addresses
    */
-  closeFailedMessageModalAndClearState() {
-    this.modal.classList.remove('active');
-    // Clear the stored values when modal is closed
-    this.handleFailedMessageData.handleFailedMessage = '';
-    this.handleFailedMessageData.txid = '';
+  getSelectedAddresses() {
+    return [...this.memberList.querySelectorAll('input[type="checkbox"]:checked')].map((input) => input.value);
   }
 
   /**
-   * Invoked when the user clicks the backdrop in the failed message modal
-   * It will close the modal and clear the stored values
-   * @param {Event} event - The event object
+   * Enables the create button only when the group has a name and an allowed number of members
    * @returns {void}
    */
-  handleFailedMessageBackdropClick(event) {
-    if (event.target === this.modal) {
-      this.closeFailedMessageModalAndClearState();
+  updateSubmitButton() {
+    const selected = this.getSelectedAddresses().length;
+    this.submitButton.disabled = !this.nameInput.value.trim() || selected === 0 || selected + 1 > MAX_GROUP_MEMBERS;
+    if (selected + 1 > MAX_GROUP_MEMBERS) {
+      showToast(`Groups can have at most ${MAX_GROUP_MEMBERS} members including you`, 3000, 'warning');
     }
   }
+
+  /**
+   * Invoked when the user submits the new group form
+   * Creates the group locally and lets every member know about it with a create event
+   * @param {Event} event - The submit event
+   * @returns {Promise<void>}
+   */
+  async handleSubmit(event) {
+    event.preventDefault();
+    const name = this.nameInput.value.trim().slice(0, 50);
+    const addresses = this.getSelectedAddresses();
+    if (!name || addresses.length === 0 || addresses.length + 1 > MAX_GROUP_MEMBERS) return;
+
+    const myAddress = myAccount.keys.address;
+    const group = {
+      id: bin2hex(generateRandomBytes(16)),
+      name,
+      members: [
+        { address: myAddress, username: myAccount.username },
+        ...addresses.map((address) => ({ address, username: myData.contacts[address].username })),
+      ],
+      creator: myAddress,
+      messages: [],
+      unread: 0,
+    };
+    myData.groups[group.id] = group;
+
+    this.submitButton.disabled = true;
+    this.close();
+    await groupChatModal.open(group.id);
+    await groupChatModal.sendGroupMessage(group, '', 'create');
+  }
 }
 
-const failedMessageModal = new FailedMessageModal();
+const newGroupModal = new NewGroupModal();
 
 /**
- * New Chat Modal Class
+ * Group Chat Modal Class
  * @class
- * @description Handles the new chat modal
- * @returns {void}
+ * @description Shows a group conversation. Groups are built on the pairwise encrypted messages; every group
+ * message is sent to each member as a normal chat message with the group metadata in the encrypted group field,
+ * and processChats collects those messages into myData.groups instead of contact.messages
  */
-class NewChatModal {
+class GroupChatModal {
   constructor() {
-    this.usernameInputCheckTimeout = null;
+    this.groupId = null;
   }
 
   /**
-   * Loads the new chat modal event listeners
+   * Loads the group chat modal event listeners
    * @returns {void}
    */
   load() {
-    this.modal = document.getElementById('newChatModal');
-    this.closeNewChatModalButton = document.getElementById('closeNewChatModal');
-    this.newChatForm = document.getElementById('newChatForm');
-    this.usernameAvailable = document.getElementById('chatRecipientError');
-    this.recipientInput = document.getElementById('chatRecipient');
-    this.submitButton = document.querySelector('#newChatForm button[type="submit"]');
+    this.modal = document.getElementById('groupChatModal');
+    this.closeButton = document.getElementById('closeGroupChatModal');
+    this.modalAvatar = this.modal.querySelector('.modal-avatar');
+    this.modalTitle = this.modal.querySelector('.modal-title');
+    this.membersText = this.modal.querySelector('.group-members');
+    this.messagesList = this.modal.querySelector('.messages-list');
+    this.messageInput = this.modal.querySelector('.message-input');
+    this.sendButton = document.getElementById('groupSendButton');
 
-    this.closeNewChatModalButton.addEventListener('click', this.closeNewChatModal.bind(this));
-    this.newChatForm.addEventListener('submit', this.handleNewChat.bind(this));
-    this.recipientInput.addEventListener('input', debounce(this.handleUsernameInput.bind(this), 300));
+    this.closeButton.addEventListener('click', this.close.bind(this));
+    this.sendButton.addEventListener('click', this.handleSendMessage.bind(this));
+    this.sendButton.addEventListener('keydown', ignoreTabKey);
+    this.messageInput.addEventListener('input', () => {
+      this.messageInput.style.height = '48px';
+      this.messageInput.style.height = Math.min(this.messageInput.scrollHeight, 120) + 'px';
+      this.sendButton.disabled = !chatModal.validateMessageSize(this.messageInput.value).isValid;
+    });
   }
 
   /**
-   * Invoked when the user clicks the new chat button
-   * It will open the new chat modal
-   * @returns {void}
+   * Opens the group chat modal for a group
+   * @param {string} groupId - The id of the group
+   * @returns {Promise<void>}
    */
-  openNewChatModal() {
-    this.modal.classList.add('active');
+  async open(groupId) {
+    const group = myData.groups[groupId];
+    if (!group) return;
+    this.groupId = groupId;
+
+    this.modalTitle.textContent = group.name;
+    this.membersText.textContent = group.members.map((member) => member.address === myAccount.keys.address ? 'You' : getGroupMemberName(group, member.address)).join(', ');
+    generateIdenticon(group.id, 40).then((identicon) => {
+      this.modalAvatar.innerHTML = identicon;
+    });
+    this.messageInput.value = '';
+    this.messageInput.style.height = '48px';
     footer.newChatButton.classList.remove('visible');
-    this.usernameAvailable.style.display = 'none';
-    this.submitButton.disabled = true;
 
-    // Create the handler function
-    const focusHandler = () => {
-      this.recipientInput.focus();
-      this.modal.removeEventListener('transitionend', focusHandler);
-    };
+    // we need a contact for every member to get their keys and toll; refresh the tolls in the background
+    // the usernames in the group metadata are not verified, so they are not saved on the contact
+    for (const member of group.members) {
+      if (member.address === myAccount.keys.address) continue;
+      createNewContact(member.address);
+      updateTollValue(member.address);
+      updateTollRequired(member.address);
+    }
 
-    // Add the event listener
-    // TODO: move focusHandler out and move event listener to load()
-    this.modal.addEventListener('transitionend', focusHandler);
+    this.modal.classList.add('active');
+    group.unread = 0;
+    this.appendMessages();
   }
 
   /**
-   * Invoked when the user clicks the close button in the new chat modal
-   * It will close the modal and reset the form
+   * Closes the group chat modal
    * @returns {void}
    */
-  closeNewChatModal() {
+  close() {
     this.modal.classList.remove('active');
-    this.newChatForm.reset();
+    this.groupId = null;
     if (chatsScreen.isActive()) {
-      footer.newChatButton.classList.add('visible');
-    }
-    if (contactsScreen.isActive()) {
+      chatsScreen.updateChatList();
       footer.newChatButton.classList.add('visible');
     }
   }
 
   /**
-   * Invoked when the user submits the new chat form
-   * It will check if the username is valid, available, or not available
-   * @param {Event} event - The event object
-   * @returns {void}
+   * Check if the group chat modal is active
+   * @returns {boolean} - True if modal is open, false otherwise
    */
-  async handleNewChat(event) {
-    event.preventDefault();
-    const input = this.recipientInput.value.trim();
-    let recipientAddress;
-    let username;
+  isActive() {
+    return this.modal?.classList.contains('active') || false;
+  }
 
-    this.hideRecipientError();
+  /**
+   * Renders the messages of the open group, oldest first
+   * @returns {void}
+   */
+  appendMessages() {
+    const group = myData.groups?.[this.groupId];
+    if (!group) return;
 
-    // Check if input is an Ethereum address
-    if (input.startsWith('0x')) {
-      if (!isValidEthereumAddress(input)) {
-        this.showRecipientError('Invalid Ethereum address format');
-        return;
-      }
-      // Input is valid Ethereum address, normalize it
-      recipientAddress = normalizeAddress(input);
-    } else {
-      if (input.length < 3) {
-        this.showRecipientError('Username too short');
-        return;
-      }
-      username = normalizeUsername(input);
-      // Treat as username and lookup address
-      const usernameBytes = utf82bin(username);
-      const usernameHash = hashBytes(usernameBytes);
-      try {
-        const data = await queryNetwork(`/address/${usernameHash}`);
-        if (!data || !data.address) {
-          this.showRecipientError('Username not found');
-          return;
-        }
-        // Normalize address from API if it has 0x prefix or trailing zeros
-        recipientAddress = normalizeAddress(data.address);
-      } catch (error) {
-        console.log('Error looking up username:', error);
-        this.showRecipientError('Error looking up username');
-        return;
+    this.messagesList.innerHTML = '';
+    for (let i = group.messages.length - 1; i >= 0; i--) {
+      const item = group.messages[i];
+      const txidAttribute = item.txid ? `data-txid="${item.txid}"` : '';
+      const statusAttribute = item.status ? `data-status="${item.status}"` : '';
+      let messageHTML;
+      if (item.event) {
+        messageHTML = `<div class="group-event" ${txidAttribute}>${escapeHtml(getGroupEventText(group, item))}</div>`;
+      } else {
+        const messageClass = item.my ? 'sent' : 'received';
+        messageHTML = `
+                    <div class="message ${messageClass}" data-message-timestamp="${item.timestamp}" ${txidAttribute} ${statusAttribute}>
+                        ${item.my ? '' : `<div class="message-sender">${escapeHtml(getGroupMemberName(group, item.from))}</div>`}
+                        <div class="message-content" style="white-space: pre-wrap">${linkifyUrls(item.message)}</div>
+                        <div class="message-time">${formatTime(item.timestamp)}</div>
+                    </div>
+                `;
       }
+      this.messagesList.insertAdjacentHTML('beforeend', messageHTML);
     }
 
-    // Get or create chat data
-    const chatsData = myData;
-
-    // Check if contact exists
-    if (!chatsData.contacts[recipientAddress]) {
-      createNewContact(recipientAddress, username, 2);
-      // default to 2 (Acquaintance) so recipient does not need to pay toll
-      friendModal.postUpdateTollRequired(recipientAddress, 2);
-    }
-    chatsData.contacts[recipientAddress].username = username;
-
-    // Close new chat modal and open chat modal
-    this.closeNewChatModal();
-    chatModal.open(recipientAddress);
+    setTimeout(() => {
+      const messageContainer = this.messagesList.parentElement;
+      messageContainer.scrollTop = messageContainer.scrollHeight;
+    }, 100);
   }
 
   /**
-   * Hide error message in the new chat form
-   * @returns {void}
+   * Invoked when the user clicks the send button in the group chat modal
+   * @returns {Promise<void>}
    */
-  hideRecipientError() {
-    this.usernameAvailable.style.display = 'none';
-  }
+  async handleSendMessage() {
+    const group = myData.groups?.[this.groupId];
+    const message = this.messageInput.value.trim();
+    if (!group || !message) return;
 
-  /**
-   * Show error message in the new chat form
-   * @param {string} message - The error message to show
-   * @returns {void}
-   */
-  showRecipientError(message) {
-    this.usernameAvailable.textContent = message;
-    this.usernameAvailable.style.color = '#dc3545'; // Always red for errors
-    this.usernameAvailable.style.display = 'inline';
+    this.sendButton.disabled = true;
+    try {
+      this.messageInput.value = '';
+      this.messageInput.style.height = '48px';
+      await this.sendGroupMessage(group, message);
+    } finally {
+      this.sendButton.disabled = false;
+    }
   }
 
   /**
-   * Invoked when the user types in the username input
-   * It will check if the username is too short, available, or not available
-   * @param {Event} e - The event object
-   * @returns {void}
+   * Sends a message to every other member of the group; each member gets its own pairwise encrypted copy
+   * @param {Object} group - The group
+   * @param {string} text - The message text
+   * @param {string} [event] - A group event like 'create' instead of a text message
+   * @returns {Promise<boolean>} True if all copies were accepted by the gateway
    */
-  handleUsernameInput(e) {
-    this.usernameAvailable.style.display = 'none';
-    this.submitButton.disabled = true;
-
-    const username = normalizeUsername(e.target.value);
-    e.target.value = username;
+  async sendGroupMessage(group, text, event = '') {
+    const keys = myAccount.keys;
+    const myAddress = keys.address;
+
+    // work out who we can send to and what it costs
+    const recipients = [];
+    let totalToll = 0n;
+    for (const member of group.members) {
+      if (member.address === myAddress) continue;
+      createNewContact(member.address);
+      const contact = myData.contacts[member.address];
+      if (contact.tollRequiredToSend == 2) {
+        showToast(`${getGroupMemberName(group, member.address)} has blocked you and will not get the message`, 3000, 'warning');
+        continue;
+      }
+      if (contact.keyChange) {
+        showToast(`The keys of ${getGroupMemberName(group, member.address)} changed and they will not get the message until you accept them`, 3000, 'warning');
+        continue;
+      }
+      const toll = contact.tollRequiredToSend == 0 ? 0n : getTollInLib(contact.toll || 0n, contact.tollUnit);
+      recipients.push({ contact, toll });
+      totalToll += toll;
+    }
+    if (recipients.length === 0) {
+      showToast('There is no one in this group to send to', 0, 'error');
+      return false;
+    }
+    await getNetworkParams();
+    const feeInWei = parameters.current.transactionFee || 1n * wei;
+    const sufficientBalance = await validateBalance(totalToll + feeInWei * BigInt(recipients.length - 1));
+    if (!sufficientBalance) {
+      showToast('Insufficient balance for tolls and fees', 0, 'error');
+      return false;
+    }
 
-    // Clear previous timeout
-    if (this.usernameInputCheckTimeout) {
-      clearTimeout(this.usernameInputCheckTimeout);
+    const groupMeta = {
+      id: group.id,
+      name: group.name,
+      members: group.members,
+    };
+    if (event) {
+      groupMeta.event = event;
+    }
+    if (event === 'create') {
+      groupMeta.creator = group.creator;
+    }
+    const sentTimestamp = getCorrectedTimestamp();
+    const newMessage = {
+      message: text,
+      timestamp: sentTimestamp,
+      sent_timestamp: sentTimestamp,
+      my: true,
+      from: myAddress,
+      txids: [],
+      status: 'sent',
+    };
+    if (event) {
+      newMessage.event = event;
+    }
+    insertSorted(group.messages, newMessage, 'timestamp');
+    const existingChatIndex = myData.chats.findIndex((chat) => chat.groupId === group.id);
+    if (existingChatIndex !== -1) {
+      myData.chats.splice(existingChatIndex, 1);
     }
+    insertSorted(myData.chats, { groupId: group.id, timestamp: sentTimestamp }, 'timestamp');
 
-    // Check if username is too short
-    if (username.length < 3) {
-      this.usernameAvailable.textContent = 'too short';
-      this.usernameAvailable.style.color = '#dc3545';
-      this.usernameAvailable.style.display = 'inline';
-      return;
+    let allSent = true;
+    for (const { contact, toll } of recipients) {
+      try {
+        if (!(await getVerifiedPublicKeys(contact.address))) {
+          throw new Error(`no public key found for ${contact.address}`);
+        }
+        // the lookup may have found new keys that were not accepted yet
+        if (contact.keyChange) {
+          throw new Error(`the keys of ${contact.address} changed`);
+        }
+        const payload = await chatModal.createMessagePayload(keys, contact, text, { group: groupMeta });
+        payload.sent_timestamp = sentTimestamp;
+        const tx = await chatModal.createChatMessage(contact.address, payload, toll, keys);
+        const txid = await signObj(tx, keys);
+        newMessage.txid = newMessage.txid || txid;
+        newMessage.txids.push(txid);
+        const response = await injectTx(tx, txid);
+        if (!response || !response.result || !response.result.success) {
+          throw new Error(response?.result?.reason || 'transaction was not accepted');
+        }
+      } catch (error) {
+        console.error(`Group message to ${contact.address} failed:`, error);
+        allSent = false;
+      }
+      if (this.groupId === group.id) {
+        this.appendMessages();
+      }
     }
 
-    // Check username availability
-    this.usernameInputCheckTimeout = setTimeout(async () => {
-      const taken = await checkUsernameAvailability(username, myAccount.keys.address);
-      if (taken == 'taken') {
-        this.usernameAvailable.textContent = 'found';
-        this.usernameAvailable.style.color = '#28a745';
-        this.usernameAvailable.style.display = 'inline';
-        this.submitButton.disabled = false;
-      } else if (taken == 'mine' || taken == 'available') {
-        this.usernameAvailable.textContent = 'not found';
-        this.usernameAvailable.style.color = '#dc3545';
-        this.usernameAvailable.style.display = 'inline';
-        this.submitButton.disabled = true;
-      } else {
-        this.usernameAvailable.textContent = 'network error';
-        this.usernameAvailable.style.color = '#dc3545';
-        this.usernameAvailable.style.display = 'inline';
-        this.submitButton.disabled = true;
+    if (!allSent) {
+      newMessage.status = 'failed';
+      showToast('The message could not be sent to every member', 0, 'error');
+      if (this.groupId === group.id) {
+        this.appendMessages();
       }
-    }, 1000);
+    }
+    return allSent;
   }
 }
 
-const newChatModal = new NewChatModal();
+const groupChatModal = new GroupChatModal();
 
 // Create Account Modal
 class CreateAccountModal {
@@ -7557,19 +11547,19 @@ class CreateAccountModal {
     const username = normalizeUsername(this.usernameInput.value);
 
     // Get network ID from network.js
-    const { netid } = network;
+    const { storageId } = network;
 
     // Get existing accounts or create new structure
     const existingAccounts = parse(localStorage.getItem('accounts') || '{"netids":{}}');
 
     // Ensure netid and usernames objects exist
-    if (!existingAccounts.netids[netid]) {
-      existingAccounts.netids[netid] = { usernames: {} };
+    if (!existingAccounts.netids[storageId]) {
+      existingAccounts.netids[storageId] = { usernames: {} };
     }
 
-    // Get private key from input or generate new one
+    // Get private key from input or derive a new one from a recovery phrase
     const providedPrivateKey = this.privateKeyInput.value;
-    let privateKey, privateKeyHex;
+    let privateKey, privateKeyHex, mnemonic, mnemonicKeys;
 
     if (providedPrivateKey) {
       // Validate and normalize private key
@@ -7587,15 +11577,18 @@ class CreateAccountModal {
       privateKeyHex = validation.key;
       this.privateKeyError.style.display = 'none';
     } else {
-      privateKey = generateRandomPrivateKey();
-      privateKeyHex = bin2hex(privateKey);
+      mnemonic = generateMnemonic();
+      mnemonicKeys = await mnemonicToKeys(mnemonic);
+      privateKeyHex = mnemonicKeys.secret;
+      privateKey = hex2bin(privateKeyHex);
       this.privateKeyError.style.display = 'none'; // Ensure hidden if generated
     }
 
     // Generate uncompressed public key
     const publicKey = getPublicKey(privateKey);
     const publicKeyHex = bin2hex(publicKey);
-    const pqSeed = bin2hex(generateRandomBytes(64));
+    // a provided private key has no recovery phrase, so the post-quantum seed is random
+    const pqSeed = mnemonicKeys ? mnemonicKeys.pqSeed : bin2hex(generateRandomBytes(64));
 
     // Generate address from public key
     const address = generateAddress(publicKey);
@@ -7635,7 +11628,7 @@ class CreateAccountModal {
 
     // Create new account entry
     myAccount = {
-      netid,
+      netid: network.netid,
       username,
       chatTimestamp: 0,
       keys: {
@@ -7646,15 +11639,21 @@ class CreateAccountModal {
         pqSeed: pqSeed, // store only the 64 byte seed instead of 32,000 byte public and secret keys
       },
     };
+    // locked data can only be used if it was unlocked in SignInModal before recreating the account
+    const storedData = await loadAccountData(username, storageId);
+    const unlockedData = isAccountDataLocked(storedData) ? myData : storedData;
+    if (storedData && unlockedData?.account?.username !== username) {
+      this.reEnableControls();
+      showToast('The data of this account on this device is locked. Sign in to unlock it.', 0, 'error');
+      return;
+    }
     let waitingToastId = showToast('Creating account...', 0, 'loading');
     let res;
 
     try {
       await getNetworkParams();
-      const storedKey = `${username}_${netid}`;
-      const storedData = localStorage.getItem(storedKey);
-      if (storedData) {
-        myData = JSON.parse(storedData);
+      if (unlockedData) {
+        myData = unlockedData;
         myAccount = myData.account;
       } else {
         // create new data record if it doesn't exist
@@ -7695,11 +11694,16 @@ class CreateAccountModal {
         // TODO: may not need to get set since gets set in `getChats`. Need to check signin flow.
         //getChats.lastCall = getCorrectedTimestamp();
         // Store updated accounts back in localStorage
-        existingAccounts.netids[netid].usernames[username] = { address: myAccount.keys.address };
+        existingAccounts.netids[storageId].usernames[username] = { address: myAccount.keys.address };
         localStorage.setItem('accounts', stringify(existingAccounts));
         saveState();
 
-        signInModal.open(username);
+        // the recovery phrase is not stored, so this is the only time it can be shown
+        if (mnemonic && myAccount.keys.address === addressHex) {
+          recoveryPhraseModal.open(mnemonic, () => signInModal.open(username));
+        } else {
+          signInModal.open(username);
+        }
       } catch (error) {
         if (waitingToastId) hideToast(waitingToastId);
         console.log(`DEBUG: handleCreateAccount error`, JSON.stringify(error, null, 2));
@@ -7751,6 +11755,69 @@ class CreateAccountModal {
 // Initialize the create account modal
 const createAccountModal = new CreateAccountModal();
 
+/**
+ * Recovery Phrase Modal Class
+ * @class
+ * @description Shows the recovery phrase of a new account once so the user can write it down
+ */
+class RecoveryPhraseModal {
+  constructor() {
+    this.onDone = null;
+  }
+
+  load() {
+    this.modal = document.getElementById('recoveryPhraseModal');
+    this.wordList = document.getElementById('recoveryPhraseWords');
+    this.confirmCheckbox = document.getElementById('recoveryPhraseConfirm');
+    this.doneButton = document.getElementById('recoveryPhraseDoneButton');
+
+    this.confirmCheckbox.addEventListener('change', () => {
+      this.doneButton.disabled = !this.confirmCheckbox.checked;
+    });
+    this.doneButton.addEventListener('click', () => this.handleDone());
+  }
+
+  /**
+   * Opens the modal with the words of the recovery phrase
+   * @param {string} mnemonic - The 24 word recovery phrase
+   * @param {Function} onDone - Called after the user confirmed writing down the words
+   * @returns {void}
+   */
+  open(mnemonic, onDone) {
+    this.onDone = onDone;
+    this.wordList.innerHTML = mnemonic
+      .split(' ')
+      .map((word) => `<li>${escapeHtml(word)}</li>`)
+      .join('');
+    this.confirmCheckbox.checked = false;
+    this.doneButton.disabled = true;
+    this.modal.classList.add('active');
+  }
+
+  close() {
+    // don't leave the words in the page
+    this.wordList.innerHTML = '';
+    this.modal.classList.remove('active');
+  }
+
+  /**
+   * Check if the recovery phrase modal is active
+   * @returns {boolean}
+   */
+  isActive() {
+    return this.modal?.classList.contains('active') || false;
+  }
+
+  handleDone() {
+    const onDone = this.onDone;
+    this.onDone = null;
+    this.close();
+    if (onDone) onDone();
+  }
+}
+
+const recoveryPhraseModal = new RecoveryPhraseModal();
+
 /**
  * Send Asset Form Modal Class
  * @class
@@ -7948,6 +12015,16 @@ class SendAssetFormModal {
   }
 
   async validateForm() {
+    if (this.needTollInfo && !isOnline) {
+      // the toll last seen for the contact; the network checks the toll when the queued transfer is sent
+      const contact = myData.contacts[normalizeAddress(this.foundAddressObject.address)];
+      this.tollInfo = {
+        toll: contact?.toll ?? 0n,
+        tollUnit: contact?.tollUnit || 'LIB',
+        required: contact?.tollRequiredToSend ?? 1,
+      };
+      this.needTollInfo = false;
+    }
     if (this.needTollInfo) {
       const myAddr = longAddress(myAccount.keys.address);
       const contactAddr = longAddress(this.foundAddressObject.address);
@@ -8624,7 +12701,10 @@ class SendAssetConfirmModal {
           const response = await fetch(`${selectedGateway.protocol}://${selectedGateway.host}:${selectedGateway.port}/address/${usernameHash}`);
           const data = await response.json();
   */
-      const data = await queryNetwork(`/address/${usernameHash}`);
+      // offline the send form found the address in the contacts
+      const data = isOnline
+        ? await queryNetwork(`/address/${usernameHash}`)
+        : { address: sendAssetFormModal.foundAddressObject.address };
       if (!data || !data.address) {
         showToast('Username not found', 0, 'error');
         cancelButton.disabled = false;
@@ -8642,26 +12722,21 @@ class SendAssetConfirmModal {
       createNewContact(toAddress, username, 2);
     }
 
-    // Get recipient's public key from contacts
-    let recipientPubKey = myData.contacts[toAddress]?.public;
-    let pqRecPubKey = myData.contacts[toAddress]?.pqPublic;
-    let pqEncSharedKey = '';
-    if (!recipientPubKey || !pqRecPubKey) {
-      const recipientInfo = await queryNetwork(`/account/${longAddress(toAddress)}`);
-      if (!recipientInfo?.account?.publicKey) {
-        console.log(`no public key found for recipient ${toAddress}`);
-        cancelButton.disabled = false;
-        return;
-      }
-      if (recipientInfo.account.publicKey) {
-        recipientPubKey = recipientInfo.account.publicKey;
-        myData.contacts[toAddress].public = recipientPubKey;
-      }
-      if (recipientInfo.account.pqPublicKey) {
-        pqRecPubKey = recipientInfo.account.pqPublicKey;
-        myData.contacts[toAddress].pqPublic = pqRecPubKey;
-      }
+    // Get recipient's public key from contacts or the network; the key must match the address
+    const recipientKeys = await getVerifiedPublicKeys(toAddress);
+    if (!recipientKeys) {
+      console.log(`no verified public key found for recipient ${toAddress}`);
+      cancelButton.disabled = false;
+      return;
     }
+    // the memo is not encrypted to keys the user has not accepted
+    if (chatModal.isKeyChangePending(myData.contacts[toAddress])) {
+      cancelButton.disabled = false;
+      return;
+    }
+    const recipientPubKey = recipientKeys.public;
+    const pqRecPubKey = recipientKeys.pqPublic;
+    let pqEncSharedKey = '';
     let dhkey = '';
     let sharedKeyMethod = 'none';
     if (recipientPubKey) {
@@ -8772,9 +12847,10 @@ class SendAssetConfirmModal {
         timestamp: currentTime,
         address: toAddress,
         memo: memo,
-        status: 'sent',
+        status: response.queued ? 'queued' : 'sent',
       };
       insertSorted(wallet.history, newPayment, 'timestamp');
+      markHistoryChanged(myData, newPayment);
 
       // Don't try to update the balance here; the tx might not have gone through; let user refresh the balance from the wallet page
       // Maybe we can set a timer to check on the status of the tx using txid and update the balance if the txid was processed
@@ -8796,10 +12872,11 @@ class SendAssetConfirmModal {
         amount: amount, // Use the BigInt amount
         symbol: 'LIB', // TODO: Use the asset symbol
         txid: response.txid,
-        status: 'sent',
+        status: response.queued ? 'queued' : 'sent',
       };
       // Insert the transfer message into the contact's message list, maintaining sort order
       insertSorted(myData.contacts[toAddress].messages, transferMessage, 'timestamp');
+      markMessageChanged(myData, toAddress, transferMessage);
       // --------------------------------------------------------------
 
       // --- Update myData.chats to reflect the new message ---
@@ -8832,6 +12909,9 @@ class SendAssetConfirmModal {
       sendAssetFormModal.memoInput.value = '';
       sendAssetFormModal.usernameAvailable.style.display = 'none';
 
+      if (response.queued) {
+        showToast('You are offline. The transfer will be sent when you are back online.', 3000, 'offline');
+      }
       // Show history modal after successful transaction
       historyModal.open();
       /*
@@ -9258,8 +13338,11 @@ function removeFailedTx(txid, currentAddress) {
 
   const contact = myData?.contacts?.[currentAddress];
   if (contact && contact.messages) {
-    contact.messages = contact.messages.filter((msg) => msg.txid !== txid);
+    const isFailed = (msg) => msg.txid === txid || msg.attachment?.txids?.includes(txid);
+    contact.messages.filter(isFailed).forEach((msg) => markMessageChanged(myData, currentAddress, msg));
+    contact.messages = contact.messages.filter((msg) => !isFailed(msg));
   }
+  markHistoryChanged(myData, { txid });
   myData.wallet.history = myData?.wallet?.history?.filter((item) => item.txid !== txid);
 }
 
@@ -9272,11 +13355,8 @@ async function checkPendingTransactions() {
     console.log('DEBUG: user is not logged in');
     return;
   }
-
-  // initialize the pending array if it is not already initialized
-  if (!myData.pending) {
-    myData.pending = [];
-  }
+  // the leader tab checks them; the other tabs get the results when it saves
+  if (!tabCoordinator.isLeader) return;
 
   if (myData.pending.length === 0) return; // No pending transactions to check
 
@@ -9298,9 +13378,16 @@ async function checkPendingTransactions() {
         endpointPath = `/collector/api/transaction?appReceiptId=${txid}`;
       }
       //console.log(`DEBUG: txid ${txid} endpointPath: ${endpointPath}`);
-      const res = await queryNetwork(endpointPath);
+      // a receipt decides if a transaction went through, and a missing one removes it after 30 seconds; with
+      // verification on, the gateways must agree on both
+      const res = await queryTransactionReceipt(endpointPath);
+      if (!res || typeof res !== 'object') continue;
       //console.log(`DEBUG: txid ${txid} res: ${JSON.stringify(res)}`);
-      if (submittedts < thirtySecondsAgo && (res.transaction === null || Object.keys(res.transaction).length === 0)) {
+      if (
+        submittedts < thirtySecondsAgo &&
+        'transaction' in res &&
+        (res.transaction === null || Object.keys(res.transaction).length === 0)
+      ) {
         console.error(`DEBUG: txid ${txid} timed out, removing completely`);
         // remove the pending tx from the pending array
         myData.pending.splice(i, 1);
@@ -9323,6 +13410,7 @@ async function checkPendingTransactions() {
           if (index !== -1) {
             // covert amount to wei
             myData.wallet.history[index].amount = parse(stringify(res.transaction.additionalInfo.totalUnstakeAmount));
+            markHistoryChanged(myData, myData.wallet.history[index]);
           } else {
             console.log(`DEBUG: txid ${txid} not found in wallet history`);
           }
@@ -9394,10 +13482,12 @@ async function checkPendingTransactions() {
             showToast(`Update contact status failed: ${failureReason}. Reverting contact to old status.`, 0, 'error');
             // revert the local myData.contacts[toAddress].friend to the old value
             myData.contacts[pendingTxInfo.to].friend = pendingTxInfo.friend;
+            markContactChanged(myData, pendingTxInfo.to);
           } else if (type === 'read') {
             showToast(`Read transaction failed: ${failureReason}`, 0, 'error');
             // revert the local myData.contacts[toAddress].timestamp to the old value
             myData.contacts[pendingTxInfo.to].timestamp = pendingTxInfo.oldContactTimestamp;
+            markContactChanged(myData, pendingTxInfo.to);
           } else if (type === 'reclaim_toll') {
             showToast(`Reclaim toll failed: ${failureReason}`, 0, 'error');
           } else {
@@ -9415,6 +13505,7 @@ async function checkPendingTransactions() {
         // refresh the validator modal if this is a withdraw_stake/deposit_stake and validator modal is open
         if (type === 'withdraw_stake' || type === 'deposit_stake') {
           // remove from wallet history
+          markHistoryChanged(myData, { txid });
           myData.wallet.history = myData.wallet.history.filter((tx) => tx.txid !== txid);
 
           if (validatorStakingModal.isActive()) {
@@ -9449,15 +13540,26 @@ function updateTransactionStatus(txid, toAddress, status, type) {
     const txIndex = myData.wallet.history.findIndex((tx) => tx.txid === txid);
     if (txIndex !== -1) {
       myData.wallet.history[txIndex].status = status;
+      markHistoryChanged(myData, myData.wallet.history[txIndex]);
     }
   }
 
   // now use toAddress to find the contact and change the status of the message
   const contact = myData.contacts[toAddress];
   if (contact) {
-    const msgIndex = contact.messages.findIndex((msg) => msg.txid === txid);
+    // attachments are sent as several txs; any of them failing fails the message
+    const msgIndex = contact.messages.findIndex((msg) => msg.txid === txid || msg.attachment?.txids?.includes(txid));
     if (msgIndex !== -1) {
       contact.messages[msgIndex].status = status;
+      markMessageChanged(myData, toAddress, contact.messages[msgIndex]);
+    }
+  }
+
+  // group messages are sent as one tx per member
+  for (const group of Object.values(myData.groups || {})) {
+    const groupMessage = group.messages.find((msg) => msg.txids?.includes(txid));
+    if (groupMessage) {
+      groupMessage.status = status;
     }
   }
 }
@@ -9632,6 +13734,11 @@ function longPoll() {
     console.log('Poll skipped: No valid account');
     return;
   }
+  // Only the leader tab polls
+  if (!tabCoordinator.isLeader) {
+    console.log('Poll skipped: another tab is the leader');
+    return;
+  }
 
   try {
     longPoll.start = getCorrectedTimestamp();
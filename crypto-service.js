@@ -0,0 +1,82 @@
+// Promise API for the slow functions of crypto.js; they run in crypto-worker.js so a large backlog of messages or a
+// password key derivation does not freeze the UI. The functions take the same arguments as the ones in crypto.js.
+//   If the browser can't start a module worker the functions of crypto.js are called directly instead.
+
+import * as cryptoFunctions from './crypto.js';
+
+let worker = null;
+let nextCallId = 1;
+const pendingCalls = new Map(); // id -> { name, args, resolve, reject }
+
+function startWorker() {
+    if (typeof Worker === 'undefined') { return; }
+    try {
+        worker = new Worker(new URL('./crypto-worker.js', import.meta.url), { type: 'module' });
+    } catch (error) {
+        console.warn('Crypto worker could not be started; using the main thread', error);
+        worker = null;
+        return;
+    }
+    worker.onmessage = (event) => {
+        const { id, result, error } = event.data;
+        const call = pendingCalls.get(id);
+        if (!call) { return; }
+        pendingCalls.delete(id);
+        if (error !== undefined) { call.reject(new Error(error)); }
+        else { call.resolve(result); }
+    };
+    // the worker failed to load; finish the waiting calls on the main thread and stop using it
+    worker.onerror = (event) => {
+        console.warn('Crypto worker failed; using the main thread', event.message);
+        worker.terminate();
+        worker = null;
+        for (const [id, call] of pendingCalls) {
+            pendingCalls.delete(id);
+            callDirect(call.name, call.args).then(call.resolve, call.reject);
+        }
+    };
+}
+
+async function callDirect(name, args) {
+    return await cryptoFunctions[name](...args);
+}
+
+function callWorker(name, args) {
+    if (!worker) { return callDirect(name, args); }
+    return new Promise((resolve, reject) => {
+        const id = nextCallId++;
+        pendingCalls.set(id, { name, args, resolve, reject });
+        worker.postMessage({ id, name, args });
+    });
+}
+
+startWorker();
+
+// Like decryptMessage in crypto.js this modifies the given payload object
+export async function decryptMessage(payload, keys, messageKey) {
+    const decrypted = await callWorker('decryptMessage', [payload, keys, messageKey]);
+    for (const field of Object.keys(payload)) {
+        if (!(field in decrypted)) { delete payload[field]; }
+    }
+    return Object.assign(payload, decrypted);
+}
+
+export function ratchetReceive(session, keys, payload, winsTie) {
+    return callWorker('ratchetReceive', [session, keys, payload, winsTie]);
+}
+
+export function signMessage(message, privateKey) {
+    return callWorker('signMessage', [message, privateKey]);
+}
+
+export function deriveKeyFromPassword(password, kdf) {
+    return callWorker('deriveKeyFromPassword', [password, kdf]);
+}
+
+export function encryptData(data, password, kdf, associatedData) {
+    return callWorker('encryptData', [data, password, kdf, associatedData]);
+}
+
+export function decryptData(encryptedData, password, kdf, associatedData) {
+    return callWorker('decryptData', [encryptedData, password, kdf, associatedData]);
+}
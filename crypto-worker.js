@@ -0,0 +1,25 @@
+// Web Worker that runs the slow functions of crypto.js off the main thread; see crypto-service.js
+//   Messages are { id, name, args } and the reply is { id, result } or { id, error }
+
+import * as cryptoFunctions from './crypto.js';
+
+// Only these functions can be called through the worker
+const workerFunctions = [
+    'decryptMessage',
+    'ratchetReceive',
+    'signMessage',
+    'deriveKeyFromPassword',
+    'encryptData',
+    'decryptData',
+];
+
+self.onmessage = async (event) => {
+    const { id, name, args } = event.data;
+    try {
+        if (!workerFunctions.includes(name)) { throw new Error(`Unknown crypto function ${name}`); }
+        const result = await cryptoFunctions[name](...args);
+        self.postMessage({ id, result });
+    } catch (error) {
+        self.postMessage({ id, error: error?.message || String(error) });
+    }
+};
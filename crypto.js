@@ -2,7 +2,8 @@
 
 // https://github.com/paulmillr/noble-post-quantum
 // https://github.com/paulmillr/noble-post-quantum/releases
-import { ml_kem1024, randomBytes } from './external/noble-post-quantum.js';
+//   sha256 from the bundled noble-hashes was added to the exports
+import { ml_kem1024, randomBytes, sha256 } from './external/noble-post-quantum.js';
 
 // https://github.com/paulmillr/noble-secp256k1
 // https://github.com/paulmillr/noble-secp256k1/raw/refs/heads/main/index.js
@@ -29,16 +30,40 @@ import { xchacha20poly1305 } from './external/noble-ciphers.js';
 //   modified to use export
 import { parse } from './external/stringify-shardus.js';
 
+// https://github.com/paulmillr/scure-bip39
+// https://github.com/paulmillr/scure-bip39/blob/main/src/wordlists/english.ts
+//   copied from the built wordlists/english.js of the npm package
+import { wordlist } from './external/bip39-english.js';
+
+// https://github.com/ricmoo/scrypt-js
+// https://github.com/ricmoo/scrypt-js/blob/master/scrypt.js
+//   modified to use export
+import scrypt from './external/scrypt.js';
+
 import { utf82bin, bin2utf8, hex2bin, bin2hex, base642bin, bin2base64 } from './lib.js';
 
 // Constants
 const myHashKey = hex2bin('69fa4195670576c0160d660c3be36556ff8d504725be8a59b5a96509e0c994bc');
+// Payload fields besides message and senderInfo that are encrypted with the message key
+//   attachment - metadata and file key of an attachment chunk
+//   replyTo - txid and preview of the message being replied to
+//   reaction - txid of the message reacted to and the emoji
+//   edit - txid of the message whose text is replaced by this message
+//   retract - txid of the message that is deleted for everyone
+//   group - id, name and members of the group the message was sent to
+//   expiry - the sender's disappearing message timer for the chat in ms, 0 if off
+//   ratchetVersion - sent with messages that are not in a ratchet session to say that the sender supports sessions
+const encryptedPayloadFields = ['attachment', 'replyTo', 'reaction', 'edit', 'retract', 'group', 'expiry', 'expiryTimestamp', 'ratchetVersion'];
 
 // Core encryption functions
-export function encryptChacha(key, data) {
-    const nonce = window.crypto.getRandomValues(new Uint8Array(24))
-    const cipher = xchacha20poly1305(key, nonce);
-    const encrypted = cipher.encrypt(utf82bin(data));
+// input data can be string or binary; output is base64
+// associatedData is optional string or binary that is authenticated but not encrypted; it must be given to decrypt
+export function encryptChacha(key, data, associatedData) {
+    if (typeof(data) === "string") { data = utf82bin(data); }
+    if (typeof(associatedData) === "string") { associatedData = utf82bin(associatedData); }
+    const nonce = crypto.getRandomValues(new Uint8Array(24))
+    const cipher = xchacha20poly1305(key, nonce, associatedData);
+    const encrypted = cipher.encrypt(data);
 
     // Combine nonce + encrypted data (which includes authentication tag)
     const combined = new Uint8Array(nonce.length + encrypted.length);
@@ -48,7 +73,15 @@ export function encryptChacha(key, data) {
     return bin2base64(combined);
 }
 
-export function decryptChacha(key, encrypted) {
+export function decryptChacha(key, encrypted, associatedData) {
+    const decrypted = decryptChachaBin(key, encrypted, associatedData);
+    if (decrypted == null) { return null; }
+    return bin2utf8(decrypted);
+}
+
+// Same as decryptChacha, but returns the decrypted binary instead of a utf8 string; used for file attachments
+export function decryptChachaBin(key, encrypted, associatedData) {
+    if (typeof(associatedData) === "string") { associatedData = utf82bin(associatedData); }
     try {
         // Convert from base64
         const combined = base642bin(encrypted);
@@ -57,25 +90,47 @@ export function decryptChacha(key, encrypted) {
         const nonce = combined.slice(0, 24);
         const data = combined.slice(24);
 
-        const cipher = xchacha20poly1305(key, nonce);
-        const decrypted = cipher.decrypt(data);
-        return bin2utf8(decrypted);
+        const cipher = xchacha20poly1305(key, nonce, associatedData);
+        return cipher.decrypt(data);
     } catch (error) {
         console.log('Decryption failed: message authentication failed or corrupted data', error);
         return null;
     }
 }
 
-// We purposely do not encrypt/decrypt using browser native crypto functions; all crypto functions must be readable
-// Encrypt data using ChaCha20-Poly1305
-export async function encryptData(data, password) {
-    if (!password) return data;
+// Password key derivation
+// kdf is the set of parameters stored next to the ciphertext so the same key can be derived again:
+//   { name: 'scrypt', N, r, p, salt } - memory-hard; N * r * 128 bytes of memory, 32MB with the defaults
+//   { name: 'blake2b', iterations, salt } - only read; salt is base64 and without a salt this is the original scheme
+const scryptDefaults = { N: 2 ** 15, r: 8, p: 1 };
+// Limits for parameters read from a file, so a crafted file can't make us use gigabytes of memory; the memory, and the
+// time for p, is bounded by 128 * N * r * p bytes as a whole
+const scryptLimits = { N: 2 ** 20, r: 16, p: 4 };
+const scryptMaxBytes = 256 * 2 ** 20;
+
+export function newPasswordKdf(params = scryptDefaults) {
+    return { name: 'scrypt', N: params.N, r: params.r, p: params.p, salt: bin2base64(randomBytes(16)) };
+}
 
-    let key = utf82bin(password);
-    const iterations = 100000;
+const legacyPasswordKdf = { name: 'blake2b', iterations: 100000 };
+
+export async function deriveKeyFromPassword(password, kdf = legacyPasswordKdf) {
+    if (kdf.name === 'scrypt') {
+        for (const param of ['N', 'r', 'p']) {
+            if (!Number.isInteger(kdf[param]) || kdf[param] < 1 || kdf[param] > scryptLimits[param]) {
+                throw new Error(`Invalid scrypt parameter ${param}`);
+            }
+        }
+        if (128 * kdf.N * kdf.r * kdf.p > scryptMaxBytes) {
+            throw new Error('The scrypt parameters need too much memory');
+        }
+        return await scrypt.scrypt(utf82bin(password.normalize('NFKC')), base642bin(kdf.salt), kdf.N, kdf.r, kdf.p, 32);
+    }
+    if (kdf.name !== 'blake2b') { throw new Error(`Unsupported key derivation function ${kdf.name}`); }
+    let key = kdf.salt ? blake.blake2b(utf82bin(password), base642bin(kdf.salt), 32) : utf82bin(password);
     const batchSize = 1000;
 
-    for (let i = 0; i < iterations; i++) {
+    for (let i = 0; i < kdf.iterations; i++) {
         key = blake.blake2b(key, null, 32);
 
         // Yield every batch to avoid blocking Safari
@@ -83,37 +138,47 @@ export async function encryptData(data, password) {
             await new Promise(resolve => setTimeout(resolve, 0));
         }
     }
+    return key;
+}
+
+// We purposely do not encrypt/decrypt using browser native crypto functions; all crypto functions must be readable
+// Encrypt data using ChaCha20-Poly1305
+// kdf and associatedData are optional; without them this is the format of backups made before the backup envelope
+// New data should be encrypted with a kdf from newPasswordKdf()
+export async function encryptData(data, password, kdf, associatedData) {
+    if (!password) return data;
 
-    const encrypted = encryptChacha(key, data);
+    const key = await deriveKeyFromPassword(password, kdf);
+    const encrypted = encryptChacha(key, data, associatedData);
     return encrypted;
 }
 
 // We purposely do not encrypt/decrypt using browser native crypto functions; all crypto functions must be readable
 // Decrypt data using ChaCha20-Poly1305
-export async function decryptData(encryptedData, password) {
+export async function decryptData(encryptedData, password, kdf, associatedData) {
     if (!password) return encryptedData;
 
-    // Generate key using 100,000 iterations of blake2b
-    let key = utf82bin(password);
-    for (let i = 0; i < 100000; i++) {
-        key = blake.blake2b(key, null, 32);
-    }
+    const key = await deriveKeyFromPassword(password, kdf);
 
     // Decrypt the data using ChaCha20-Poly1305
-    return decryptChacha(key, encryptedData);
+    return decryptChacha(key, encryptedData, associatedData);
 }
 
 // We purposely do not encrypt/decrypt using browser native crypto functions; all crypto functions must be readable
-export async function decryptMessage(payload, keys) {
+// messageKey is given for messages of a ratchet session; otherwise the key is derived from the static keys
+export async function decryptMessage(payload, keys, messageKey) {
     if (payload.encrypted) {
-        // Generate shared secret using ECDH
-        let dhkey = ecSharedKey(keys.secret, payload.public)
-        const { publicKey, secretKey } = ml_kem1024.keygen(hex2bin(keys.pqSeed))
-        const sharedSecret = pqSharedKey(secretKey, payload.pqEncSharedKey)
-        const combined = new Uint8Array(dhkey.length + sharedSecret.length)
-        combined.set(dhkey)
-        combined.set(sharedSecret, dhkey.length)
-        dhkey = blake.blake2b(combined, myHashKey, 32)
+        let dhkey = messageKey
+        if (!dhkey) {
+            // Generate shared secret using ECDH
+            dhkey = ecSharedKey(keys.secret, payload.public)
+            const { secretKey } = generatePQKeys(keys.pqSeed)
+            const sharedSecret = pqSharedKey(secretKey, payload.pqEncSharedKey)
+            const combined = new Uint8Array(dhkey.length + sharedSecret.length)
+            combined.set(dhkey)
+            combined.set(sharedSecret, dhkey.length)
+            dhkey = blake.blake2b(combined, myHashKey, 32)
+        }
 
         // Decrypt based on encryption method
         if (payload.encryptionMethod === 'xchacha20poly1305') {
@@ -134,6 +199,16 @@ export async function decryptMessage(payload, keys) {
                     payload.senderInfo = { username: 'decryption_failed' }
                 }
             }
+            // Optional fields that carry an encrypted JSON object along with the message
+            for (const field of encryptedPayloadFields) {
+                if (!payload[field]) { continue; }
+                try {
+                    payload[field] = parse(decryptChacha(dhkey, payload[field]));
+                } catch (error) {
+                    console.error(`xchacha20poly1305 ${field} decryption failed:`, error);
+                    delete payload[field];
+                }
+            }
         } else {
             console.error('Unknown encryption method:', payload.encryptionMethod);
             payload.message = 'Unsupported encryption';
@@ -162,6 +237,162 @@ export function pqSharedKey(recipientKey, encKey) {  // inputs base64 or binary,
     return ml_kem1024.encapsulate(recipientKey);  // { cipherText, sharedSecret }
 }
 
+// Double ratchet session for chat messages
+//   Every chain of messages gets its keys from a fresh secp256k1 key pair, so if keys.secret is compromised later
+//   the ECDH half of earlier messages is not revealed. Each DH step is mixed with an ML-KEM encapsulation to the
+//   static pq key of the other side, which is sent in payload.pqEncSharedKey like before.
+//   The session is a plain object with keys as hex so it can be stored on the contact.
+//   The header in payload.ratchet is not encrypted, but the tx that carries it is signed by the sender.
+//   The first chain of the side that starts a session (header.init) only depends on the static keys.
+export const RATCHET_VERSION = 1;
+const RATCHET_MAX_SKIP = 1000;  // most message keys we derive ahead in one chain for messages that did not arrive yet
+const RATCHET_MAX_SKIPPED = 2000;  // most skipped message keys we keep in a session
+const RATCHET_MAX_REMOTE_DH = 10;  // how many ratchet public keys of the other side we remember
+
+function ratchetKdfRoot(rootKey, dhOut, pqSecret) {
+    const combined = new Uint8Array(dhOut.length + pqSecret.length);
+    combined.set(dhOut);
+    combined.set(pqSecret, dhOut.length);
+    const out = blake.blake2b(combined, hex2bin(rootKey), 64);
+    return { rootKey: bin2hex(out.slice(0, 32)), chainKey: bin2hex(out.slice(32)) };
+}
+
+function ratchetKdfChain(chainKey) {
+    return {
+        messageKey: blake.blake2b(new Uint8Array([1]), hex2bin(chainKey), 32),
+        chainKey: bin2hex(blake.blake2b(new Uint8Array([2]), hex2bin(chainKey), 32)),
+    };
+}
+
+function ratchetNewSession(keys, peerPublic, initiator, started) {
+    return {
+        version: RATCHET_VERSION,
+        started,
+        initiator,
+        received: false,
+        rootKey: bin2hex(deriveDhKey(ecSharedKey(keys.secret, peerPublic))),
+        dhSecret: null,  // until we send, the side that did not start the session uses its static key
+        dhPublic: null,
+        remoteDh: initiator ? peerPublic : null,  // the side that starts the session uses the static key of the other side
+        remoteDhs: [],
+        pn: 0,
+        send: null,
+        recv: null,
+        skipped: {},
+    };
+}
+
+// Starts a session with a contact that supports it; started is the timestamp of the first message
+export function ratchetInitSession(keys, peerPublic, started) {
+    return ratchetNewSession(keys, peerPublic, true, started);
+}
+
+// Returns the key for the next message we send and the header and pq cipher text that go into the payload
+//   modifies the session
+export function ratchetSend(session, peerPqPublic) {
+    if (!session.send) {
+        // start a new sending chain with a fresh key pair
+        const secret = generateRandomPrivateKey();
+        session.dhSecret = bin2hex(secret);
+        session.dhPublic = bin2hex(getPublicKey(secret));
+        const { cipherText, sharedSecret } = pqSharedKey(peerPqPublic);
+        const { rootKey, chainKey } = ratchetKdfRoot(session.rootKey, ecSharedKey(session.dhSecret, session.remoteDh), sharedSecret);
+        session.rootKey = rootKey;
+        session.send = {
+            chainKey,
+            n: 0,
+            pn: session.pn,
+            pqCipherText: bin2base64(cipherText),
+            init: session.initiator && !session.received,
+        };
+    }
+    const { messageKey, chainKey } = ratchetKdfChain(session.send.chainKey);
+    const header = { v: RATCHET_VERSION, dh: session.dhPublic, n: session.send.n, pn: session.send.pn };
+    if (session.send.init) { header.init = true; }
+    session.send.chainKey = chainKey;
+    session.send.n += 1;
+    return { messageKey, header, pqEncSharedKey: session.send.pqCipherText };
+}
+
+// Stores the keys of messages in the receiving chain up to message number until
+function ratchetSkipKeys(session, until) {
+    if (!session.recv) { return; }
+    if (until - session.recv.n > RATCHET_MAX_SKIP) { throw new Error('Too many skipped messages'); }
+    while (session.recv.n < until) {
+        const { messageKey, chainKey } = ratchetKdfChain(session.recv.chainKey);
+        session.skipped[`${session.remoteDh}:${session.recv.n}`] = bin2hex(messageKey);
+        session.recv.chainKey = chainKey;
+        session.recv.n += 1;
+    }
+    const skippedIds = Object.keys(session.skipped);
+    for (const id of skippedIds.slice(0, Math.max(0, skippedIds.length - RATCHET_MAX_SKIPPED))) {
+        delete session.skipped[id];
+    }
+}
+
+// Returns the key of a received message; modifies the session
+function ratchetReceiveKey(session, keys, header, pqEncSharedKey) {
+    const skippedId = `${header.dh}:${header.n}`;
+    if (session.skipped[skippedId]) {
+        const messageKey = hex2bin(session.skipped[skippedId]);
+        delete session.skipped[skippedId];
+        return messageKey;
+    }
+    if (header.dh !== session.remoteDh) {
+        if (session.remoteDhs.includes(header.dh)) { throw new Error('Message key was already used'); }
+        // keep the keys of messages of the old chain that did not arrive yet
+        ratchetSkipKeys(session, header.pn);
+        // DH step; our next message starts a new sending chain
+        const { secretKey } = generatePQKeys(keys.pqSeed);
+        const sharedSecret = pqSharedKey(secretKey, pqEncSharedKey);
+        const { rootKey, chainKey } = ratchetKdfRoot(session.rootKey, ecSharedKey(session.dhSecret || keys.secret, header.dh), sharedSecret);
+        session.rootKey = rootKey;
+        session.recv = { chainKey, n: 0 };
+        session.remoteDh = header.dh;
+        session.remoteDhs = [...session.remoteDhs, header.dh].slice(-RATCHET_MAX_REMOTE_DH);
+        session.received = true;
+        if (session.send) {
+            session.pn = session.send.n;
+            session.send = null;
+        }
+    }
+    if (!session.recv || header.n < session.recv.n) { throw new Error('Message key was already used'); }
+    ratchetSkipKeys(session, header.n);
+    const { messageKey, chainKey } = ratchetKdfChain(session.recv.chainKey);
+    session.recv.chainKey = chainKey;
+    session.recv.n += 1;
+    return messageKey;
+}
+
+// Returns { session, messageKey } for a received message with a ratchet header, or null if it can not be decrypted
+//   The given session is not modified; the returned session should replace it.
+//   A message that starts a new session replaces ours unless it is older than ours, or both sides started a
+//   session at the same time and ours wins; then it is decrypted without changing our session
+export function ratchetReceive(session, keys, payload, winsTie) {
+    const header = payload.ratchet;
+    if (!header || header.v !== RATCHET_VERSION || typeof header.dh !== 'string'
+        || !Number.isInteger(header.n) || !Number.isInteger(header.pn) || header.n < 0) {
+        return null;
+    }
+    let next = session ? structuredClone(session) : null;
+    let keep = false;
+    if (header.init && !next?.remoteDhs.includes(header.dh)) {
+        const replace = !next || (payload.sent_timestamp > next.started && !(next.initiator && !next.received && winsTie));
+        keep = !replace;
+        next = ratchetNewSession(keys, payload.public, false, payload.sent_timestamp);
+    }
+    if (!next) { return null; }
+    try {
+        const messageKey = ratchetReceiveKey(next, keys, header, payload.pqEncSharedKey);
+        // make sure the key is right before the session is changed
+        if (decryptChachaBin(messageKey, payload.message) == null) { return null; }
+        return { session: keep ? session : next, messageKey };
+    } catch (error) {
+        console.log('Ratchet decryption failed:', error);
+        return null;
+    }
+}
+
 // Based on what ethers.js is doing in the following code
 // hashMessage() https://github.com/ethers-io/ethers.js/blob/22c081e1cd617b43d267fd4b29cd92ada5fc7e43/src.ts/hash/message.ts#L35
 // concat() https://github.com/ethers-io/ethers.js/blob/22c081e1cd617b43d267fd4b29cd92ada5fc7e43/src.ts/utils/data.ts#L116
@@ -197,8 +428,78 @@ export async function signMessage(message, privateKey) {
     return await secp.signAsync(message, privateKey);
 }
 
+// ML-KEM keygen is slow, so the keys of the last seed are kept instead of regenerating them for every message
+let pqKeysCache = null;
+
 export function generatePQKeys(pqSeed) {
-    return ml_kem1024.keygen(hex2bin(pqSeed));
+    if (pqKeysCache?.pqSeed !== pqSeed) {
+        pqKeysCache = { pqSeed, keys: ml_kem1024.keygen(hex2bin(pqSeed)) };
+    }
+    return pqKeysCache.keys;
+}
+
+// Recovery phrase functions
+// The phrase is a standard 24 word BIP39 mnemonic of 32 bytes of entropy. The secp256k1 secret key and the ML-KEM
+// seed are both derived from its BIP39 seed (PBKDF2-HMAC-SHA512 with the salt "mnemonic", no passphrase), so the
+// words alone are enough to rebuild the account keys
+const mnemonicWords = 24;
+const mnemonicSeedIterations = 2048;
+const mnemonicSecretKey = utf82bin('liberdus secp256k1 secret key');
+const mnemonicPqSeedKey = utf82bin('liberdus ml-kem seed');
+
+export function generateMnemonic() {
+    return entropyToMnemonic(randomBytes(32));
+}
+
+function entropyToMnemonic(entropy) {
+    // 256 bits of entropy followed by the first 8 bits of its sha256 make 24 words of 11 bits
+    const checksum = sha256(entropy)[0];
+    let bits = '';
+    for (const byte of [...entropy, checksum]) { bits += byte.toString(2).padStart(8, '0'); }
+    const words = [];
+    for (let i = 0; i < bits.length; i += 11) { words.push(wordlist[parseInt(bits.slice(i, i + 11), 2)]); }
+    return words.join(' ');
+}
+
+// returns the 32 bytes of entropy, or null if a word is unknown or the checksum does not match
+function mnemonicToEntropy(mnemonic) {
+    const words = normalizeMnemonic(mnemonic).split(' ');
+    if (words.length !== mnemonicWords) { return null; }
+    let bits = '';
+    for (const word of words) {
+        const index = wordlist.indexOf(word);
+        if (index < 0) { return null; }
+        bits += index.toString(2).padStart(11, '0');
+    }
+    const entropy = new Uint8Array(32);
+    for (let i = 0; i < 32; i++) { entropy[i] = parseInt(bits.slice(i * 8, i * 8 + 8), 2); }
+    if (sha256(entropy)[0] !== parseInt(bits.slice(256), 2)) { return null; }
+    return entropy;
+}
+
+export function normalizeMnemonic(mnemonic) {
+    return mnemonic.normalize('NFKD').trim().toLowerCase().split(/\s+/).join(' ');
+}
+
+export function isValidMnemonic(mnemonic) {
+    return mnemonicToEntropy(mnemonic) !== null;
+}
+
+// returns the 64 byte BIP39 seed of a valid phrase
+async function mnemonicToSeed(mnemonic) {
+    const password = utf82bin(normalizeMnemonic(mnemonic));
+    const key = await crypto.subtle.importKey('raw', password, 'PBKDF2', false, ['deriveBits']);
+    const params = { name: 'PBKDF2', hash: 'SHA-512', salt: utf82bin('mnemonic'), iterations: mnemonicSeedIterations };
+    return new Uint8Array(await crypto.subtle.deriveBits(params, key, 512));
+}
+
+// returns { secret, pqSeed } as hex in the same form as stored in myAccount.keys
+export async function mnemonicToKeys(mnemonic) {
+    if (!isValidMnemonic(mnemonic)) { throw new Error('Invalid recovery phrase'); }
+    const seed = await mnemonicToSeed(mnemonic);
+    const secret = blake.blake2b(seed, mnemonicSecretKey, 32);
+    const pqSeed = blake.blake2b(seed, mnemonicPqSeedKey, 64);
+    return { secret: bin2hex(secret), pqSeed: bin2hex(pqSeed) };
 }
 
 // Random number generation
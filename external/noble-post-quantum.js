@@ -2488,5 +2488,6 @@ export {
   slh_dsa_shake_192s,
   slh_dsa_shake_256f,
   slh_dsa_shake_256s,
-  randomBytes
+  randomBytes,
+  sha256
 }
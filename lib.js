@@ -226,6 +226,24 @@ export function formatTime(timestamp) {
     }
 }
 
+// Format a number of bytes as a short human readable size
+export function formatFileSize(bytes) {
+    if (!bytes) { return '0 B'; }
+    if (bytes < 1024) { return `${bytes} B`; }
+    if (bytes < 1024 * 1024) { return `${(bytes / 1024).toFixed(1)} KB`; }
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Format a duration in milliseconds as a short countdown like 2d, 5h or 10m
+export function formatTimeRemaining(ms) {
+    if (ms <= 0) { return '0m'; }
+    const minutes = Math.ceil(ms / 60000);
+    if (minutes < 60) { return `${minutes}m`; }
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) { return `${hours}h`; }
+    return `${Math.floor(hours / 24)}d`;
+}
+
 // Function to detect URLs, convert them to clickable links, prevent XSS, prevent html tags from being displayed
 export function linkifyUrls(text) {
     if (!text) return '';